@@ -6,6 +6,17 @@
 // Global variables
 let chordDataset = [];
 let currentChord = null;
+let chordFilters = createDefaultFilters();
+let instrumentSettings = null; // Tuning and capo; null until loaded, meaning standard tuning without capo
+let audioContext = null; // Created on first playback (browsers require a user gesture)
+let quizSession = createQuizSession();
+let practiceProgress = createProgress();
+let practiceDueFirst = true; // "Next chord" prefers due and weak chords over pure randomness
+let progressionOverrides = {}; // Voicings picked by hand in the progression panel, by step index
+let diagramView = 'box'; // 'box' for the 5-fret chord box, 'neck' for the full fretboard
+let dotLabelMode = 'finger'; // Text in the chord box dots: 'finger', 'note' or 'degree'
+let diagramOrientation = createDiagramOrientation(); // Chord box handedness and layout
+let chordLibraries = []; // Imported chord libraries: { name, text, chords, errors }
 
 /**
  * Represents a single guitar chord with all its properties
@@ -114,10 +125,11 @@ function parseCsvLine(line) {
 /**
  * Select a random chord from the dataset
  * @param {Chord[]} [dataset] - Optional dataset to use instead of global chordDataset
- * @returns {Chord|null} Random chord or null if dataset is empty
+ * @param {Object} [filters] - Optional filters to use instead of global chordFilters
+ * @returns {Chord|null} Random chord or null if no chord matches
  */
-function selectRandomChord(dataset = null) {
-    const datasetToUse = dataset || chordDataset;
+function selectRandomChord(dataset = null, filters = chordFilters) {
+    const datasetToUse = filterChords(dataset || chordDataset, filters);
 
     if (datasetToUse.length === 0) {
         console.error('No chords available in dataset');
@@ -131,6 +143,243 @@ function selectRandomChord(dataset = null) {
     return selectedChord;
 }
 
+/**
+ * Create an empty filter set (matches every chord)
+ * @returns {Object} Filters with roots, types, voicing ('any' | 'open' | 'moveable'), base fret bounds
+ *   the hardest difficulty tier allowed (null for any) and chord sources (built-in or library names)
+ */
+function createDefaultFilters() {
+    return {
+        roots: [],
+        types: [],
+        voicing: 'any',
+        minBaseFret: null,
+        maxBaseFret: null,
+        maxDifficulty: null,
+        sources: []
+    };
+}
+
+/**
+ * Check whether a voicing uses open strings (as opposed to a moveable shape)
+ * @param {Chord} chord - Chord to inspect
+ * @returns {boolean} True if any string is played open
+ */
+function isOpenVoicing(chord) {
+    return chord.fingerPositions.includes('0');
+}
+
+/**
+ * Get the base fret as shown beside the chord diagram (1 for nut position chords)
+ * @param {Chord} chord - Chord to inspect
+ * @returns {number} Displayed base fret number
+ */
+function getDisplayedBaseFret(chord) {
+    const { baseFret } = normalizeFretPositions(calculateAbsoluteFretPositions(chord));
+    return baseFret > 0 ? baseFret + 1 : 1;
+}
+
+/**
+ * Weights of the difficulty factors; a voicing's score is the weighted sum
+ * span       per fret between the lowest and highest fretted note beyond 2 (a normal 3-fret box is free)
+ * finger     per finger used
+ * barre      once if a finger holds down two or more strings
+ * mutedInner per muted string between played strings, which has to be damped
+ * stretch    per fret that two fingers are further apart than their numbers suggest
+ *            (fingers 1 and 2 one fret apart, 1 and 3 two frets, ...)
+ * position   per fret the shape starts above the first fret
+ */
+const DIFFICULTY_WEIGHTS = {
+    span: 1,
+    finger: 0.5,
+    barre: 2.5,
+    mutedInner: 1.5,
+    stretch: 1,
+    position: 0.15
+};
+
+/**
+ * Difficulty tiers, easiest first; a score below a tier's limit belongs to it
+ */
+const DIFFICULTY_TIERS = [
+    { id: 'beginner', name: 'Beginner', below: 3 },
+    { id: 'intermediate', name: 'Intermediate', below: 5.5 },
+    { id: 'advanced', name: 'Advanced', below: Infinity }
+];
+
+/**
+ * Rate how hard a voicing is to play, from the dataset fingering and the absolute frets
+ * Standard tuning is used so a chord rates the same whatever tuning is selected.
+ * @param {Chord} chord - Chord to rate
+ * @returns {Object} { span, fingers, barre, mutedInner, stretch, baseFret, score, tier } where
+ *   baseFret is the lowest fretted fret (0 when nothing is fretted) and tier is a DIFFICULTY_TIERS id
+ */
+function scoreDifficulty(chord) {
+    const frets = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+    const fingerFrets = new Map(); // finger number -> fret, and how many strings it holds
+    const fingerStrings = new Map();
+    chord.fingerPositions.forEach((finger, stringIndex) => {
+        if (finger === 'x' || finger === '0') return;
+        if (!fingerFrets.has(finger)) {
+            fingerFrets.set(finger, frets[stringIndex]);
+        }
+        fingerStrings.set(finger, (fingerStrings.get(finger) || 0) + 1);
+    });
+
+    const fretted = [...fingerFrets.values()];
+    const span = fretted.length > 0 ? Math.max(...fretted) - Math.min(...fretted) : 0;
+    const baseFret = fretted.length > 0 ? Math.min(...fretted) : 0;
+    const barre = [...fingerStrings.values()].some(count => count > 1);
+
+    const played = chord.fingerPositions.map(finger => finger !== 'x');
+    const firstPlayed = played.indexOf(true);
+    const lastPlayed = played.lastIndexOf(true);
+    const mutedInner = firstPlayed < 0 ? 0 : played.slice(firstPlayed, lastPlayed + 1).filter(isPlayed => !isPlayed).length;
+
+    const usedFingers = [...fingerFrets.keys()].map(Number).sort((a, b) => a - b);
+    let stretch = 0;
+    for (let i = 1; i < usedFingers.length; i++) {
+        const gap = Math.abs(fingerFrets.get(String(usedFingers[i])) - fingerFrets.get(String(usedFingers[i - 1])));
+        stretch += Math.max(0, gap - (usedFingers[i] - usedFingers[i - 1]));
+    }
+
+    const weights = DIFFICULTY_WEIGHTS;
+    const rawScore = weights.span * Math.max(0, span - 2) +
+        weights.finger * usedFingers.length +
+        (barre ? weights.barre : 0) +
+        weights.mutedInner * mutedInner +
+        weights.stretch * stretch +
+        weights.position * Math.max(0, baseFret - 1);
+    const score = Math.round(rawScore * 100) / 100;
+    const tier = DIFFICULTY_TIERS.find(candidate => score < candidate.below).id;
+
+    return { span, fingers: usedFingers.length, barre, mutedInner, stretch, baseFret, score, tier };
+}
+
+/**
+ * Get the position of a difficulty tier, easiest first
+ * @param {string} tier - Tier id, e.g. 'intermediate'
+ * @returns {number} Index into DIFFICULTY_TIERS, or -1 for an unknown tier
+ */
+function getDifficultyRank(tier) {
+    return DIFFICULTY_TIERS.findIndex(candidate => candidate.id === tier);
+}
+
+/**
+ * Sort chords from easiest to hardest
+ * @param {Chord[]} chords - Chords to sort (left unchanged)
+ * @returns {Chord[]} New array; equal scores keep their order
+ */
+function sortByDifficulty(chords) {
+    return chords
+        .map(chord => ({ chord, score: scoreDifficulty(chord).score }))
+        .sort((a, b) => a.score - b.score)
+        .map(entry => entry.chord);
+}
+
+/**
+ * Test a chord against a filter set; empty lists and null bounds match anything
+ * @param {Chord} chord - Chord to test
+ * @param {Object} filters - Filters as created by createDefaultFilters()
+ * @returns {boolean} True if the chord passes every filter
+ */
+function chordMatchesFilters(chord, filters) {
+    if (filters.roots.length > 0 && !filters.roots.includes(chord.root)) {
+        return false;
+    }
+    if (filters.types.length > 0 && !filters.types.includes(chord.type)) {
+        return false;
+    }
+    if (filters.sources.length > 0 && !filters.sources.includes(getChordSource(chord))) {
+        return false;
+    }
+    if (filters.voicing === 'open' && !isOpenVoicing(chord)) {
+        return false;
+    }
+    if (filters.voicing === 'moveable' && isOpenVoicing(chord)) {
+        return false;
+    }
+    if (filters.minBaseFret !== null || filters.maxBaseFret !== null) {
+        const baseFret = getDisplayedBaseFret(chord);
+        if (filters.minBaseFret !== null && baseFret < filters.minBaseFret) return false;
+        if (filters.maxBaseFret !== null && baseFret > filters.maxBaseFret) return false;
+    }
+    if (filters.maxDifficulty !== null &&
+        getDifficultyRank(scoreDifficulty(chord).tier) > getDifficultyRank(filters.maxDifficulty)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Restrict a dataset to the chords matching a filter set
+ * @param {Chord[]} dataset - Chords to filter
+ * @param {Object} [filters] - Filters to apply (all chords pass when omitted)
+ * @returns {Chord[]} Matching chords
+ */
+function filterChords(dataset, filters = null) {
+    if (!filters) {
+        return dataset;
+    }
+    return dataset.filter(chord => chordMatchesFilters(chord, filters));
+}
+
+/**
+ * Read filters from URL query parameters
+ * Supported: root=A,C  type=maj,m,7  voicing=open|moveable  minBaseFret=1  maxBaseFret=5
+ *            difficulty=beginner|intermediate (hardest tier allowed)
+ *            source=built-in,House voicings.csv
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Filters as created by createDefaultFilters()
+ */
+function parseFiltersFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const filters = createDefaultFilters();
+
+    // Lists may be given comma-separated, as repeated parameters, or both
+    const readList = name => params.getAll(name)
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(value => value !== '');
+    const readFret = name => {
+        const value = parseInt(params.get(name), 10);
+        return Number.isNaN(value) ? null : value;
+    };
+
+    filters.roots = readList('root');
+    filters.types = readList('type');
+    filters.sources = readList('source');
+    if (params.get('voicing') === 'open' || params.get('voicing') === 'moveable') {
+        filters.voicing = params.get('voicing');
+    }
+    filters.minBaseFret = readFret('minBaseFret');
+    filters.maxBaseFret = readFret('maxBaseFret');
+    if (getDifficultyRank(params.get('difficulty')) >= 0) {
+        filters.maxDifficulty = params.get('difficulty');
+    }
+
+    return filters;
+}
+
+/**
+ * Write filters as URL query parameters (inverse of parseFiltersFromQuery)
+ * @param {Object} filters - Filters to serialize
+ * @returns {string} Query string including the leading "?", or "" when no filter is set
+ */
+function filtersToQuery(filters) {
+    const params = new URLSearchParams();
+    if (filters.roots.length > 0) params.set('root', filters.roots.join(','));
+    if (filters.types.length > 0) params.set('type', filters.types.join(','));
+    if (filters.sources.length > 0) params.set('source', filters.sources.join(','));
+    if (filters.voicing !== 'any') params.set('voicing', filters.voicing);
+    if (filters.minBaseFret !== null) params.set('minBaseFret', filters.minBaseFret);
+    if (filters.maxBaseFret !== null) params.set('maxBaseFret', filters.maxBaseFret);
+    if (filters.maxDifficulty !== null) params.set('difficulty', filters.maxDifficulty);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
 /**
  * Load chord dataset from CSV file
  * @returns {Promise<boolean>} Success status
@@ -162,450 +411,5276 @@ async function loadChordDataset() {
 }
 
 /**
- * Calculate responsive dimensions based on viewport
- * @returns {Object} Dimensions object with width, height, and scaling factors
+ * Source tag of the chords in the bundled CSV
  */
-function calculateDimensions() {
-    // Always use viewport dimensions to prevent shrinking
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
+const BUILT_IN_SOURCE = 'built-in';
 
-    // Calculate optimal SVG dimensions with more compact layout
-    const aspectRatio = 3 / 3.5; // Slightly more compact width to height ratio  
-    let svgWidth = Math.min(viewportWidth * 0.9, 600);
-    let svgHeight = svgWidth / aspectRatio;
+/**
+ * Get where a chord came from
+ * @param {Chord} chord - Chord to inspect
+ * @returns {string} BUILT_IN_SOURCE, or the name of the library it was imported from
+ */
+function getChordSource(chord) {
+    return chord.source || BUILT_IN_SOURCE;
+}
 
-    if (svgHeight > viewportHeight * 0.9) {
-        svgHeight = viewportHeight * 0.9;
-        svgWidth = svgHeight * aspectRatio;
+/**
+ * Parse a user chord library in the dataset's semicolon CSV format or as JSON
+ * CSV may start with the dataset's header line. JSON is an array of chords (or { chords: [...] }),
+ * each { root, type, structure, fingerPositions, noteNames }, with the list fields given either as
+ * arrays or as the CSV's separated strings. Rows that fail are reported, not dropped silently.
+ * @param {string} text - File content
+ * @param {string} source - Library name, normally the file name; tagged on every chord
+ * @returns {Object} { chords, errors } where errors are { row, message } and row is the CSV line
+ *   or the 1-based JSON entry (null when the whole file is unreadable)
+ */
+function parseChordLibrary(text, source) {
+    const chords = [];
+    const errors = [];
+    const addChord = (row, fields) => {
+        const chord = new Chord(...fields);
+        const problems = describeChordProblems(chord);
+        if (problems.length > 0) {
+            errors.push({ row, message: problems.join('; ') });
+            return;
+        }
+        chord.source = source;
+        chords.push(chord);
+    };
+
+    if (/\.json$/i.test(source) || /^[[{]/.test(text.trim())) {
+        let entries;
+        try {
+            const parsed = JSON.parse(text);
+            entries = Array.isArray(parsed) ? parsed : parsed && parsed.chords;
+        } catch (error) {
+            return { chords, errors: [{ row: null, message: `Not valid JSON: ${error.message}` }] };
+        }
+        if (!Array.isArray(entries)) {
+            return { chords, errors: [{ row: null, message: 'Expected an array of chords or { "chords": [...] }' }] };
+        }
+
+        const fields = ['root', 'type', 'structure', 'fingerPositions', 'noteNames'];
+        const separators = { structure: ';', fingerPositions: ',', noteNames: ',' };
+        entries.forEach((entry, index) => {
+            const missing = fields.filter(field => !entry || entry[field] === undefined || entry[field] === null);
+            if (missing.length > 0) {
+                errors.push({ row: index + 1, message: `Missing ${missing.join(', ')}` });
+                return;
+            }
+            addChord(index + 1, fields.map(field =>
+                Array.isArray(entry[field]) ? entry[field].join(separators[field]) : String(entry[field]).trim()));
+        });
+        return { chords, errors };
     }
 
-    return {
-        width: svgWidth,
-        height: svgHeight,
-        scale: svgWidth / 600 // Base scale factor
-    };
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || (index === 0 && line.startsWith('CHORD_ROOT'))) return;
+        const parts = parseCsvLine(line);
+        if (parts.length < 5) {
+            errors.push({ row: index + 1, message: `Expected 5 fields separated by ";", found ${parts.length}` });
+            return;
+        }
+        addChord(index + 1, [parts[0], parts[1], parts[2].replace(/"/g, ''), parts[3], parts[4]]);
+    });
+    return { chords, errors };
 }
 
 /**
- * Calculate the absolute fret position for each string of a guitar chord
- * @param {Chord} chord - Chord object as defined in main.js
- * @returns {Array} Array of fret positions for strings 6-1, where 'x' means muted, numbers are fret positions
+ * Combine the built-in chords with imported libraries
+ * @param {Chord[]} dataset - Current dataset; chords from libraries are replaced
+ * @param {Object[]} libraries - Libraries as { name, chords }
+ * @returns {Chord[]} Built-in chords followed by each library's chords
  */
-function calculateAbsoluteFretPositions(chord) {
-    // Standard guitar tuning (string number -> open note)
-    const openStringNotes = {
-        6: 'E',  // Low E
-        5: 'A',  // A
-        4: 'D',  // D
-        3: 'G',  // G
-        2: 'B',  // B
-        1: 'E'   // High E
-    };
-
-    // Chromatic scale for calculating fret distances
-    const chromaticScale = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
-    // Helper function to normalize note names (handle enharmonic equivalents)
-    function normalizeNote(note) {
-        const noteMap = {
-            // Single flats
-            'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#',
-            // Single sharps that wrap around
-            'C##': 'D', 'D##': 'E', 'E#': 'F', 'F##': 'G', 'G##': 'A', 'A##': 'B', 'B#': 'C',
-            // Single flats that wrap around
-            'Fb': 'E', 'Cb': 'B',
-            // Double flats
-            'Cbb': 'A#', 'Dbb': 'C', 'Ebb': 'D', 'Fbb': 'D#', 'Gbb': 'F', 'Abb': 'G', 'Bbb': 'A'
-        };
-        return noteMap[note] || note;
+function mergeChordLibraries(dataset, libraries) {
+    const builtIn = dataset.filter(chord => getChordSource(chord) === BUILT_IN_SOURCE);
+    return [...builtIn, ...libraries.flatMap(library => library.chords)];
+}
+
+/**
+ * Characters a chord type may not contain, since names are drawn into SVG and HTML
+ */
+const MARKUP_CHARACTERS = /[<>&"']/;
+
+/**
+ * Explain why a chord row is malformed, in words a user can act on
+ * Covers what Chord.isValid() checks plus the root, type, structure and note names.
+ * @param {Chord} chord - Chord built from a CSV row or library entry
+ * @returns {string[]} Problems found; empty when the chord is well formed
+ */
+function describeChordProblems(chord) {
+    const problems = [];
+    if (chord.fingerPositions.length !== 6) {
+        problems.push(`Expected 6 finger positions, found ${chord.fingerPositions.length}`);
+    } else if (chord.fingerPositions.some(finger => !/^[x0-4]$/.test(finger))) {
+        problems.push(`Finger positions must be x, 0 or 1-4: ${chord.fingerPositions.join(',')}`);
+    } else if (chord.fingerPositions.every(finger => finger === 'x')) {
+        problems.push('Every string is muted');
+    } else if (!chord.isValid()) {
+        const sounding = chord.fingerPositions.filter(finger => finger !== 'x').length;
+        problems.push(`${sounding} sounding strings but ${chord.noteNames.filter(note => note !== '').length} note names`);
+    }
+    if (noteToPitchClass(chord.root) === null) {
+        problems.push(`Unknown root ${chord.root}`);
     }
+    if (MARKUP_CHARACTERS.test(chord.type)) {
+        problems.push('Chord type must not contain < > & " or \'');
+    }
+    const badIntervals = chord.structure.filter(interval => parseInterval(interval) === null);
+    if (chord.structure.join('') === '') {
+        problems.push('Missing structure');
+    } else if (badIntervals.length > 0) {
+        problems.push(`Unparseable structure intervals: ${badIntervals.join(', ')}`);
+    }
+    const badNotes = chord.noteNames.filter(note => note !== '' && noteToPitchClass(note) === null);
+    if (badNotes.length > 0) {
+        problems.push(`Unknown note names: ${badNotes.join(', ')}`);
+    }
+    return problems;
+}
 
-    // Helper function to calculate fret distance between two notes
-    function getFretDistance(fromNote, toNote) {
-        const normalizedFrom = normalizeNote(fromNote);
-        const normalizedTo = normalizeNote(toNote);
+/**
+ * Check every row of the chord CSV and report what is wrong with it
+ * Unlike parseChordData(), rows are never dropped silently: each problem is reported with
+ * its line number. Checks:
+ *   format     the row has five fields, six finger values (x, 0-4), one note per sounding
+ *              string, a known root and parseable structure and note names
+ *   notes      every note is a tone of root + structure, and open strings carry the open string's note
+ *   window     the fretted notes fit the 5-fret window (fitsDiagramWindow())
+ *   fingering  one finger per fret, higher fingers not behind lower ones, and no stretch of more
+ *              than two frets beyond one fret per finger
+ *   duplicate  the same voicing (frets and fingers) as an earlier row; an error when the row is identical, a
+ *              warning when only the spelling differs (A# and Bb roots, or other note names)
+ * @param {string} csvData - Raw CSV content, header line first
+ * @returns {Object} { rows, validRows, issues, summary } where issues are
+ *   { line, chord, check, severity, message, suggestion? } and summary counts issues by check
+ */
+function validateChordDataset(csvData) {
+    const lines = csvData.trim().split('\n');
+    const issues = [];
+    const seenRows = new Map();
+    const seenVoicings = new Map();
+    const openStrings = STANDARD_TUNING.notes;
+    let rows = 0;
 
-        const fromIndex = chromaticScale.indexOf(normalizedFrom);
-        const toIndex = chromaticScale.indexOf(normalizedTo);
+    for (let i = 1; i < lines.length; i++) {
+        const text = lines[i].trim();
+        if (text === '') continue;
+        rows++;
 
-        if (fromIndex === -1 || toIndex === -1) {
-            console.warn(`Unknown note: ${fromNote} -> ${normalizedFrom} or ${toNote} -> ${normalizedTo}`);
-            return 0;
-        }
+        const line = i + 1;
+        const parts = parseCsvLine(text);
+        const label = parts.length >= 2 ? `${parts[0]}${parts[1]} ${parts[3] || ''}`.trim() : text;
+        const rowIssues = [];
+        const report = (check, severity, message, suggestion) => rowIssues.push({
+            line, chord: label, check, severity, message, ...(suggestion !== undefined && { suggestion })
+        });
 
-        // Calculate distance, handling wrap-around
-        let distance = toIndex - fromIndex;
-        if (distance < 0) {
-            distance += 12; // Add octave
+        // Format problems stop the row; the other checks need a well-formed chord
+        if (parts.length < 5) {
+            report('format', 'error', `Expected 5 fields, found ${parts.length}`);
+            issues.push(...rowIssues);
+            continue;
+        }
+        const chord = new Chord(parts[0], parts[1], parts[2].replace(/"/g, ''), parts[3], parts[4]);
+        for (const problem of describeChordProblems(chord)) {
+            report('format', 'error', problem);
+        }
+        if (rowIssues.length > 0) {
+            issues.push(...rowIssues);
+            continue;
         }
-        return distance;
-    }
-
-    // Initialize result array for 6 strings
-    const fretPositions = new Array(6);
-    let noteIndex = 0; // Index for NOTE_NAMES array (only counts non-x positions)
 
-    // Step 1: Calculate initial fret positions for each string
-    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-        const fingerPosition = chord.fingerPositions[stringIndex];
-        const stringNumber = 6 - stringIndex; // Convert index to string number (6, 5, 4, 3, 2, 1)
+        // Notes must be chord tones, and open strings must sound their own note
+        let noteIndex = 0;
+        chord.fingerPositions.forEach((finger, stringIndex) => {
+            if (finger === 'x') return;
+            const note = chord.noteNames[noteIndex++];
+            const interval = findIntervalForNote(chord.root, chord.structure, note);
+            if (interval === null) {
+                report('notes', 'error', `${note} on string ${6 - stringIndex} is not in ${chord.root} ${chord.structure.join(';')}`);
+            } else if (spellInterval(chord.root, interval) !== note && spellInterval(chord.root, interval) !== null) {
+                report('notes', 'warning', `${note} on string ${6 - stringIndex} is spelled differently from the ${interval}`,
+                    spellInterval(chord.root, interval));
+            }
+            if (finger === '0' && noteToPitchClass(note) !== noteToPitchClass(openStrings[stringIndex])) {
+                report('notes', 'error', `String ${6 - stringIndex} is open but the note is ${note}, not ${openStrings[stringIndex]}`);
+            }
+        });
 
-        if (fingerPosition === 'x') {
-            // Muted string
-            fretPositions[stringIndex] = 'x';
-        } else if (fingerPosition === '0') {
-            // Open string
-            fretPositions[stringIndex] = 0;
-            noteIndex++; // Increment for non-muted strings
-        } else {
-            // Fingered position (1-4)
-            const targetNote = chord.noteNames[noteIndex];
-            const openNote = openStringNotes[stringNumber];
+        // The fretted notes must fit the diagram
+        const frets = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+        const diagramWindow = fitsDiagramWindow(frets);
+        if (!diagramWindow.fits) {
+            report('window', 'error', `Frets ${diagramWindow.lowest}-${diagramWindow.highest} do not fit a 5-fret diagram`);
+        }
 
-            // Calculate what fret this note would be on this string
-            const fretDistance = getFretDistance(openNote, targetNote);
-            fretPositions[stringIndex] = fretDistance;
+        // Fingering: each finger on one fret, ordered along the neck, within reach
+        const fingerFrets = new Map();
+        chord.fingerPositions.forEach((finger, stringIndex) => {
+            if (finger === 'x' || finger === '0') return;
+            if (!fingerFrets.has(finger)) {
+                fingerFrets.set(finger, new Set());
+            }
+            fingerFrets.get(finger).add(frets[stringIndex]);
+        });
+        for (const [finger, fretSet] of fingerFrets) {
+            if (fretSet.size > 1) {
+                report('fingering', 'error', `Finger ${finger} is on frets ${[...fretSet].sort((a, b) => a - b).join(' and ')}`);
+            }
+        }
+        const fingerOrder = [...fingerFrets.keys()].sort();
+        for (let a = 0; a < fingerOrder.length; a++) {
+            for (let b = a + 1; b < fingerOrder.length; b++) {
+                const lowFret = Math.min(...fingerFrets.get(fingerOrder[a]));
+                const highFret = Math.max(...fingerFrets.get(fingerOrder[b]));
+                const fingerGap = Number(fingerOrder[b]) - Number(fingerOrder[a]);
+                if (Math.max(...fingerFrets.get(fingerOrder[b])) < Math.min(...fingerFrets.get(fingerOrder[a]))) {
+                    report('fingering', 'error', `Finger ${fingerOrder[b]} is behind finger ${fingerOrder[a]}`);
+                } else if (highFret - lowFret > fingerGap + 2) {
+                    report('fingering', 'warning', `Fingers ${fingerOrder[a]} and ${fingerOrder[b]} stretch ${highFret - lowFret} frets`);
+                }
+            }
+        }
 
-            noteIndex++; // Increment for non-muted strings
+        // Duplicates: identical rows, or the same voicing under an enharmonic root
+        const rowKey = [chord.root, chord.type, chord.fingerPositions.join(','), chord.noteNames.join(',')].join(';');
+        // Moveable shapes repeat along the neck, so the frets are part of the voicing
+        const voicingKey = [noteToPitchClass(chord.root), chord.type, frets.join(','), chord.fingerPositions.join(',')].join(';');
+        if (seenRows.has(rowKey)) {
+            report('duplicate', 'error', `Same row as line ${seenRows.get(rowKey)}`, 'remove');
+        } else if (seenVoicings.has(voicingKey)) {
+            const earlier = seenVoicings.get(voicingKey);
+            const difference = earlier.root === chord.root ? 'with other note spellings' : `as ${earlier.root}${chord.type}`;
+            report('duplicate', 'warning', `Same voicing as line ${earlier.line} ${difference}`);
         }
+        if (!seenRows.has(rowKey)) seenRows.set(rowKey, line);
+        if (!seenVoicings.has(voicingKey)) seenVoicings.set(voicingKey, { line, root: chord.root });
+
+        issues.push(...rowIssues);
     }
 
-    // Step 2: Find the maximum fret number across all strings (ignoring 'x')
-    const numericFrets = fretPositions.filter(fret => fret !== 'x');
-    const maxFret = Math.max(...numericFrets);
+    const summary = {};
+    for (const issue of issues) {
+        summary[issue.check] = summary[issue.check] || { error: 0, warning: 0 };
+        summary[issue.check][issue.severity]++;
+    }
+    const linesWithErrors = new Set(issues.filter(issue => issue.severity === 'error').map(issue => issue.line));
 
-    // Step 3: Apply the octave adjustment rule
-    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-        const fingerPosition = chord.fingerPositions[stringIndex];
+    return { rows, validRows: rows - linesWithErrors.size, issues, summary };
+}
 
-        // Only apply rule to fingered positions (1-4)
-        if (fingerPosition !== 'x' && fingerPosition !== '0' && parseInt(fingerPosition) >= 1 && parseInt(fingerPosition) <= 4) {
-            const currentFret = fretPositions[stringIndex];
+/**
+ * Format a validation report as a short human-readable summary
+ * @param {Object} report - Result of validateChordDataset()
+ * @param {number} [listLimit] - Error lines to list before eliding the rest
+ * @returns {string} Summary text
+ */
+function formatValidationSummary(report, listLimit = 20) {
+    const lines = [`${report.rows} rows checked, ${report.validRows} without errors`];
+    for (const [check, counts] of Object.entries(report.summary)) {
+        lines.push(`  ${check}: ${counts.error} errors, ${counts.warning} warnings`);
+    }
 
-            // If computed fret < (max - 6), add 12
-            if (currentFret < (maxFret - 6)) {
-                fretPositions[stringIndex] = currentFret + 12;
-            }
-        }
+    const errors = report.issues.filter(issue => issue.severity === 'error');
+    for (const issue of errors.slice(0, listLimit)) {
+        lines.push(`  line ${issue.line} (${issue.chord}): ${issue.message}`);
     }
+    if (errors.length > listLimit) {
+        lines.push(`  ... and ${errors.length - listLimit} more errors`);
+    }
+    return lines.join('\n');
+}
 
-    return fretPositions;
+/**
+ * Spell a root transposed by a number of semitones, using common root spellings
+ * @param {string} root - Original root note
+ * @param {number} semitones - Semitones to move (may be negative)
+ * @returns {string|null} Transposed root name, or null if the root cannot be parsed
+ */
+function transposeRootName(root, semitones) {
+    const pitchClass = noteToPitchClass(root);
+    if (pitchClass === null) {
+        return null;
+    }
+    return ROOT_SPELLINGS[(((pitchClass + semitones) % 12) + 12) % 12];
 }
 
 /**
- * Normalize fret positions for chord diagrams, allowing open strings to remain open
- * while calculating base fret from fingered positions only
- * @param {Array} fretPositions - Array of fret positions (from calculateAbsoluteFretPositions)
- * @returns {Object} Object with normalized positions and base fret offset
+ * Find which structure interval a spelled chord tone represents
+ * Prefers an exact spelling match and falls back to pitch class.
+ * @param {string} root - Chord root
+ * @param {string[]} structure - Chord structure intervals
+ * @param {string} note - Spelled chord tone
+ * @returns {string|null} Matching interval, or null if the note is not a chord tone
  */
-function normalizeFretPositions(fretPositions) {
-    // Find all numeric frets (ignoring 'x' for muted strings)
-    const numericFrets = fretPositions.filter(fret => fret !== 'x' && typeof fret === 'number');
+function findIntervalForNote(root, structure, note) {
+    const exact = structure.find(interval => spellInterval(root, interval) === note);
+    if (exact) {
+        return exact;
+    }
 
-    // If no numeric frets, return original array with offset 0
-    if (numericFrets.length === 0) {
-        return {
-            positions: [...fretPositions],
-            baseFret: 0
-        };
+    const rootPitchClass = noteToPitchClass(root);
+    const notePitchClass = noteToPitchClass(note);
+    if (rootPitchClass === null || notePitchClass === null) {
+        return null;
     }
+    const offset = (notePitchClass - rootPitchClass + 12) % 12;
+    return structure.find(interval => intervalToSemitones(interval) === offset) || null;
+}
 
-    // Find fingered frets (excluding open strings - fret 0)
-    const fingeredFrets = numericFrets.filter(fret => fret > 0);
+/**
+ * Move a shape by an exact number of frets, respelling it for a new root
+ * Open strings can only move up: they become an index-finger barre and every other
+ * finger moves up one number, which fails if that would need a fifth finger.
+ * @param {Chord} chord - Chord to move
+ * @param {number} shift - Frets to move (negative = towards the nut)
+ * @param {string} newRoot - Root name of the result
+ * @returns {Object} { chord: Chord|null, reason: string|null }
+ */
+function shiftChordShape(chord, shift, newRoot) {
+    // Shapes are moved in standard tuning, where the dataset fingering applies
+    const absolutePositions = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+    const hasOpenStrings = absolutePositions.includes(0);
 
-    // If no fingered frets (all open strings), no normalization needed
-    if (fingeredFrets.length === 0) {
-        return {
-            positions: [...fretPositions],
-            baseFret: 0
-        };
+    let fingerPositions = [...chord.fingerPositions];
+    if (hasOpenStrings && shift !== 0) {
+        if (shift < 0) {
+            return { chord: null, reason: 'open strings cannot move below the nut' };
+        }
+        fingerPositions = fingerPositions.map(finger => {
+            if (finger === 'x') return 'x';
+            return String(parseInt(finger, 10) + 1);
+        });
+        if (fingerPositions.some(finger => finger !== 'x' && parseInt(finger, 10) > 4)) {
+            return { chord: null, reason: 'barring the open strings would need a fifth finger' };
+        }
     }
 
-    const minFingeredFret = Math.min(...fingeredFrets);
-    const maxFingeredFret = Math.max(...fingeredFrets);
-    const fingeredSpan = maxFingeredFret - minFingeredFret;
+    const shiftedPositions = absolutePositions.map(fret => fret === 'x' ? 'x' : fret + shift);
+    const frettedPositions = shiftedPositions.filter(fret => fret !== 'x');
+    if (frettedPositions.some(fret => fret < (hasOpenStrings ? 0 : 1))) {
+        return { chord: null, reason: 'the shape would move below the nut' };
+    }
+    if (frettedPositions.some(fret => fret > MAX_PLAYABLE_FRET)) {
+        return { chord: null, reason: `the shape would move past fret ${MAX_PLAYABLE_FRET}` };
+    }
 
-    // Calculate base fret and normalization amount
-    let subtractAmount = 0;
-    let baseFret = 0;
+    // Respell each chord tone from its interval so letter names follow the new root
+    const noteNames = [];
+    for (const note of chord.noteNames) {
+        const interval = findIntervalForNote(chord.root, chord.structure, note);
+        const pitchClass = (noteToPitchClass(note) + shift % 12 + 12) % 12;
+        const spelled = interval ? spellInterval(newRoot, interval) : null;
+        noteNames.push(spelled || ROOT_SPELLINGS[pitchClass]);
+    }
 
-    if (minFingeredFret >= 2) {
-        // For chords where the lowest fingered fret is 2 or higher, 
-        // normalize to start at fret 1
-        subtractAmount = minFingeredFret - 1;
-        baseFret = subtractAmount;
-    } else if (fingeredSpan > 5) {
-        // For chords with fingered span > 5 frets, we may need to shift
-        // to fit within the 5-fret display window
-        subtractAmount = Math.max(0, minFingeredFret - 1);
-        baseFret = subtractAmount;
+    const transposed = new Chord(
+        newRoot,
+        chord.type,
+        chord.structure.join(';'),
+        fingerPositions.join(','),
+        noteNames.join(',')
+    );
+
+    // Fret positions are derived from note names, so the new shape must round-trip exactly
+    const derivedPositions = calculateAbsoluteFretPositions(transposed, STANDARD_INSTRUMENT);
+    if (derivedPositions.some((fret, stringIndex) => fret !== shiftedPositions[stringIndex])) {
+        return { chord: null, reason: 'the shape cannot be represented at that position' };
     }
 
-    // Apply normalization: subtract from fingered frets only, leave open strings (0) unchanged
-    const normalizedPositions = fretPositions.map(fret => {
-        if (fret === 'x') {
-            return 'x';  // Muted strings stay muted
-        } else if (fret === 0) {
-            return 0;    // Open strings stay open
-        } else {
-            return fret - subtractAmount;  // Subtract from fingered positions only
-        }
-    });
+    return { chord: transposed, reason: null };
+}
 
-    // Verify the result fits in a 5-fret window (check fingered frets only)
-    const normalizedFingered = normalizedPositions.filter(fret => typeof fret === 'number' && fret > 0);
-    if (normalizedFingered.length > 0) {
-        const normalizedMax = Math.max(...normalizedFingered);
+/**
+ * Try to transpose a chord, explaining why when it cannot be done
+ * When the exact shift is impossible the same root is tried an octave up or down.
+ * @param {Chord} chord - Chord to transpose
+ * @param {number|string} target - Semitones to move, or the target root name
+ * @returns {Object} { chord: Chord|null, reason: string|null }
+ */
+function attemptTransposition(chord, target) {
+    let semitones;
+    let newRoot;
+
+    if (typeof target === 'string') {
+        const targetPitchClass = noteToPitchClass(target);
+        const rootPitchClass = noteToPitchClass(chord.root);
+        if (targetPitchClass === null || rootPitchClass === null) {
+            return { chord: null, reason: `unknown root ${targetPitchClass === null ? target : chord.root}` };
+        }
+        // Shortest move first: -6..+5 semitones
+        semitones = (targetPitchClass - rootPitchClass + 12) % 12;
+        if (semitones > 5) semitones -= 12;
+        newRoot = target;
+    } else {
+        semitones = target;
+        newRoot = transposeRootName(chord.root, semitones);
+        if (newRoot === null) {
+            return { chord: null, reason: `unknown root ${chord.root}` };
+        }
+    }
+
+    const shifts = semitones >= 0 ? [semitones, semitones - 12, semitones + 12] : [semitones, semitones + 12, semitones - 12];
+    let firstReason = null;
+    for (const shift of shifts) {
+        const result = shiftChordShape(chord, shift, newRoot);
+        if (result.chord) {
+            return result;
+        }
+        firstReason = firstReason || result.reason;
+    }
+
+    return { chord: null, reason: firstReason };
+}
+
+/**
+ * Transpose a chord to a new root, moving the shape along the neck
+ * @param {Chord} chord - Chord to transpose
+ * @param {number|string} target - Semitones to move, or the target root name
+ * @returns {Chord|null} New transposed chord, or null if the shape cannot be transposed
+ */
+function transposeChord(chord, target) {
+    const { chord: transposed, reason } = attemptTransposition(chord, target);
+    if (!transposed) {
+        console.warn(`Cannot transpose ${chord.displayName} by ${target}: ${reason}`);
+    }
+    return transposed;
+}
+
+/**
+ * Build a stable, human-readable ID for a voicing, e.g. "Bb/m7/x13121" or "C#/m7b5/x1324x@4"
+ * The finger pattern follows root and type; "@N" adds the base fret shown beside the
+ * diagram (in standard tuning) so the same shape at different positions stays distinct.
+ * @param {Chord} chord - Chord to identify
+ * @returns {string} Chord ID
+ */
+function getChordId(chord) {
+    const { baseFret } = normalizeFretPositions(calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT));
+    const position = baseFret > 0 ? `@${baseFret + 1}` : '';
+    return `${chord.root}/${chord.type}/${chord.fingerPositions.join('')}${position}`;
+}
+
+/**
+ * Split a chord ID into its parts
+ * Types may themselves contain "/" (e.g. "6/9"), so root and fingers are taken from the ends.
+ * @param {string} id - Chord ID, e.g. "C/6/9/x32233"
+ * @returns {Object|null} { root, type, fingers, position } (position null at the nut), or null if malformed
+ */
+function parseChordId(id) {
+    const parts = String(id).split('/');
+    if (parts.length < 3) {
+        return null;
+    }
+
+    const match = parts[parts.length - 1].match(/^([x0-4]{6})(?:@(\d+))?$/);
+    const root = parts[0];
+    const type = parts.slice(1, -1).join('/');
+    if (!match || noteToPitchClass(root) === null || type === '') {
+        return null;
+    }
+
+    return { root, type, fingers: match[1], position: match[2] ? parseInt(match[2], 10) : null };
+}
+
+/**
+ * Find the chord a chord ID refers to
+ * IDs of transposed chords are not in the dataset, so when there is no direct match the
+ * voicings of the same type are transposed to the ID's root and compared again.
+ * @param {string} id - Chord ID
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Chord|null} Matching chord, or null if none matches
+ */
+function findChordById(id, dataset) {
+    const parsed = parseChordId(id);
+    if (!parsed) {
+        return null;
+    }
+
+    const direct = dataset.find(chord => getChordId(chord) === id);
+    if (direct) {
+        return direct;
+    }
+
+    for (const chord of dataset) {
+        if (chord.type !== parsed.type || chord.root === parsed.root) continue;
+        const { chord: transposed } = attemptTransposition(chord, parsed.root);
+        if (transposed && getChordId(transposed) === id) {
+            return transposed;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the URL hash for a chord ID
+ * "/" and "@" are kept readable; "#" in sharp roots and other reserved characters are escaped.
+ * @param {string} id - Chord ID
+ * @returns {string} Hash including the leading "#", e.g. "#Bb/m7/x13121"
+ */
+function chordIdToHash(id) {
+    return '#' + encodeURIComponent(id).replace(/%2F/g, '/').replace(/%40/g, '@');
+}
+
+/**
+ * Read a chord ID from a URL hash
+ * @param {string} hash - Hash, e.g. window.location.hash
+ * @returns {string|null} Chord ID, or null if the hash is empty or not decodable
+ */
+function parseChordHash(hash) {
+    const text = (hash || '').replace(/^#/, '');
+    if (text === '') {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        console.warn('Ignoring malformed chord link:', hash);
+        return null;
+    }
+}
+
+/**
+ * Build the key used to group voicings of the same chord
+ * @param {Chord} chord - Chord to key
+ * @returns {string} Key combining root and type, e.g. "A#|13"
+ */
+function getVoicingGroupKey(chord) {
+    return `${chord.root}|${chord.type}`;
+}
+
+/**
+ * Get every voicing of a chord's root and type, sorted by base fret (lowest position first)
+ * @param {Chord} chord - Chord whose voicings to find
+ * @param {Chord[]} [dataset] - Optional dataset to use instead of global chordDataset
+ * @returns {Chord[]} Voicings, including the chord itself when it is part of the dataset
+ */
+function getChordVoicings(chord, dataset = null) {
+    const key = getVoicingGroupKey(chord);
+    const voicings = (dataset || chordDataset).filter(candidate => getVoicingGroupKey(candidate) === key);
+
+    // Array.prototype.sort is stable, so voicings at the same base fret keep dataset order
+    return voicings
+        .map(voicing => ({ voicing, baseFret: getDisplayedBaseFret(voicing) }))
+        .sort((a, b) => a.baseFret - b.baseFret)
+        .map(entry => entry.voicing);
+}
+
+/**
+ * Calculate responsive dimensions based on viewport
+ * @returns {Object} Dimensions object with width, height, and scaling factors
+ */
+function calculateDimensions() {
+    // Always use viewport dimensions to prevent shrinking
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+
+    // Calculate optimal SVG dimensions with more compact layout
+    const aspectRatio = 3 / 3.5; // Slightly more compact width to height ratio  
+    let svgWidth = Math.min(viewportWidth * 0.9, 600);
+    let svgHeight = svgWidth / aspectRatio;
+
+    if (svgHeight > viewportHeight * 0.9) {
+        svgHeight = viewportHeight * 0.9;
+        svgWidth = svgHeight * aspectRatio;
+    }
+
+    return {
+        width: svgWidth,
+        height: svgHeight,
+        scale: svgWidth / 600 // Base scale factor
+    };
+}
+
+/**
+ * Natural note letters in scale order, with their pitch classes
+ */
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Split a spelled note name into its letter and chromatic alteration
+ * @param {string} note - Note name such as "C", "F#", "Bbb" or "C##"
+ * @returns {Object|null} { letter, alter } where alter is -2..2, or null if unparseable
+ */
+function parseNoteName(note) {
+    const match = /^([A-G])(##|#|bb|b)?$/.exec(note);
+    if (!match) {
+        return null;
+    }
+
+    const accidental = match[2] || '';
+    let alter = 0;
+    if (accidental.startsWith('#')) {
+        alter = accidental.length;
+    } else if (accidental.startsWith('b')) {
+        alter = -accidental.length;
+    }
+    return { letter: match[1], alter: alter };
+}
+
+/**
+ * Get the pitch class (0 = C ... 11 = B) of a spelled note, resolving enharmonics (Db = C#, B# = C)
+ * @param {string} note - Note name such as "Db", "B#" or "Fbb"
+ * @returns {number|null} Pitch class, or null if the note cannot be parsed
+ */
+function noteToPitchClass(note) {
+    const parsed = parseNoteName(note);
+    if (!parsed) {
+        return null;
+    }
+    return (LETTER_PITCH_CLASSES[parsed.letter] + parsed.alter + 12) % 12;
+}
+
+/**
+ * Calculate the fret distance (0-11 semitones upwards) between two notes
+ * @param {string} fromNote - Note of the open string
+ * @param {string} toNote - Note to reach
+ * @returns {number} Semitones from fromNote up to toNote, or 0 if either note is unknown
+ */
+function getFretDistance(fromNote, toNote) {
+    const fromIndex = noteToPitchClass(fromNote);
+    const toIndex = noteToPitchClass(toNote);
+
+    if (fromIndex === null || toIndex === null) {
+        console.warn(`Unknown note: ${fromNote} or ${toNote}`);
+        return 0;
+    }
+
+    // Calculate distance, handling wrap-around
+    return (toIndex - fromIndex + 12) % 12;
+}
+
+/**
+ * Semitones above the root for each major-scale degree (1-7)
+ */
+const MAJOR_SCALE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Parse a chord structure interval such as "b3", "#11" or "bb7"
+ * @param {string} interval - Interval from CHORD_STRUCTURE
+ * @returns {Object|null} { degree, semitones } where semitones may exceed 11 for compound intervals,
+ *   or null if unparseable
+ */
+function parseInterval(interval) {
+    const match = /^(bb|b|##|#)?(\d+)$/.exec(interval);
+    if (!match) {
+        return null;
+    }
+
+    const accidental = match[1] || '';
+    const degree = parseInt(match[2], 10);
+    if (degree < 1) {
+        return null;
+    }
+
+    let alter = 0;
+    if (accidental.startsWith('#')) {
+        alter = accidental.length;
+    } else if (accidental.startsWith('b')) {
+        alter = -accidental.length;
+    }
+
+    const octaves = Math.floor((degree - 1) / 7);
+    const semitones = MAJOR_SCALE_SEMITONES[(degree - 1) % 7] + 12 * octaves + alter;
+    return { degree, semitones };
+}
+
+/**
+ * Get the pitch class offset of an interval above the root (0-11)
+ * @param {string} interval - Interval from CHORD_STRUCTURE, e.g. "b7"
+ * @returns {number|null} Semitones modulo 12, or null if unparseable
+ */
+function intervalToSemitones(interval) {
+    const parsed = parseInterval(interval);
+    return parsed ? ((parsed.semitones % 12) + 12) % 12 : null;
+}
+
+/**
+ * Spell the note an interval above a root, using the interval's degree for the letter
+ * e.g. spellInterval('A#', '3') === 'C##', spellInterval('Eb', 'b5') === 'Bbb'
+ * @param {string} root - Root note name
+ * @param {string} interval - Interval from CHORD_STRUCTURE
+ * @returns {string|null} Spelled note name, or null if it would need more than two accidentals
+ */
+function spellInterval(root, interval) {
+    const parsedRoot = parseNoteName(root);
+    const parsedInterval = parseInterval(interval);
+    if (!parsedRoot || !parsedInterval) {
+        return null;
+    }
+
+    const rootLetterIndex = NOTE_LETTERS.indexOf(parsedRoot.letter);
+    const letter = NOTE_LETTERS[(rootLetterIndex + parsedInterval.degree - 1) % 7];
+    const targetPitchClass = (noteToPitchClass(root) + parsedInterval.semitones) % 12;
+
+    // Alteration needed on the natural letter, folded into the range -6..5
+    let alter = (targetPitchClass - LETTER_PITCH_CLASSES[letter] + 12) % 12;
+    if (alter > 6) alter -= 12;
+    if (Math.abs(alter) > 2) {
+        return null;
+    }
+
+    const accidental = alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter);
+    return letter + accidental;
+}
+
+/**
+ * Highest fret a voicing may use (transposed shapes and alternate tunings)
+ */
+const MAX_PLAYABLE_FRET = 15;
+
+/**
+ * Parse a pitch in scientific notation, e.g. "E2", "F#3" or "Bb"
+ * @param {string} text - Pitch text; the octave may be omitted when nearMidi is given
+ * @param {number} [nearMidi] - When no octave is given, pick the octave closest to this MIDI note
+ * @returns {Object|null} { name, midi } or null if the pitch cannot be parsed
+ */
+function parsePitch(text, nearMidi = null) {
+    const match = /^([A-G](?:##|#|bb|b)?)(-?\d)?$/.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+
+    const name = match[1];
+    const pitchClass = noteToPitchClass(name);
+    if (match[2] !== undefined) {
+        // MIDI 60 is C4; B#3 and Cb4 cross the octave boundary with their letter
+        const parsed = parseNoteName(name);
+        const midi = (parseInt(match[2], 10) + 1) * 12 + LETTER_PITCH_CLASSES[parsed.letter] + parsed.alter;
+        return { name, midi };
+    }
+    if (nearMidi === null) {
+        return null;
+    }
+
+    let offset = (pitchClass - nearMidi % 12 + 12) % 12;
+    if (offset > 6) offset -= 12;
+    return { name, midi: nearMidi + offset };
+}
+
+/**
+ * Create a tuning from six open-string pitches
+ * @param {string} id - Registry identifier
+ * @param {string} name - Human-readable name
+ * @param {string[]} pitches - Open-string pitches, Low to High, e.g. ['D2', 'A2', ...]
+ * @returns {Object|null} { id, name, notes, openMidi } or null if a pitch is invalid
+ */
+function createTuning(id, name, pitches) {
+    const parsed = pitches.map(pitch => parsePitch(pitch));
+    if (parsed.length !== 6 || parsed.some(pitch => pitch === null)) {
+        return null;
+    }
+    return {
+        id,
+        name,
+        notes: parsed.map(pitch => pitch.name),
+        openMidi: parsed.map(pitch => pitch.midi)
+    };
+}
+
+/**
+ * Tuning registry; the dataset's shapes are all written for the first (standard) entry
+ */
+const TUNING_PRESETS = [
+    createTuning('standard', 'Standard', ['E2', 'A2', 'D3', 'G3', 'B3', 'E4']),
+    createTuning('half-step-down', 'Half step down', ['Eb2', 'Ab2', 'Db3', 'Gb3', 'Bb3', 'Eb4']),
+    createTuning('drop-d', 'Drop D', ['D2', 'A2', 'D3', 'G3', 'B3', 'E4']),
+    createTuning('double-drop-d', 'Double drop D', ['D2', 'A2', 'D3', 'G3', 'B3', 'D4']),
+    createTuning('drop-c', 'Drop C', ['C2', 'G2', 'C3', 'F3', 'A3', 'D4']),
+    createTuning('dadgad', 'DADGAD', ['D2', 'A2', 'D3', 'G3', 'A3', 'D4']),
+    createTuning('open-d', 'Open D', ['D2', 'A2', 'D3', 'F#3', 'A3', 'D4']),
+    createTuning('open-g', 'Open G', ['D2', 'G2', 'D3', 'G3', 'B3', 'D4']),
+    createTuning('open-e', 'Open E', ['E2', 'B2', 'E3', 'G#3', 'B3', 'E4'])
+];
+const STANDARD_TUNING = TUNING_PRESETS[0];
+
+/**
+ * Look up a tuning preset by id
+ * @param {string} id - Preset identifier, e.g. "drop-d"
+ * @returns {Object|null} Tuning, or null if there is no such preset
+ */
+function getTuningPreset(id) {
+    return TUNING_PRESETS.find(tuning => tuning.id === id) || null;
+}
+
+/**
+ * Parse a custom tuning typed by the user, Low to High
+ * Octaves are optional ("D A D G A D"); without one each string takes the octave
+ * closest to the same string in standard tuning.
+ * @param {string} text - Six pitches separated by spaces or commas
+ * @returns {Object|null} Tuning with id "custom", or null if the text is not six valid pitches
+ */
+function parseCustomTuning(text) {
+    const tokens = text.trim().split(/[\s,]+/).filter(token => token !== '');
+    if (tokens.length !== 6) {
+        return null;
+    }
+
+    const pitches = tokens.map((token, stringIndex) => parsePitch(token, STANDARD_TUNING.openMidi[stringIndex]));
+    if (pitches.some(pitch => pitch === null)) {
+        return null;
+    }
+
+    const octaveOf = pitch => Math.floor(pitch.midi / 12) - 1;
+    return createTuning('custom', `Custom (${tokens.join(' ')})`, pitches.map(pitch => `${pitch.name}${octaveOf(pitch)}`));
+}
+
+/**
+ * Create instrument settings (tuning plus capo)
+ * @param {Object} [tuning] - Tuning from the registry or parseCustomTuning()
+ * @param {number} [capo] - Capo fret, 0 for none
+ * @returns {Object} { tuning, capo }
+ */
+function createInstrumentSettings(tuning = STANDARD_TUNING, capo = 0) {
+    return { tuning, capo };
+}
+
+const STANDARD_INSTRUMENT = createInstrumentSettings();
+
+/**
+ * Get the active instrument settings
+ * @returns {Object} Current tuning and capo (standard tuning without capo by default)
+ */
+function getInstrumentSettings() {
+    return instrumentSettings || STANDARD_INSTRUMENT;
+}
+
+/**
+ * Get the sounding pitch of each open (or capoed) string
+ * @param {Object} settings - Instrument settings
+ * @returns {number[]} MIDI note numbers, Low to High
+ */
+function getOpenStringMidi(settings) {
+    return settings.tuning.openMidi.map(midi => midi + settings.capo);
+}
+
+/**
+ * Check whether settings match the standard tuning the dataset was written for
+ * @param {Object} settings - Instrument settings
+ * @returns {boolean} True for standard tuning without capo
+ */
+function isStandardInstrument(settings) {
+    return settings.capo === 0 &&
+        settings.tuning.openMidi.every((midi, stringIndex) => midi === STANDARD_TUNING.openMidi[stringIndex]);
+}
+
+/**
+ * Describe instrument settings for labels, e.g. "Drop D (D A D G B E), capo 2"
+ * @param {Object} settings - Instrument settings
+ * @returns {string} Description
+ */
+function describeInstrumentSettings(settings) {
+    let description = settings.tuning.id === 'custom'
+        ? settings.tuning.name
+        : `${settings.tuning.name} (${settings.tuning.notes.join(' ')})`;
+    if (settings.capo > 0) {
+        description += `, capo ${settings.capo}`;
+    }
+    return description;
+}
+
+/**
+ * Move standard-tuning fret positions to another tuning, keeping every pitch relative to the capo
+ * The capo acts as a new nut: frets are counted from it and the shape sounds higher by the
+ * capo fret, so open shapes stay playable. A note below the open string moves up an octave.
+ * @param {Array} standardPositions - Fret positions in standard tuning
+ * @param {Object} settings - Target instrument settings
+ * @returns {Array} Fret positions in the target tuning
+ */
+function retuneFretPositions(standardPositions, settings) {
+    const openMidi = settings.tuning.openMidi;
+    return standardPositions.map((fret, stringIndex) => {
+        if (fret === 'x') {
+            return 'x';
+        }
+        let retuned = STANDARD_TUNING.openMidi[stringIndex] + fret - openMidi[stringIndex];
+        while (retuned < 0) {
+            retuned += 12;
+        }
+        return retuned;
+    });
+}
+
+/**
+ * Derive finger numbers for fret positions that no longer match the dataset fingering
+ * Shapes within four frets get one finger per fret; wider shapes number each distinct fret.
+ * @param {Array} positions - Fret positions ('x', 0 or fret number)
+ * @returns {string[]|null} Finger positions in dataset format, or null if more than four fingers are needed
+ */
+function deriveFingering(positions) {
+    const fretted = positions.filter(fret => fret !== 'x' && fret > 0);
+    const distinctFrets = [...new Set(fretted)].sort((a, b) => a - b);
+    if (distinctFrets.length > 4) {
+        return null;
+    }
+
+    const minFret = distinctFrets[0];
+    const oneFingerPerFret = distinctFrets.length > 0 && distinctFrets[distinctFrets.length - 1] - minFret <= 3;
+    return positions.map(fret => {
+        if (fret === 'x') return 'x';
+        if (fret === 0) return '0';
+        const finger = oneFingerPerFret ? fret - minFret + 1 : distinctFrets.indexOf(fret) + 1;
+        return String(finger);
+    });
+}
+
+/**
+ * Work out how a chord is played with the given tuning and capo
+ * In standard tuning this is the dataset voicing; otherwise the same pitches (relative to
+ * the capo) are re-derived on the new open strings and checked for playability.
+ * @param {Chord} chord - Chord to voice
+ * @param {Object} [settings] - Instrument settings (defaults to the active settings)
+ * @returns {Object} { positions, fingers, playable, reason }
+ */
+function calculateTunedVoicing(chord, settings = getInstrumentSettings()) {
+    const positions = calculateAbsoluteFretPositions(chord, settings);
+    if (isStandardInstrument(settings)) {
+        return { positions, fingers: [...chord.fingerPositions], playable: true, reason: null };
+    }
+
+    // A capo on standard tuning leaves the shape, and so the dataset fingering, unchanged
+    const retuned = !isStandardInstrument(createInstrumentSettings(settings.tuning));
+    const fretted = positions.filter(fret => fret !== 'x' && fret > 0);
+    const fingers = retuned ? deriveFingering(positions) : [...chord.fingerPositions];
+    let reason = null;
+
+    if (fretted.length > 0 && Math.max(...fretted) - Math.min(...fretted) > 4) {
+        reason = 'spans more than five frets';
+    } else if (fretted.some(fret => fret + settings.capo > MAX_PLAYABLE_FRET)) {
+        reason = `needs frets above ${MAX_PLAYABLE_FRET}`;
+    } else if (!fingers) {
+        reason = 'needs more than four fingers';
+    }
+
+    return { positions, fingers: fingers || [...chord.fingerPositions], playable: reason === null, reason };
+}
+
+/**
+ * Calculate the absolute fret position for each string of a guitar chord
+ * @param {Chord} chord - Chord object as defined in main.js
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings); frets count from the capo
+ * @returns {Array} Array of fret positions for strings 6-1, where 'x' means muted, numbers are fret positions
+ */
+function calculateAbsoluteFretPositions(chord, settings = getInstrumentSettings()) {
+    // Dataset shapes are written for standard tuning (index 0 = Low E)
+    const openStringNotes = STANDARD_TUNING.notes;
+
+    // Initialize result array for 6 strings
+    const fretPositions = new Array(6);
+    let noteIndex = 0; // Index for NOTE_NAMES array (only counts non-x positions)
+
+    // Step 1: Calculate initial fret positions for each string
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const fingerPosition = chord.fingerPositions[stringIndex];
+
+        if (fingerPosition === 'x') {
+            // Muted string
+            fretPositions[stringIndex] = 'x';
+        } else if (fingerPosition === '0') {
+            // Open string
+            fretPositions[stringIndex] = 0;
+            noteIndex++; // Increment for non-muted strings
+        } else {
+            // Fingered position (1-4)
+            const targetNote = chord.noteNames[noteIndex];
+            const openNote = openStringNotes[stringIndex];
+
+            // Calculate what fret this note would be on this string
+            const fretDistance = getFretDistance(openNote, targetNote);
+            fretPositions[stringIndex] = fretDistance;
+
+            noteIndex++; // Increment for non-muted strings
+        }
+    }
+
+    // Step 2: Find the maximum fret number across all strings (ignoring 'x')
+    const numericFrets = fretPositions.filter(fret => fret !== 'x');
+    const maxFret = Math.max(...numericFrets);
+
+    // Step 3: Apply the octave adjustment rule
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const fingerPosition = chord.fingerPositions[stringIndex];
+
+        // Only apply rule to fingered positions (1-4)
+        if (fingerPosition !== 'x' && fingerPosition !== '0' && parseInt(fingerPosition) >= 1 && parseInt(fingerPosition) <= 4) {
+            const currentFret = fretPositions[stringIndex];
+
+            // If computed fret < (max - 6), add 12
+            if (currentFret < (maxFret - 6)) {
+                fretPositions[stringIndex] = currentFret + 12;
+            }
+        }
+    }
+
+    // Step 4: Move the same pitches onto the selected tuning, counting from the capo
+    if (!isStandardInstrument(settings)) {
+        return retuneFretPositions(fretPositions, settings);
+    }
+
+    return fretPositions;
+}
+
+/**
+ * Normalize fret positions for chord diagrams, allowing open strings to remain open
+ * while calculating base fret from fingered positions only
+ * @param {Array} fretPositions - Array of fret positions (from calculateAbsoluteFretPositions)
+ * @returns {Object} Object with normalized positions and base fret offset
+ */
+function normalizeFretPositions(fretPositions) {
+    // Find all numeric frets (ignoring 'x' for muted strings)
+    const numericFrets = fretPositions.filter(fret => fret !== 'x' && typeof fret === 'number');
+
+    // If no numeric frets, return original array with offset 0
+    if (numericFrets.length === 0) {
+        return {
+            positions: [...fretPositions],
+            baseFret: 0
+        };
+    }
+
+    // Find fingered frets (excluding open strings - fret 0)
+    const fingeredFrets = numericFrets.filter(fret => fret > 0);
+
+    // If no fingered frets (all open strings), no normalization needed
+    if (fingeredFrets.length === 0) {
+        return {
+            positions: [...fretPositions],
+            baseFret: 0
+        };
+    }
+
+    const minFingeredFret = Math.min(...fingeredFrets);
+    const maxFingeredFret = Math.max(...fingeredFrets);
+    const fingeredSpan = maxFingeredFret - minFingeredFret;
+
+    // Calculate base fret and normalization amount
+    let subtractAmount = 0;
+    let baseFret = 0;
+
+    if (minFingeredFret >= 2) {
+        // For chords where the lowest fingered fret is 2 or higher, 
+        // normalize to start at fret 1
+        subtractAmount = minFingeredFret - 1;
+        baseFret = subtractAmount;
+    } else if (fingeredSpan > 5) {
+        // For chords with fingered span > 5 frets, we may need to shift
+        // to fit within the 5-fret display window
+        subtractAmount = Math.max(0, minFingeredFret - 1);
+        baseFret = subtractAmount;
+    }
+
+    // Apply normalization: subtract from fingered frets only, leave open strings (0) unchanged
+    const normalizedPositions = fretPositions.map(fret => {
+        if (fret === 'x') {
+            return 'x';  // Muted strings stay muted
+        } else if (fret === 0) {
+            return 0;    // Open strings stay open
+        } else {
+            return fret - subtractAmount;  // Subtract from fingered positions only
+        }
+    });
+
+    // Verify the result fits in a 5-fret window (check fingered frets only)
+    const normalizedFingered = normalizedPositions.filter(fret => typeof fret === 'number' && fret > 0);
+    if (normalizedFingered.length > 0) {
+        const normalizedMax = Math.max(...normalizedFingered);
         if (normalizedMax > 5) {
             console.warn(`Chord extends beyond 5-fret display: max fingered fret ${normalizedMax}`);
         }
     }
 
-    return {
-        positions: normalizedPositions,
-        baseFret: baseFret
+    return {
+        positions: normalizedPositions,
+        baseFret: baseFret
+    };
+}
+
+/**
+ * Check that the fretted notes fit the 5-fret window normalizeFretPositions() draws
+ * From fret 2 up the window starts at the lowest fretted note; below that it starts at the nut.
+ * @param {Array} frets - Fret per string ('x', 0 or fret)
+ * @returns {Object} { fits, lowest, highest }; lowest and highest are null without fretted notes
+ */
+function fitsDiagramWindow(frets) {
+    const fretted = frets.filter(fret => typeof fret === 'number' && fret > 0);
+    if (fretted.length === 0) {
+        return { fits: true, lowest: null, highest: null };
+    }
+    const lowest = Math.min(...fretted);
+    const highest = Math.max(...fretted);
+    const windowMax = lowest >= 2 ? highest - lowest + 1 : highest;
+    return { fits: windowMax <= 5, lowest, highest };
+}
+
+/**
+ * Find barres: one finger pressing several strings at the same fret
+ * A barre runs from the first to the last string its finger holds. Muted strings inside it are
+ * skipped (the bar just damps them); an open string or a lower fret inside it cannot be under
+ * the bar, so the barre is split there and only parts holding two or more strings are kept.
+ * @param {string[]} fingers - Finger per string, Low to High ('x', '0' or '1'-'4')
+ * @param {Array} positions - Fret per string, e.g. the normalized positions ('x', 0 or fret)
+ * @returns {Object[]} { finger, fret, fromString, toString, full } with string indices Low to High;
+ *   full is true when the bar covers all six strings
+ */
+function detectBarres(fingers, positions) {
+    const barres = [];
+    const fingerNumbers = [...new Set(fingers.filter(finger => finger !== 'x' && finger !== '0'))];
+
+    for (const finger of fingerNumbers) {
+        const held = fingers.map((candidate, stringIndex) => (candidate === finger ? stringIndex : -1))
+            .filter(stringIndex => stringIndex >= 0);
+        const frets = [...new Set(held.map(stringIndex => positions[stringIndex]))];
+
+        for (const fret of frets) {
+            const strings = held.filter(stringIndex => positions[stringIndex] === fret);
+            let segment = [];
+            const closeSegment = () => {
+                if (segment.length >= 2) {
+                    const fromString = segment[0];
+                    const toString = segment[segment.length - 1];
+                    barres.push({ finger, fret, fromString, toString, full: fromString === 0 && toString === 5 });
+                }
+                segment = [];
+            };
+
+            for (let stringIndex = strings[0]; stringIndex <= strings[strings.length - 1]; stringIndex++) {
+                const position = positions[stringIndex];
+                if (strings.includes(stringIndex)) {
+                    segment.push(stringIndex);
+                } else if (position !== 'x' && position < fret) {
+                    closeSegment();
+                }
+            }
+            closeSegment();
+        }
+    }
+
+    return barres.sort((a, b) => a.fret - b.fret || a.fromString - b.fromString);
+}
+
+/**
+ * Degree names for pitches that are not in a chord's structure, by semitones above the root
+ */
+const SEMITONE_DEGREES = ['1', 'b2', '2', 'b3', '3', '4', 'b5', '5', '#5', '6', 'b7', '7'];
+
+/**
+ * Name a sounding pitch as a degree of a chord
+ * The pitch is compared with the root by pitch class and named after the matching
+ * structure interval, so a chord written with a 9 or #11 shows those rather than 2 or #4.
+ * @param {number} midi - Sounding pitch (MIDI note number or pitch class)
+ * @param {string} root - Chord root
+ * @param {string[]} structure - Chord structure intervals
+ * @returns {string|null} Degree such as "1", "b7" or "#9", or null for an unknown root
+ */
+function calculateDegree(midi, root, structure) {
+    const rootPitchClass = noteToPitchClass(root);
+    if (rootPitchClass === null) {
+        return null;
+    }
+    const offset = (((midi - rootPitchClass) % 12) + 12) % 12;
+    return structure.find(interval => intervalToSemitones(interval) === offset) || SEMITONE_DEGREES[offset];
+}
+
+/**
+ * Name the degree sounding on each string of a voicing
+ * A capo transposes root and strings alike, so degrees are taken relative to the capo.
+ * @param {Chord} chord - Chord to analyze
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @returns {Array} Degree per string, Low to High, or null for muted strings
+ */
+function calculateStringDegrees(chord, settings = getInstrumentSettings()) {
+    const openMidi = settings.tuning.openMidi;
+    return calculateAbsoluteFretPositions(chord, settings).map((fret, stringIndex) =>
+        fret === 'x' ? null : calculateDegree(openMidi[stringIndex] + fret, chord.root, chord.structure));
+}
+
+/**
+ * Create a chord box orientation, falling back to right-handed vertical for unknown values
+ * @param {string} [hand] - 'right', or 'left' to mirror the diagram left to right
+ * @param {string} [layout] - 'vertical' (nut at the top) or 'horizontal' (nut at the side, high E on top as in tab)
+ * @returns {Object} { hand, layout }
+ */
+function createDiagramOrientation(hand = 'right', layout = 'vertical') {
+    return {
+        hand: hand === 'left' ? 'left' : 'right',
+        layout: layout === 'horizontal' ? 'horizontal' : 'vertical'
+    };
+}
+
+/**
+ * Place a point of the chord box for an orientation
+ * Positions are in box sizes: strings run 0 (Low E) to 5 (High E) and frets count from the
+ * nut, so a negative fret position lies beyond the nut and one past 5 beyond the last fret.
+ * @param {Object} orientation - Orientation from createDiagramOrientation()
+ * @param {number} stringPosition - Position across the strings
+ * @param {number} fretPosition - Position along the strings
+ * @returns {Object} { x, y } in box sizes from the top left corner of the fretboard
+ */
+function getDiagramPoint(orientation, stringPosition, fretPosition) {
+    const horizontal = orientation.layout === 'horizontal';
+    const x = horizontal ? fretPosition : stringPosition;
+    return {
+        x: orientation.hand === 'left' ? 5 - x : x,
+        y: horizontal ? 5 - stringPosition : fretPosition
+    };
+}
+
+/**
+ * Generate SVG chord diagram with fretboard representation
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @param {string} [labelMode] - Text in the dots: 'finger', 'note' or 'degree' (defaults to the selected mode)
+ * @param {Object} [orientation] - Handedness and layout (defaults to the selected orientation)
+ * @param {boolean} [showNoteNames] - Print note names past the last fret (hidden for quiz questions)
+ * @returns {string} SVG markup for chord diagram
+ */
+function generateChordDiagram(chord, dimensions, labelMode = dotLabelMode, orientation = diagramOrientation, showNoteNames = true) {
+    const { width, height, scale } = dimensions;
+    // Make fretboard with square individual boxes
+    const maxSize = Math.min(width * 0.5, height * 0.4);
+    // To make square boxes, we need stringSpacing = fretSpacing
+    // Since we have 5 string spaces and 5 fret spaces, both use same size
+    const boxSize = maxSize / 5; // Use 5 as reference
+    const fretboardWidth = boxSize * 5;   // 5 string spaces
+    const fretboardHeight = boxSize * 5;  // 5 fret spaces
+    const fretboardX = (width - fretboardWidth) / 2;
+    const fretboardY = height * 0.2;      // Move up more to reduce bottom space
+
+    // Strings and frets are laid out by orientation; labels are placed relative to the nut and strings
+    const horizontal = orientation.layout === 'horizontal';
+    const point = (stringPosition, fretPosition) => {
+        const { x, y } = getDiagramPoint(orientation, stringPosition, fretPosition);
+        return { x: fretboardX + x * boxSize, y: fretboardY + y * boxSize };
+    };
+
+    // Calculate absolute fret positions for the active tuning and capo, then normalize them
+    const settings = getInstrumentSettings();
+    const voicing = calculateTunedVoicing(chord, settings);
+    const { positions: normalizedPositions, baseFret } = normalizeFretPositions(voicing.positions);
+
+    let diagramSVG = '';
+
+    // Display base fret number beside the first fret, on the Low E side
+    if (baseFret > 0 && voicing.playable) {
+        const label = point(-30 * scale / boxSize, 0.5);
+        const labelY = horizontal ? label.y + 7 * scale : label.y;
+        diagramSVG += `<text x="${label.x}" y="${labelY}" text-anchor="middle" font-family="Arial" font-size="${20 * scale}" font-weight="bold">${baseFret + 1}</text>`;
+    }
+
+    // Draw fretboard outline
+    diagramSVG += `<rect x="${fretboardX}" y="${fretboardY}" width="${fretboardWidth}" height="${fretboardHeight}" fill="none" stroke="black" stroke-width="3"/>`;
+
+    // Draw strings
+    for (let i = 0; i <= 5; i++) {
+        const start = point(i, 0);
+        const end = point(i, 5);
+        diagramSVG += `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="black" stroke-width="2"/>`;
+    }
+
+    // Draw frets
+    for (let i = 0; i <= 5; i++) {
+        const start = point(0, i);
+        const end = point(5, i);
+        // Make the nut line thicker for open position chords, regular frets thicker than strings
+        const strokeWidth = (i === 0 && baseFret === 0) ? "8" : "3";
+        diagramSVG += `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="black" stroke-width="${strokeWidth}"/>`;
+    }
+
+    // A voicing the tuning cannot produce is flagged instead of drawn
+    if (!voicing.playable) {
+        diagramSVG += `<text x="${width / 2}" y="${fretboardY + fretboardHeight / 2}" text-anchor="middle" font-family="Arial" font-size="${18 * scale}" font-weight="bold">Unplayable in this tuning</text>`;
+        diagramSVG += `<text x="${width / 2}" y="${fretboardY + fretboardHeight / 2 + 24 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}">(${voicing.reason})</text>`;
+        return diagramSVG;
+    }
+
+    // Barres are drawn as one rounded bar under the finger labels
+    const barres = detectBarres(voicing.fingers, normalizedPositions).filter(barre => barre.fret >= 1 && barre.fret <= 5);
+    for (const barre of barres) {
+        const from = point(barre.fromString, barre.fret - 0.5);
+        const to = point(barre.toString, barre.fret - 0.5);
+        const x = Math.min(from.x, to.x);
+        const y = Math.min(from.y, to.y);
+        const barWidth = Math.abs(to.x - from.x);
+        const barHeight = Math.abs(to.y - from.y);
+        diagramSVG += `<rect x="${x - 18 * scale}" y="${y - 18 * scale}" width="${barWidth + 36 * scale}" height="${barHeight + 36 * scale}" rx="${18 * scale}" fill="black"/>`;
+    }
+    const isUnderBarre = (stringIndex, fret) => barres.some(barre => barre.finger === voicing.fingers[stringIndex] &&
+        barre.fret === fret && stringIndex >= barre.fromString && stringIndex <= barre.toString);
+
+    // Draw finger positions and note names
+    // CSV data is ordered from Low E (6th) to High E (1st) string
+    let noteIndex = 0; // Index for NOTE_NAMES array (only counts non-x positions)
+    const degrees = calculateStringDegrees(chord, settings);
+
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const originalPosition = voicing.fingers[stringIndex];
+        const normalizedPosition = normalizedPositions[stringIndex];
+
+        // Determine what note to display below the string
+        let noteToDisplay = '';
+        if (originalPosition === 'x') {
+            // Muted string - no note displayed
+            noteToDisplay = '';
+        } else if (originalPosition === '0' && settings.capo === 0) {
+            // Open string - use the tuning's note for that string
+            noteToDisplay = settings.tuning.notes[stringIndex];
+        } else {
+            // Fingered (or capoed) position - use note from NOTE_NAMES
+            noteToDisplay = chord.noteNames[noteIndex];
+        }
+
+        // Draw finger position markers
+        // X and O markers sit beyond the nut
+        const marker = point(stringIndex, -28 * scale / boxSize);
+        if (normalizedPosition === 'x') {
+            // Muted string - draw X
+            diagramSVG += `<text x="${marker.x}" y="${marker.y + 8 * scale}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" font-weight="bold">X</text>`;
+        } else if (normalizedPosition === 0) {
+            // Open string - draw open circle, doubled for the root when labelling notes or degrees
+            diagramSVG += `<circle cx="${marker.x}" cy="${marker.y}" r="${12 * scale}" fill="none" stroke="black" stroke-width="4"/>`;
+            if (labelMode !== 'finger' && degrees[stringIndex] === '1') {
+                diagramSVG += `<circle cx="${marker.x}" cy="${marker.y}" r="${18 * scale}" fill="none" stroke="black" stroke-width="2"/>`;
+            }
+        } else {
+            // Fingered position - draw filled circle on fret
+            const fretNumber = normalizedPosition;
+            if (fretNumber >= 1 && fretNumber <= 5) {
+                const { x, y } = point(stringIndex, fretNumber - 0.5);
+                // Display the original finger number, not the normalized position, or the note or degree
+                let label = originalPosition;
+                if (labelMode === 'note') {
+                    label = noteToDisplay;
+                } else if (labelMode === 'degree') {
+                    label = getIntervalLabel(degrees[stringIndex]);
+                }
+                const fontSize = (label.length > 2 ? 13 : 18) * scale;
+
+                const isRoot = labelMode !== 'finger' && degrees[stringIndex] === '1';
+                if (isUnderBarre(stringIndex, fretNumber)) {
+                    // The bar is already drawn; a root on it is outlined in white
+                    if (isRoot) {
+                        diagramSVG += `<rect x="${x - 15 * scale}" y="${y - 15 * scale}" width="${30 * scale}" height="${30 * scale}" fill="none" stroke="white" stroke-width="2"/>`;
+                    }
+                } else if (isRoot) {
+                    // The root is a square so it stands out without colour
+                    diagramSVG += `<rect x="${x - 18 * scale}" y="${y - 18 * scale}" width="${36 * scale}" height="${36 * scale}" fill="black"/>`;
+                } else {
+                    diagramSVG += `<circle cx="${x}" cy="${y}" r="${18 * scale}" fill="black"/>`;
+                }
+                diagramSVG += `<text x="${x}" y="${y + fontSize * 0.38}" text-anchor="middle" font-family="Arial" font-size="${fontSize}" fill="white" font-weight="bold">${label}</text>`;
+            }
+        }
+
+        // Display note name past the last fret (if not muted)
+        if (noteToDisplay && showNoteNames) {
+            const note = point(stringIndex, 5 + 30 * scale / boxSize);
+            const noteY = horizontal ? note.y + 5 * scale : note.y;
+            diagramSVG += `<text x="${note.x}" y="${noteY}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" font-weight="bold">${noteToDisplay}</text>`;
+        }
+
+        // Increment noteIndex only for non-x positions
+        if (originalPosition !== 'x') {
+            noteIndex++;
+        }
+    }
+
+    return diagramSVG;
+}
+
+/**
+ * Frets that carry position inlays; 12 has the double dot
+ */
+const FRETBOARD_INLAYS = [3, 5, 7, 9, 12, 15];
+
+/**
+ * Label a chord structure interval for the fretboard, e.g. "1" becomes "R"
+ * @param {string} interval - Interval from CHORD_STRUCTURE
+ * @returns {string} Label
+ */
+function getIntervalLabel(interval) {
+    return interval === '1' ? 'R' : interval;
+}
+
+/**
+ * Find every fret on the neck where a chord tone sounds
+ * Frets count from the nut, so with a capo the voicing moves up by the capo fret and
+ * tones behind the capo are left out.
+ * @param {Chord} chord - Chord whose root and structure give the tones
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @param {number} [lastFret] - Highest fret shown; raised if the voicing reaches past it
+ * @returns {Object} { lastFret, capo, voicing, tones } where voicing holds the voicing's fret
+ *   per string from the nut ('x' when muted or unplayable) and tones are
+ *   { stringIndex, fret, interval, label, inVoicing }
+ */
+function mapChordTones(chord, settings = getInstrumentSettings(), lastFret = MAX_PLAYABLE_FRET) {
+    const tunedVoicing = calculateTunedVoicing(chord, settings);
+    const voicing = tunedVoicing.positions.map(fret =>
+        fret === 'x' || !tunedVoicing.playable ? 'x' : fret + settings.capo);
+    const voicedFrets = voicing.filter(fret => fret !== 'x');
+    const neckEnd = Math.max(lastFret, ...voicedFrets);
+
+    // The capo raises the chord it plays, so tones are found around the sounding root
+    const rootPitchClass = (noteToPitchClass(chord.root) + settings.capo) % 12;
+    const intervalsByPitchClass = new Map();
+    for (const interval of chord.structure) {
+        const semitones = intervalToSemitones(interval);
+        if (semitones !== null && !intervalsByPitchClass.has((rootPitchClass + semitones) % 12)) {
+            intervalsByPitchClass.set((rootPitchClass + semitones) % 12, interval);
+        }
+    }
+
+    const tones = [];
+    settings.tuning.openMidi.forEach((openMidi, stringIndex) => {
+        for (let fret = settings.capo; fret <= neckEnd; fret++) {
+            const interval = intervalsByPitchClass.get((openMidi + fret) % 12);
+            if (interval !== undefined) {
+                tones.push({
+                    stringIndex,
+                    fret,
+                    interval,
+                    label: getIntervalLabel(interval),
+                    inVoicing: voicing[stringIndex] === fret
+                });
+            }
+        }
+    });
+
+    return { lastFret: neckEnd, capo: settings.capo, voicing, tones };
+}
+
+/**
+ * Generate a horizontal full-neck fretboard with every chord tone labelled by interval
+ * High E is the top line, as in tablature. The displayed voicing's notes are filled;
+ * the other chord tones are outlined. Left-handed orientations mirror the neck so the nut
+ * is on the right; the layout of the chord box does not apply.
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @param {Object} [orientation] - Handedness and layout (defaults to the selected orientation)
+ * @returns {string} SVG markup for the fretboard
+ */
+function generateFullNeckDiagram(chord, dimensions, orientation = diagramOrientation) {
+    const { width, height, scale } = dimensions;
+    const settings = getInstrumentSettings();
+    const { lastFret, capo, voicing, tones } = mapChordTones(chord, settings);
+
+    // Fret 0 gets a narrow column left of the nut for open-string tones
+    const fretSpacing = (width * 0.9) / (lastFret + 0.5);
+    const stringSpacing = Math.min(fretSpacing * 0.8, height * 0.4 / 6);
+    const neckX = width * 0.05 + fretSpacing * 0.5;
+    const neckY = height * 0.25;
+    const neckWidth = fretSpacing * lastFret;
+    const neckHeight = stringSpacing * 5;
+    const stringY = stringIndex => neckY + (5 - stringIndex) * stringSpacing;
+    const fretCenterX = fret => fret === 0 ? neckX - fretSpacing * 0.25 : neckX + (fret - 0.5) * fretSpacing;
+    const radius = Math.min(fretSpacing, stringSpacing) * 0.42;
+    const mirror = x => orientation.hand === 'left' ? width - x : x;
+
+    let neckSVG = '';
+
+    // Inlays sit between the strings, behind everything else
+    for (const fret of FRETBOARD_INLAYS.filter(inlay => inlay <= lastFret)) {
+        const x = mirror(fretCenterX(fret));
+        const offsets = fret % 12 === 0 ? [-1, 1] : [0];
+        for (const offset of offsets) {
+            neckSVG += `<circle cx="${x}" cy="${neckY + neckHeight / 2 + offset * stringSpacing}" r="${radius * 0.45}" fill="#ccc"/>`;
+        }
+        neckSVG += `<text x="${x}" y="${neckY + neckHeight + 25 * scale}" text-anchor="middle" font-family="Arial" font-size="${12 * scale}">${fret}</text>`;
+    }
+
+    // Frets (vertical lines) with a thick nut, and a capo bar if there is one
+    for (let fret = 0; fret <= lastFret; fret++) {
+        const x = mirror(neckX + fret * fretSpacing);
+        const strokeWidth = fret === 0 ? '6' : '2';
+        neckSVG += `<line x1="${x}" y1="${neckY}" x2="${x}" y2="${neckY + neckHeight}" stroke="black" stroke-width="${strokeWidth}"/>`;
+    }
+    if (capo > 0) {
+        const x = mirror(neckX + (capo - 0.15) * fretSpacing);
+        neckSVG += `<rect x="${x - 3 * scale}" y="${neckY - 6 * scale}" width="${6 * scale}" height="${neckHeight + 12 * scale}" fill="black"/>`;
+    }
+
+    // Strings (horizontal lines), named beside the nut and marked X when the voicing mutes them
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const y = stringY(stringIndex);
+        neckSVG += `<line x1="${mirror(neckX)}" y1="${y}" x2="${mirror(neckX + neckWidth)}" y2="${y}" stroke="black" stroke-width="${1 + (5 - stringIndex) * 0.3}"/>`;
+        const stringLabel = voicing[stringIndex] === 'x' ? 'X' : settings.tuning.notes[stringIndex];
+        neckSVG += `<text x="${mirror(width * 0.03)}" y="${y + 4 * scale}" text-anchor="middle" font-family="Arial" font-size="${12 * scale}" font-weight="bold">${stringLabel}</text>`;
+    }
+
+    // Chord tones: the voicing filled, the rest of the neck outlined
+    for (const tone of tones) {
+        const x = mirror(fretCenterX(tone.fret));
+        const y = stringY(tone.stringIndex);
+        const fontSize = Math.min(12 * scale, radius * 1.1);
+        if (tone.inVoicing) {
+            neckSVG += `<circle cx="${x}" cy="${y}" r="${radius}" fill="black"/>`;
+            neckSVG += `<text x="${x}" y="${y + fontSize * 0.35}" text-anchor="middle" font-family="Arial" font-size="${fontSize}" fill="white" font-weight="bold">${tone.label}</text>`;
+        } else {
+            neckSVG += `<circle cx="${x}" cy="${y}" r="${radius * 0.85}" fill="white" stroke="black" stroke-width="1"/>`;
+            neckSVG += `<text x="${x}" y="${y + fontSize * 0.35}" text-anchor="middle" font-family="Arial" font-size="${fontSize * 0.9}">${tone.label}</text>`;
+        }
+    }
+
+    return neckSVG;
+}
+
+/**
+ * Generate chord labels and text information
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @returns {string} SVG markup for text labels
+ */
+function createChordLabels(chord, dimensions) {
+    const { width, height, scale } = dimensions;
+    let labelsSVG = '';
+
+    // Chord name (title)
+    labelsSVG += `<text x="${width / 2}" y="${40 * scale}" text-anchor="middle" font-family="Arial" font-size="${32 * scale}" font-weight="bold">${escapeXml(chord.displayName)}</text>`;
+
+    // Chord structure
+    labelsSVG += `<text x="${width / 2}" y="${80 * scale}" text-anchor="middle" font-family="Arial" font-size="${16 * scale}">Structure: ${chord.structure.join(', ')}</text>`;
+
+    // Tuning and capo, only when they differ from the standard tuning the dataset uses
+    const settings = getInstrumentSettings();
+    if (!isStandardInstrument(settings)) {
+        const sounding = settings.capo > 0 ? `, sounds as ${transposeRootName(chord.root, settings.capo)}${chord.type}` : '';
+        labelsSVG += `<text x="${width / 2}" y="${100 * scale}" text-anchor="middle" font-family="Arial" font-size="${12 * scale}">${escapeXml(describeInstrumentSettings(settings) + sounding)}</text>`;
+    }
+
+    // Difficulty below the diagram, clear of the fretboard in both views
+    const difficulty = scoreDifficulty(chord);
+    const tierName = DIFFICULTY_TIERS[getDifficultyRank(difficulty.tier)].name;
+    labelsSVG += `<text x="${width / 2}" y="${height * 0.2 + Math.min(width * 0.5, height * 0.4) + 55 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}">Difficulty: ${tierName} (${difficulty.score})</text>`;
+
+    // String note names are now displayed below each string in the chord diagram
+    // Note: fretboard dimensions must match those in generateChordDiagram
+    const maxSize = Math.min(width * 0.5, height * 0.4);
+    const boxSize = maxSize / 5;
+    const fretboardWidth = boxSize * 5;
+    const fretboardHeight = boxSize * 5;
+    const fretboardX = (width - fretboardWidth) / 2;
+    const fretboardY = height * 0.2;
+
+    // Note names are now displayed below each string in the chord diagram
+
+    // Click instruction removed - users can discover interaction on their own
+
+    return labelsSVG;
+}
+
+/**
+ * Staff geometry shared by the treble clef and the notes drawn on it
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @returns {Object} Staff layout with x extents, bottom line y and diatonic step size
+ */
+function calculateStaffLayout(dimensions) {
+    const { width, height, scale } = dimensions;
+    return {
+        x: width * 0.2,
+        width: width * 0.6,
+        bottomLineY: height * 0.87,
+        stepSize: 5 * scale // Vertical distance between a line and the adjacent space
+    };
+}
+
+/**
+ * Generate treble clef staff notation (five lines and the clef sign)
+ * The clef carries a small "8" below it: the conventional guitar clef, which
+ * sounds an octave lower than written, so note positions reflect actual pitch.
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @returns {string} SVG markup for the staff
+ */
+function generateTrebleClef(dimensions) {
+    const { scale } = dimensions;
+    const { x, width, bottomLineY, stepSize } = calculateStaffLayout(dimensions);
+    let staffSVG = '';
+
+    // Staff lines, from the bottom line (E4 written) up to the top line (F5 written)
+    for (let line = 0; line < 5; line++) {
+        const y = bottomLineY - line * stepSize * 2;
+        staffSVG += `<line x1="${x}" y1="${y}" x2="${x + width}" y2="${y}" stroke="black" stroke-width="${1.5 * scale}"/>`;
+    }
+
+    // Clef glyph, anchored so that its curl wraps the G line (second from bottom)
+    const clefX = x + 18 * scale;
+    staffSVG += `<text x="${clefX}" y="${bottomLineY + stepSize * 1.6}" text-anchor="middle" font-family="'Noto Music', 'Bravura', serif" font-size="${stepSize * 11}">&#x1D11E;</text>`;
+    staffSVG += `<text x="${clefX}" y="${bottomLineY + stepSize * 5}" text-anchor="middle" font-family="Arial" font-size="${11 * scale}" font-weight="bold">8</text>`;
+
+    return staffSVG;
+}
+
+/**
+ * Convert a chord's intervals to the pitches it sounds on the guitar
+ * Spelling comes from NOTE_NAMES and the octave from the absolute fret on each
+ * string, so a B# fretted at C4 is reported as B#3 rather than C4.
+ * @param {Chord} chord - Chord object to convert
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @returns {Object[]} Notes sorted low to high: { name, letter, alter, octave, midi, staffStep }
+ *   where staffStep counts diatonic steps above the bottom staff line as written
+ */
+function convertIntervalsToNotes(chord, settings = getInstrumentSettings()) {
+    const absolutePositions = calculateAbsoluteFretPositions(chord, settings);
+    const openMidi = getOpenStringMidi(settings);
+    const notes = [];
+    let noteIndex = 0; // Index for NOTE_NAMES array (only counts non-x positions)
+
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const fret = absolutePositions[stringIndex];
+        if (fret === 'x') {
+            continue;
+        }
+
+        // A capo raises every tone, so respell it for the sounding root
+        const writtenName = chord.noteNames[noteIndex];
+        const interval = settings.capo > 0 ? findIntervalForNote(chord.root, chord.structure, writtenName) : null;
+        let name = writtenName;
+        if (settings.capo > 0) {
+            name = interval
+                ? spellInterval(transposeRootName(chord.root, settings.capo), interval)
+                : transposeRootName(writtenName, settings.capo);
+        }
+        noteIndex++;
+
+        const parsed = parseNoteName(name);
+        if (!parsed) {
+            console.warn(`Cannot place note on staff: ${name}`);
+            continue;
+        }
+
+        const midi = openMidi[stringIndex] + fret;
+        // MIDI 60 is C4; remove the alteration to find the octave of the letter itself
+        const octave = Math.round((midi - parsed.alter - LETTER_PITCH_CLASSES[parsed.letter]) / 12) - 1;
+        // Diatonic position relative to E4 (bottom line), written an octave above sounding pitch
+        const diatonic = octave * 7 + NOTE_LETTERS.indexOf(parsed.letter);
+        const staffStep = diatonic - (4 * 7 + 2) + 7;
+
+        // Two strings sounding the same spelled pitch share one notehead
+        if (notes.some(note => note.name === name && note.octave === octave)) {
+            continue;
+        }
+
+        notes.push({ name, letter: parsed.letter, alter: parsed.alter, octave, midi, staffStep });
+    }
+
+    notes.sort((a, b) => a.staffStep - b.staffStep || a.midi - b.midi);
+    return notes;
+}
+
+/**
+ * Render chord tones as a single quarter-note chord on the treble staff
+ * @param {Object[]} notes - Notes from convertIntervalsToNotes()
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @returns {string} SVG markup for noteheads, ledger lines, accidentals and stem
+ */
+function renderQuarterNotes(notes, dimensions) {
+    if (notes.length === 0) {
+        return '';
+    }
+
+    const { scale } = dimensions;
+    const { x, width, bottomLineY, stepSize } = calculateStaffLayout(dimensions);
+    const headRx = stepSize * 1.3;
+    const headRy = stepSize * 0.95;
+    const centerX = x + width * 0.55;
+    const stepToY = step => bottomLineY - step * stepSize;
+
+    // Stem goes up when the chord sits mostly below the middle line
+    const averageStep = notes.reduce((sum, note) => sum + note.staffStep, 0) / notes.length;
+    const stemUp = averageStep < 4;
+
+    // Noteheads a second apart cannot overlap: displace every other one to the far side of the stem
+    const ordered = stemUp ? notes : [...notes].reverse();
+    const offsets = new Map();
+    let previous = null;
+    for (const note of ordered) {
+        const displaced = previous !== null &&
+            Math.abs(note.staffStep - previous.staffStep) === 1 &&
+            !offsets.get(previous);
+        offsets.set(note, displaced);
+        previous = note;
+    }
+    const noteX = note => {
+        if (!offsets.get(note)) return centerX;
+        return stemUp ? centerX + headRx * 2 : centerX - headRx * 2;
+    };
+
+    let notesSVG = '';
+
+    // Ledger lines below (C4 written and lower) and above (A5 written and higher) the staff
+    for (const note of notes) {
+        const ledgerSteps = [];
+        for (let step = -2; step >= note.staffStep; step -= 2) ledgerSteps.push(step);
+        for (let step = 10; step <= note.staffStep; step += 2) ledgerSteps.push(step);
+
+        const headX = noteX(note);
+        for (const step of ledgerSteps) {
+            const y = stepToY(step);
+            notesSVG += `<line x1="${headX - headRx * 1.6}" y1="${y}" x2="${headX + headRx * 1.6}" y2="${y}" stroke="black" stroke-width="${1.5 * scale}"/>`;
+        }
+    }
+
+    // Noteheads (filled ovals, tilted like engraved quarter notes)
+    for (const note of notes) {
+        const headX = noteX(note);
+        const y = stepToY(note.staffStep);
+        notesSVG += `<ellipse cx="${headX}" cy="${y}" rx="${headRx}" ry="${headRy}" transform="rotate(-20 ${headX} ${y})" fill="black"/>`;
+    }
+
+    // Accidentals, stacked into columns so that glyphs within a sixth do not collide
+    const accidentalGlyphs = { '-2': '&#x1D12B;', '-1': '&#x266D;', '1': '&#x266F;', '2': '&#x1D12A;' };
+    const columns = [];
+    const leftmostHead = Math.min(...notes.map(noteX));
+    for (const note of [...notes].reverse()) {
+        if (note.alter === 0) continue;
+
+        let column = 0;
+        while (columns[column] && columns[column].some(step => Math.abs(step - note.staffStep) < 6)) {
+            column++;
+        }
+        columns[column] = (columns[column] || []).concat(note.staffStep);
+
+        const accX = leftmostHead - headRx * 2.2 - column * stepSize * 2.6;
+        notesSVG += `<text x="${accX}" y="${stepToY(note.staffStep) + stepSize * 1.2}" text-anchor="middle" font-family="'Noto Music', 'Bravura', serif" font-size="${stepSize * 4}">${accidentalGlyphs[note.alter]}</text>`;
+    }
+
+    // One stem for the whole chord, extending an octave past the outermost note
+    const lowY = stepToY(notes[0].staffStep);
+    const highY = stepToY(notes[notes.length - 1].staffStep);
+    const stemX = stemUp ? centerX + headRx * 0.9 : centerX - headRx * 0.9;
+    const stemStart = stemUp ? lowY : highY;
+    const stemEnd = stemUp ? highY - stepSize * 7 : lowY + stepSize * 7;
+    notesSVG += `<line x1="${stemX}" y1="${stemStart}" x2="${stemX}" y2="${stemEnd}" stroke="black" stroke-width="${1.5 * scale}"/>`;
+
+    return notesSVG;
+}
+
+/**
+ * Root names used when naming chords identified from pitch classes (index = pitch class)
+ */
+const ROOT_SPELLINGS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Parse six string states typed by the user
+ * Accepts compact "x32010" or separated "x 10 12 12 12 x" / "x,3,2,0,1,0" forms, Low E first.
+ * @param {string} text - User input
+ * @returns {Array|null} Six entries of 'x' or a fret number, or null if the input is not valid
+ */
+function parseFretInput(text) {
+    const trimmed = text.trim().toLowerCase();
+    const tokens = /[\s,;\-]/.test(trimmed) ? trimmed.split(/[\s,;\-]+/) : trimmed.split('');
+
+    if (tokens.length !== 6) {
+        return null;
+    }
+
+    const frets = [];
+    for (const token of tokens) {
+        if (token === 'x') {
+            frets.push('x');
+        } else if (/^\d+$/.test(token) && parseInt(token, 10) <= 24) {
+            frets.push(parseInt(token, 10));
+        } else {
+            return null;
+        }
+    }
+    return frets;
+}
+
+/**
+ * Format six string states for the identify text field (inverse of parseFretInput)
+ * @param {Array} frets - Six entries of 'x' or a fret number
+ * @returns {string} Compact form when every fret is a single digit, space-separated otherwise
+ */
+function formatFretInput(frets) {
+    const compact = frets.every(fret => fret === 'x' || fret < 10);
+    return frets.join(compact ? '' : ' ');
+}
+
+/**
+ * Toggle a string state after a click on the input fretboard
+ * Clicking the current fret (or an open string's marker) mutes the string.
+ * @param {Array} frets - Current six string states
+ * @param {number} stringIndex - String index, 0 = Low E
+ * @param {number} fret - Clicked fret (0 for the area above the nut)
+ * @returns {Array} New string states
+ */
+function toggleFretSelection(frets, stringIndex, fret) {
+    const updated = [...frets];
+    updated[stringIndex] = frets[stringIndex] === fret ? 'x' : fret;
+    return updated;
+}
+
+/**
+ * Compute the pitch classes of a fretted shape
+ * Frets count from the capo and the shape is named as if the capo were the nut, the way
+ * chord charts for capo playing are written.
+ * @param {Array} frets - Six entries of 'x' or a fret number (counted from the capo), Low E first
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @returns {Object} { pitchClasses: number[] (sorted, unique), bassPitchClass: number|null }
+ */
+function calculatePitchClassesFromFrets(frets, settings = getInstrumentSettings()) {
+    const openMidi = settings.tuning.openMidi;
+    const pitches = [];
+    frets.forEach((fret, stringIndex) => {
+        if (fret !== 'x') {
+            pitches.push(openMidi[stringIndex] + fret);
+        }
+    });
+
+    if (pitches.length === 0) {
+        return { pitchClasses: [], bassPitchClass: null };
+    }
+
+    const pitchClasses = [...new Set(pitches.map(pitch => pitch % 12))].sort((a, b) => a - b);
+    return { pitchClasses, bassPitchClass: Math.min(...pitches) % 12 };
+}
+
+/**
+ * Collect the distinct chord types of a dataset with their interval structures
+ * @param {Chord[]} dataset - Chords to index
+ * @returns {Object[]} One { type, structure } per chord type, in first-seen order
+ */
+function buildChordTypeIndex(dataset) {
+    const index = new Map();
+    for (const chord of dataset) {
+        if (!index.has(chord.type)) {
+            index.set(chord.type, { type: chord.type, structure: chord.structure });
+        }
+    }
+    return [...index.values()];
+}
+
+/**
+ * Identify a chord from six string states by matching its pitch classes against every
+ * chord type in the dataset transposed to all 12 roots.
+ *
+ * A candidate must contain every played pitch class. Its score starts at 100 and loses
+ * 12 per missing chord tone (4 for a missing perfect fifth), 20 if the root is not played,
+ * 8 if the root is not in the bass, and 1 per interval in the structure so that simpler
+ * names win ties. Candidates whose bass is not the root are named as slash chords.
+ * @param {Array} frets - Six entries of 'x' or a fret number, Low E first
+ * @param {Chord[]} [dataset] - Optional dataset to use instead of global chordDataset
+ * @param {number} [limit] - Maximum number of candidates to return
+ * @returns {Object[]} Candidates { name, root, type, bass, inversion, missing, score }, best first
+ */
+function identifyChord(frets, dataset = null, limit = 10) {
+    const { pitchClasses, bassPitchClass } = calculatePitchClassesFromFrets(frets);
+    if (pitchClasses.length === 0) {
+        return [];
+    }
+
+    const inversionNames = { 3: '1st inversion', 5: '2nd inversion', 7: '3rd inversion' };
+    const candidates = new Map();
+
+    for (const { type, structure } of buildChordTypeIndex(dataset || chordDataset)) {
+        const intervals = structure
+            .map(interval => ({ interval, offset: intervalToSemitones(interval) }))
+            .filter(entry => entry.offset !== null);
+
+        for (let rootPitchClass = 0; rootPitchClass < 12; rootPitchClass++) {
+            const chordTones = new Set(intervals.map(entry => (rootPitchClass + entry.offset) % 12));
+            if (!pitchClasses.every(pitchClass => chordTones.has(pitchClass))) {
+                continue;
+            }
+
+            const missing = intervals
+                .filter(entry => !pitchClasses.includes((rootPitchClass + entry.offset) % 12))
+                .map(entry => entry.interval);
+            const root = ROOT_SPELLINGS[rootPitchClass];
+
+            let score = 100 - structure.length;
+            for (const interval of missing) {
+                score -= interval === '5' ? 4 : 12;
+            }
+            if (missing.includes('1')) score -= 20;
+
+            let name = `${root}${type}`;
+            let bass = root;
+            let inversion = 'root position';
+            if (bassPitchClass !== rootPitchClass) {
+                score -= 8;
+                const bassEntry = intervals.find(entry => (rootPitchClass + entry.offset) % 12 === bassPitchClass);
+                bass = spellInterval(root, bassEntry.interval) || ROOT_SPELLINGS[bassPitchClass];
+                const degree = parseInterval(bassEntry.interval).degree;
+                inversion = inversionNames[degree] || `${bassEntry.interval} in bass`;
+                name += `/${bass}`;
+            }
+
+            // Equivalent spellings of one type can collide (e.g. duplicate structures); keep the best
+            const existing = candidates.get(name);
+            if (!existing || existing.score < score) {
+                candidates.set(name, { name, root, type, bass, inversion, missing, score });
+            }
+        }
+    }
+
+    return [...candidates.values()]
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+/**
+ * Symbol spellings rewritten before a chord symbol is parsed
+ */
+const CHORD_SYMBOL_REPLACEMENTS = [
+    [/♯/g, '#'],
+    [/♭/g, 'b'],
+    [/[Δ△∆](?!\d)/g, 'maj7'],         // A bare triangle is a major seventh
+    [/[Δ△∆]/g, 'maj'],
+    [/ø(\d*)/g, (match, number) => `m${number && number !== '7' ? number : '7'}b5`],
+    [/[°º]/g, 'dim'],
+    [/[\s()[\],]/g, '']                 // "m(maj7)" reads as "mmaj7", "7(#9)" as "7#9"
+];
+
+/**
+ * Parse a typed chord symbol into a root and a canonical interval structure
+ * Understands common spellings: m/min/mi/-, maj/M/Δ, dim/°/o, ø, aug/+, sus/sus2/sus4,
+ * 6, 6/9, 7, 9, 11, 13, altered b5/#5/b9/#9/#11/b13 (also written +5, -9...), add2/add9/
+ * add4/add11/add13 and no3/no5. The structure uses the dataset's interval names, so
+ * "Cmin7" gives ['1', 'b3', '5', 'b7'] like the dataset's C m7 rows; like the dataset,
+ * 11 and 13 chords include the 9 (and 13 the 11).
+ * @param {string} text - Chord symbol, e.g. "Bb-7", "F#ø", "EΔ9", "Gadd2"
+ * @returns {Object|null} { root, structure }, or null if the symbol cannot be read
+ */
+function parseChordSymbol(text) {
+    let symbol = String(text).trim();
+    for (const [pattern, replacement] of CHORD_SYMBOL_REPLACEMENTS) {
+        symbol = symbol.replace(pattern, replacement);
+    }
+
+    const rootMatch = /^([A-Ga-g])(##|bb|#|b)?/.exec(symbol);
+    if (!rootMatch) {
+        return null;
+    }
+    const root = rootMatch[1].toUpperCase() + (rootMatch[2] || '');
+    let rest = symbol.slice(rootMatch[0].length);
+
+    // Power chord
+    if (rest === '5') {
+        return { root, structure: ['1', '5'] };
+    }
+
+    let quality = 'major';
+    let majorSeventh = false;
+    let match;
+    if ((match = /^(maj|Maj|MAJ|ma(?=\d|$)|Ma(?=\d|$)|M)/.exec(rest))) {
+        majorSeventh = true;
+    } else if ((match = /^(min|mi|m|-)/.exec(rest))) {
+        quality = 'minor';
+        const minorMajor = /^(maj|Maj|MAJ|M)/.exec(rest.slice(match[0].length));
+        if (minorMajor) {
+            majorSeventh = true;
+            match[0] += minorMajor[0];
+        }
+    } else if ((match = /^(dim|o)/.exec(rest))) {
+        quality = 'diminished';
+    } else if ((match = /^(aug|\+)/.exec(rest))) {
+        quality = 'augmented';
+    }
+    if (match) {
+        rest = rest.slice(match[0].length);
+    }
+
+    let extension = 0;
+    let sixth = false;
+    if ((match = /^(6\/9|69|6|7|9|11|13)/.exec(rest))) {
+        if (match[0] === '6/9' || match[0] === '69') {
+            sixth = true;
+            extension = 'add9';
+        } else if (match[0] === '6') {
+            sixth = true;
+        } else {
+            extension = parseInt(match[0], 10);
+        }
+        rest = rest.slice(match[0].length);
+    }
+
+    let third = quality === 'minor' || quality === 'diminished' ? 'b3' : '3';
+    let fifth = quality === 'diminished' ? 'b5' : quality === 'augmented' ? '#5' : '5';
+    const alterations = [];
+    const additions = [];
+
+    while (rest.length > 0) {
+        if ((match = /^sus(2|4)?/.exec(rest))) {
+            third = match[1] === '2' ? '2' : '4';
+        } else if ((match = /^add(2|4|6|9|11|13)/.exec(rest))) {
+            additions.push({ 2: '9', 4: '11', 6: '6', 9: '9', 11: '11', 13: '13' }[match[1]]);
+        } else if ((match = /^(b|#|\+|-)(5|9|11|13)/.exec(rest))) {
+            const accidental = match[1] === '+' || match[1] === '#' ? '#' : 'b';
+            alterations.push(accidental + match[2]);
+        } else if ((match = /^(aug|\+)/.exec(rest))) {
+            alterations.push('#5');
+        } else if ((match = /^(no|omit)(3|5)/.exec(rest))) {
+            if (match[2] === '3') third = null;
+            else fifth = null;
+        } else {
+            return null;
+        }
+        rest = rest.slice(match[0].length);
+    }
+
+    const structure = ['1'];
+    if (third) structure.push(third);
+    if (fifth) structure.push(fifth);
+    if (sixth) structure.push('6');
+    if (extension === 'add9') {
+        structure.push('9');
+    } else if (extension >= 7) {
+        if (quality === 'diminished' && !majorSeventh) {
+            structure.push('bb7');
+        } else {
+            structure.push(majorSeventh ? '7' : 'b7');
+        }
+        for (const degree of [9, 11, 13]) {
+            if (extension >= degree) structure.push(String(degree));
+        }
+    }
+
+    // Altered tones replace the natural degree they modify, or are added when it is absent
+    for (const alteration of alterations) {
+        const degree = alteration.slice(1);
+        const index = structure.findIndex(interval => interval.replace(/^(bb|b|#)/, '') === degree);
+        if (index >= 0) {
+            structure[index] = alteration;
+        } else {
+            structure.push(alteration);
+        }
+    }
+    for (const addition of additions) {
+        if (!structure.includes(addition)) structure.push(addition);
+    }
+
+    structure.sort((a, b) => parseInterval(a).degree - parseInterval(b).degree);
+    return { root, structure };
+}
+
+/**
+ * Match a parsed chord symbol against the dataset's chord types
+ * A type matches exactly when it has the same pitch classes (so add2 finds add9); other
+ * types are ranked by calculateStructureSimilarity().
+ * @param {Object} symbol - Result of parseChordSymbol()
+ * @param {Array} typeIndex - Result of buildChordTypeIndex()
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Object} { type, suggestions } with the exact type (or null) and the closest other types
+ */
+function matchChordSymbol(symbol, typeIndex, limit = 3) {
+    const ranked = typeIndex
+        .map(entry => ({ type: entry.type, structure: entry.structure, similarity: calculateStructureSimilarity(symbol.structure, entry.structure) }))
+        .sort((a, b) => b.similarity - a.similarity);
+
+    const exact = ranked.filter(entry => entry.similarity === 1);
+    const sameName = exact.find(entry => entry.structure.join(';') === symbol.structure.join(';'));
+    const type = sameName ? sameName.type : exact.length > 0 ? exact[0].type : null;
+
+    return {
+        type,
+        suggestions: ranked.filter(entry => entry.type !== type).slice(0, limit).map(entry => entry.type)
+    };
+}
+
+/**
+ * Scales as intervals above the tonic: major and minor keys, harmonic minor and the church modes
+ */
+const KEY_SCALES = {
+    major: ['1', '2', '3', '4', '5', '6', '7'],
+    minor: ['1', '2', 'b3', '4', '5', 'b6', 'b7'],
+    'harmonic-minor': ['1', '2', 'b3', '4', '5', 'b6', '7'],
+    dorian: ['1', '2', 'b3', '4', '5', '6', 'b7'],
+    phrygian: ['1', 'b2', 'b3', '4', '5', 'b6', 'b7'],
+    lydian: ['1', '2', '3', '#4', '5', '6', '7'],
+    mixolydian: ['1', '2', '3', '4', '5', '6', 'b7'],
+    locrian: ['1', 'b2', 'b3', '4', 'b5', 'b6', 'b7']
+};
+
+/**
+ * Scales offered by the key browser, in menu order
+ */
+const DIATONIC_MODES = [
+    { id: 'major', name: 'Major (Ionian)' },
+    { id: 'minor', name: 'Natural minor (Aeolian)' },
+    { id: 'harmonic-minor', name: 'Harmonic minor' },
+    { id: 'dorian', name: 'Dorian' },
+    { id: 'phrygian', name: 'Phrygian' },
+    { id: 'lydian', name: 'Lydian' },
+    { id: 'mixolydian', name: 'Mixolydian' },
+    { id: 'locrian', name: 'Locrian' }
+];
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+/**
+ * Parse a key name
+ * A lone "m" means minor and "M" major; the spelled-out suffixes ignore case.
+ * @param {string} text - Key, e.g. "C", "Am", "CM", "F# minor", "Eb major"
+ * @returns {Object|null} { root, mode } with mode 'major' or 'minor', or null if unreadable
+ */
+function parseKey(text) {
+    const match = /^([A-Ga-g](?:##|bb|#|b|♯|♭)?)\s*([A-Za-z]*)$/.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+
+    const suffix = match[2];
+    let mode = null;
+    if (suffix === '' || suffix === 'M' || /^maj(or)?$/i.test(suffix)) {
+        mode = 'major';
+    } else if (suffix === 'm' || /^min(or)?$/i.test(suffix)) {
+        mode = 'minor';
+    }
+
+    const root = match[1][0].toUpperCase() + match[1].slice(1).replace('♯', '#').replace('♭', 'b');
+    return mode && parseNoteName(root) ? { root, mode } : null;
+}
+
+/**
+ * Turn a Roman numeral into a chord symbol in a key
+ * Upper case is major and lower case minor; a b or # prefix alters the degree and any
+ * suffix is kept ("V7" in C is "G7", "ii7" is "Dm7", "viiø7" is "Bø7", "bVII" in C is "Bb").
+ * @param {string} numeral - Roman numeral with optional prefix and suffix
+ * @param {Object} key - Result of parseKey()
+ * @returns {string|null} Chord symbol for parseChordSymbol(), or null if not a Roman numeral
+ */
+function romanNumeralToSymbol(numeral, key) {
+    const match = /^(bb|b|##|#|♭|♯)?(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/.exec(numeral);
+    if (!match) {
+        return null;
+    }
+
+    const [, prefix = '', roman, suffix] = match;
+    const degree = ROMAN_NUMERALS.indexOf(roman.toUpperCase());
+    // Prefixed numerals are relative to the major scale (bVII in A minor is G), as in
+    // borrowed-chord notation; plain numerals follow the key's own scale
+    const scaleInterval = KEY_SCALES[prefix ? 'major' : key.mode][degree];
+
+    // Combine the scale's accidental with the prefix, e.g. b + b3 = bb3 in a minor key
+    const scaleAlter = scaleInterval.startsWith('b') ? -(scaleInterval.length - 1) : 0;
+    const prefixText = prefix.replace('♭', 'b').replace('♯', '#');
+    const alter = scaleAlter + (prefixText.startsWith('b') ? -prefixText.length : prefixText.length);
+    const interval = (alter < 0 ? 'b'.repeat(-alter) : '#'.repeat(alter)) + String(degree + 1);
+
+    const root = spellInterval(key.root, interval);
+    if (!root) {
+        return null;
+    }
+
+    const minor = roman === roman.toLowerCase();
+    const ownQuality = /^(°|o|dim|ø|\+|aug)/.test(suffix);
+    return root + (minor && !ownQuality ? 'm' : '') + suffix;
+}
+
+/**
+ * Collect every voicing of a root and type
+ * Voicings with the typed root spelling come first, then enharmonic spellings; each by base fret.
+ * @param {string} root - Root note
+ * @param {string} type - Dataset chord type
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Chord[]} Voicings (empty if the dataset has none)
+ */
+function getVoicingsForRootAndType(root, type, dataset) {
+    const pitchClass = noteToPitchClass(root);
+    const candidates = dataset.filter(chord => chord.type === type && noteToPitchClass(chord.root) === pitchClass);
+
+    return candidates
+        .map(chord => ({ chord, spelled: chord.root === root ? 0 : 1, baseFret: getDisplayedBaseFret(chord) }))
+        .sort((a, b) => a.spelled - b.spelled || a.baseFret - b.baseFret)
+        .map(entry => entry.chord);
+}
+
+/**
+ * Find the voicing of a root and type with the lowest base fret
+ * The typed root spelling is preferred; an enharmonic root (A# for Bb) is used otherwise.
+ * @param {string} root - Root note
+ * @param {string} type - Dataset chord type
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Chord|null} Voicing, or null if the dataset has none
+ */
+function findVoicingForRootAndType(root, type, dataset) {
+    return getVoicingsForRootAndType(root, type, dataset)[0] || null;
+}
+
+/**
+ * Look up a typed chord symbol in the dataset
+ * @param {string} text - Chord symbol
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Object} { symbol, type, chord, suggestions } where symbol is the parse (null if
+ *                   unreadable), chord the voicing shown for an exact match (transposed from
+ *                   another root when the dataset has none for this root), and suggestions
+ *                   the closest types for the same root
+ */
+function findChordBySymbol(text, dataset) {
+    const symbol = parseChordSymbol(text);
+    if (!symbol) {
+        return { symbol: null, type: null, chord: null, suggestions: [] };
+    }
+
+    return { symbol, ...findChordForSymbol(symbol, dataset) };
+}
+
+/**
+ * Find the dataset type and a voicing for a root and interval structure
+ * @param {Object} symbol - { root, structure }, e.g. from parseChordSymbol()
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Object} { type, chord, suggestions } as for findChordBySymbol()
+ */
+function findChordForSymbol(symbol, dataset) {
+    const { type, suggestions } = matchChordSymbol(symbol, buildChordTypeIndex(dataset), 5);
+    let chord = type ? findVoicingForRootAndType(symbol.root, type, dataset) : null;
+
+    // The dataset lacks some root/type pairs; move a voicing of the type from another root
+    if (type && !chord) {
+        for (const candidate of getTypeAcrossRoots(type, dataset)) {
+            chord = attemptTransposition(candidate, symbol.root).chord;
+            if (chord) break;
+        }
+    }
+
+    return {
+        type,
+        chord,
+        suggestions: suggestions.filter(suggestion => findVoicingForRootAndType(symbol.root, suggestion, dataset)).slice(0, 3)
+    };
+}
+
+/**
+ * Weights for voice-leading costs between consecutive voicings
+ */
+const VOICE_LEADING_WEIGHTS = {
+    travel: 1,          // Per fret a string's finger moves within the normalized shapes
+    jump: 1,            // Per fret the hand position (base fret) moves
+    jumpAllowance: 2,   // Position shifts up to this many frets are not penalized further
+    jumpPenalty: 3,     // Extra cost per fret beyond the allowance
+    mutedString: 1      // Per muted string of each chosen voicing, so thin shapes do not win by default
+};
+
+/**
+ * Calculate the cost of using a voicing at all, independent of its neighbours
+ * @param {Chord} chord - Voicing
+ * @param {Object} [weights] - See VOICE_LEADING_WEIGHTS
+ * @returns {number} Cost
+ */
+function calculateVoicingCost(chord, weights = VOICE_LEADING_WEIGHTS) {
+    return chord.fingerPositions.filter(finger => finger === 'x').length * weights.mutedString;
+}
+
+/**
+ * Calculate how far the hand moves between two voicings
+ * Both shapes are normalized to their diagram position; muted strings count as fret 0.
+ * @param {Chord} from - Previous voicing
+ * @param {Chord} to - Next voicing
+ * @param {Object} [weights] - See VOICE_LEADING_WEIGHTS
+ * @returns {Object} { travel, jump, penalty, total }
+ */
+function calculateVoiceLeadingCost(from, to, weights = VOICE_LEADING_WEIGHTS) {
+    const shapeOf = chord => normalizeFretPositions(calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT));
+    const a = shapeOf(from);
+    const b = shapeOf(to);
+    const fretValue = fret => (fret === 'x' ? 0 : fret);
+
+    let travel = 0;
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        travel += Math.abs(fretValue(a.positions[stringIndex]) - fretValue(b.positions[stringIndex]));
+    }
+    const shift = Math.abs(a.baseFret - b.baseFret);
+    const jump = shift * weights.jump;
+    const penalty = Math.max(0, shift - weights.jumpAllowance) * weights.jumpPenalty;
+
+    travel *= weights.travel;
+    return { travel, jump, penalty, total: travel + jump + penalty };
+}
+
+/**
+ * Choose one voicing per step with the least total movement (dynamic programming)
+ * @param {Chord[][]} candidateLists - Candidate voicings for each step
+ * @param {Object} [overrides] - Step index to candidate index, fixing the user's choices
+ * @returns {number[]} Chosen candidate index for each step
+ */
+function chooseProgressionVoicings(candidateLists, overrides = {}) {
+    if (candidateLists.length === 0) {
+        return [];
+    }
+
+    const allowed = candidateLists.map((candidates, step) =>
+        step in overrides ? [overrides[step]] : candidates.map((candidate, index) => index));
+
+    // best[step][index] = { cost, previous } for the cheapest path ending at that candidate
+    const best = [new Map(allowed[0].map(index => [index, { cost: calculateVoicingCost(candidateLists[0][index]), previous: null }]))];
+    for (let step = 1; step < candidateLists.length; step++) {
+        const layer = new Map();
+        for (const index of allowed[step]) {
+            const voicingCost = calculateVoicingCost(candidateLists[step][index]);
+            let choice = null;
+            for (const [previousIndex, { cost }] of best[step - 1]) {
+                const total = cost + voicingCost +
+                    calculateVoiceLeadingCost(candidateLists[step - 1][previousIndex], candidateLists[step][index]).total;
+                if (!choice || total < choice.cost) {
+                    choice = { cost: total, previous: previousIndex };
+                }
+            }
+            layer.set(index, choice);
+        }
+        best.push(layer);
+    }
+
+    // Candidates are ordered by base fret, so ties keep the lower position
+    let index = null;
+    for (const [candidate, { cost }] of best[best.length - 1]) {
+        if (index === null || cost < best[best.length - 1].get(index).cost) {
+            index = candidate;
+        }
+    }
+
+    const choices = [];
+    for (let step = best.length - 1; step >= 0; step--) {
+        choices.unshift(index);
+        index = best[step].get(index).previous;
+    }
+    return choices;
+}
+
+/**
+ * Build a progression: resolve each chord, list its voicings and choose the smoothest path
+ * @param {string} text - Chords separated by spaces, commas or bars; chord symbols ("Am F C G")
+ *                        or, with a key, Roman numerals ("vi IV I V")
+ * @param {Chord[]} dataset - Chord dataset
+ * @param {Object} [options] - { key: key name for Roman numerals, overrides: step index to candidate index }
+ * @returns {Object} { steps, transitions, movementCost, voicingCost, totalCost, unknown } where
+ *                   each step is { token, candidates, choice, chord, cost }, transitions hold
+ *                   the cost breakdown between consecutive steps and unknown lists unresolved tokens
+ */
+function buildProgression(text, dataset, options = {}) {
+    const key = options.key ? parseKey(options.key) : null;
+    const overrides = options.overrides || {};
+    const steps = [];
+    const unknown = [];
+
+    for (const token of text.split(/[\s,|]+/).filter(Boolean)) {
+        const symbolText = (key && romanNumeralToSymbol(token, key)) || token;
+        const { symbol, type, chord } = findChordBySymbol(symbolText, dataset);
+        if (!chord) {
+            unknown.push(token);
+            continue;
+        }
+
+        // Unique voicings only; a transposed voicing stands alone when the dataset lacks the root
+        const seen = new Set();
+        const candidates = getVoicingsForRootAndType(symbol.root, type, dataset).filter(voicing => {
+            const id = getChordId(voicing);
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+        steps.push({ token, candidates: candidates.length > 0 ? candidates : [chord] });
+    }
+
+    const validOverrides = {};
+    for (const [step, index] of Object.entries(overrides)) {
+        if (steps[step] && index >= 0 && index < steps[step].candidates.length) {
+            validOverrides[step] = index;
+        }
+    }
+
+    const choices = chooseProgressionVoicings(steps.map(step => step.candidates), validOverrides);
+    steps.forEach((step, index) => {
+        step.choice = choices[index];
+        step.chord = step.candidates[choices[index]];
+        step.cost = calculateVoicingCost(step.chord);
+    });
+
+    const transitions = [];
+    for (let index = 1; index < steps.length; index++) {
+        transitions.push(calculateVoiceLeadingCost(steps[index - 1].chord, steps[index].chord));
+    }
+
+    const movementCost = transitions.reduce((sum, transition) => sum + transition.total, 0);
+    const voicingCost = steps.reduce((sum, step) => sum + step.cost, 0);
+    return { steps, transitions, movementCost, voicingCost, totalCost: movementCost + voicingCost, unknown };
+}
+
+/**
+ * Roman numeral suffixes of diatonic chord qualities, keyed by structure
+ * Lower case numerals are used when the chord has a minor third.
+ */
+const DIATONIC_QUALITY_SUFFIXES = {
+    '1;3;5': '',
+    '1;b3;5': '',
+    '1;b3;b5': '°',
+    '1;3;#5': '+',
+    '1;3;5;7': 'maj7',
+    '1;3;5;b7': '7',
+    '1;b3;5;b7': '7',
+    '1;b3;b5;b7': 'ø7',
+    '1;b3;b5;bb7': '°7',
+    '1;b3;5;7': '(maj7)',
+    '1;3;#5;7': '+maj7'
+};
+
+/**
+ * Derive the diatonic chords of a key by stacking thirds on each scale degree
+ * Roots are spelled from the key (Bb, not A#, in F major). Numerals that differ from the
+ * major scale carry a b or # prefix (bIII, bVII in natural minor), as romanNumeralToSymbol() reads them.
+ * @param {string} tonic - Key note, e.g. "G"
+ * @param {string} mode - Scale from KEY_SCALES, e.g. 'major', 'harmonic-minor', 'dorian'
+ * @param {boolean} [sevenths] - Stack four notes instead of three
+ * @returns {Object[]|null} Seven { numeral, root, notes, structure }, or null for an unknown scale or tonic
+ */
+function getDiatonicChords(tonic, mode, sevenths = false) {
+    const scale = KEY_SCALES[mode];
+    if (!scale || !parseNoteName(tonic)) {
+        return null;
+    }
+
+    const chordIntervals = { 3: ['b3', '3'], 5: ['b5', '5', '#5'], 7: ['bb7', 'b7', '7'] };
+    const chordSemitones = { 3: [3, 4], 5: [6, 7, 8], 7: [9, 10, 11] };
+
+    return scale.map((scaleInterval, degree) => {
+        const notes = [0, 2, 4, 6].slice(0, sevenths ? 4 : 3)
+            .map(step => spellInterval(tonic, scale[(degree + step) % 7]));
+        if (notes.some(note => note === null)) {
+            return null;
+        }
+
+        // Name each stacked note by its distance above the chord root
+        const structure = ['1'];
+        [3, 5, 7].slice(0, notes.length - 1).forEach((interval, index) => {
+            const semitones = (noteToPitchClass(notes[index + 1]) - noteToPitchClass(notes[0]) + 12) % 12;
+            structure.push(chordIntervals[interval][chordSemitones[interval].indexOf(semitones)]);
+        });
+
+        const suffix = DIATONIC_QUALITY_SUFFIXES[structure.join(';')] || '';
+        const minorThird = structure[1] === 'b3';
+        const majorScaleAlter = scaleInterval.length > 1 ? (scaleInterval.startsWith('b') ? -1 : 1) * (scaleInterval.length - 1) : 0;
+        const prefix = majorScaleAlter < 0 ? 'b'.repeat(-majorScaleAlter) : '#'.repeat(majorScaleAlter);
+        const roman = ROMAN_NUMERALS[degree];
+
+        return {
+            numeral: prefix + (minorThird ? roman.toLowerCase() : roman) + suffix,
+            root: notes[0],
+            notes,
+            structure
+        };
+    }).reduce((chords, chord) => (chords && chord ? [...chords, chord] : null), []);
+}
+
+/**
+ * Map the diatonic chords of a key to dataset voicings
+ * Voicings are respelled to the key's root when the dataset only has the enharmonic root
+ * (an A# row shown as Bb in F major), and transposed from another root when it has neither.
+ * @param {string} tonic - Key note
+ * @param {string} mode - Scale from KEY_SCALES
+ * @param {Chord[]} dataset - Chord dataset
+ * @param {boolean} [sevenths] - Seventh chords instead of triads
+ * @returns {Object[]|null} getDiatonicChords() entries plus { type, chord }; type and chord are
+ *                          null when the dataset has no such chord type
+ */
+function findDiatonicVoicings(tonic, mode, dataset, sevenths = false) {
+    const diatonic = getDiatonicChords(tonic, mode, sevenths);
+    if (!diatonic) {
+        return null;
+    }
+
+    return diatonic.map(entry => {
+        const { type, chord } = findChordForSymbol(entry, dataset);
+        let voicing = chord;
+        if (voicing && voicing.root !== entry.root) {
+            voicing = shiftChordShape(voicing, 0, entry.root).chord || voicing;
+        }
+        return { ...entry, type, chord: voicing };
+    });
+}
+
+/**
+ * Generate a clickable fretboard for entering a shape
+ * Each string/fret cell carries data-string and data-fret attributes; the row above the
+ * nut (data-fret="0") toggles the string between open and muted.
+ * @param {Array} frets - Six entries of 'x' or an absolute fret number, Low E first
+ * @param {number} startFret - Fret shown in the first row (1 = nut position)
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @returns {string} Complete SVG markup
+ */
+function generateInteractiveFretboard(frets, startFret, dimensions) {
+    const { width, height, scale } = dimensions;
+    const boxSize = Math.min(width / 7, height / 8);
+    const fretboardWidth = boxSize * 5;
+    const fretboardHeight = boxSize * 5;
+    const fretboardX = (width - fretboardWidth) / 2;
+    const fretboardY = boxSize * 1.5;
+
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<rect width="100%" height="100%" fill="white"/>`;
+
+    if (startFret > 1) {
+        svg += `<text x="${fretboardX - 25 * scale}" y="${fretboardY + boxSize / 2 + 6 * scale}" text-anchor="middle" font-family="Arial" font-size="${18 * scale}" font-weight="bold">${startFret}</text>`;
+    }
+
+    // Strings and frets, with a thick nut at the nut position
+    for (let i = 0; i <= 5; i++) {
+        const x = fretboardX + i * boxSize;
+        svg += `<line x1="${x}" y1="${fretboardY}" x2="${x}" y2="${fretboardY + fretboardHeight}" stroke="black" stroke-width="2"/>`;
+        const y = fretboardY + i * boxSize;
+        const strokeWidth = (i === 0 && startFret === 1) ? '8' : '3';
+        svg += `<line x1="${fretboardX}" y1="${y}" x2="${fretboardX + fretboardWidth}" y2="${y}" stroke="black" stroke-width="${strokeWidth}"/>`;
+    }
+
+    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
+        const x = fretboardX + stringIndex * boxSize;
+        const fret = frets[stringIndex];
+        const markerY = fretboardY - boxSize / 2;
+
+        if (fret === 'x') {
+            svg += `<text x="${x}" y="${markerY + 8 * scale}" text-anchor="middle" font-family="Arial" font-size="${22 * scale}" font-weight="bold">X</text>`;
+        } else if (fret === 0) {
+            svg += `<circle cx="${x}" cy="${markerY}" r="${10 * scale}" fill="none" stroke="black" stroke-width="3"/>`;
+        } else if (fret >= startFret && fret < startFret + 5) {
+            const y = fretboardY + (fret - startFret + 0.5) * boxSize;
+            svg += `<circle cx="${x}" cy="${y}" r="${boxSize * 0.3}" fill="black"/>`;
+        }
+
+        // Fret value under each string, so shapes outside the visible window stay readable
+        svg += `<text x="${x}" y="${fretboardY + fretboardHeight + 25 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" font-weight="bold">${fret}</text>`;
+
+        // Transparent click targets: one above the nut, then one per visible fret
+        for (let row = 0; row <= 5; row++) {
+            const targetFret = row === 0 ? 0 : startFret + row - 1;
+            const y = row === 0 ? fretboardY - boxSize : fretboardY + (row - 1) * boxSize;
+            svg += `<rect x="${x - boxSize / 2}" y="${y}" width="${boxSize}" height="${boxSize}" fill="transparent" data-string="${stringIndex}" data-fret="${targetFret}" style="cursor: pointer;"/>`;
+        }
+    }
+
+    svg += `</svg>`;
+    return svg;
+}
+
+/**
+ * Spell the sounding notes of a shape as chord tones, in the dataset's NOTE_NAMES order
+ * Frets are read in standard tuning, the tuning the dataset is written for.
+ * @param {string} root - Chord root
+ * @param {string[]} structure - Chord structure intervals
+ * @param {Array} frets - Fret per string, Low to High ('x' for muted)
+ * @returns {Object} { noteNames, nonChordTones } where noteNames has one entry per sounding string
+ *   (null where the note is not a chord tone) and nonChordTones lists those string indices
+ */
+function deriveNoteNames(root, structure, frets) {
+    const noteNames = [];
+    const nonChordTones = [];
+    frets.forEach((fret, stringIndex) => {
+        if (fret === 'x') return;
+        const midi = STANDARD_TUNING.openMidi[stringIndex] + fret;
+        const interval = calculateDegree(midi, root, structure);
+        if (!structure.includes(interval)) {
+            nonChordTones.push(stringIndex);
+            noteNames.push(null);
+        } else {
+            noteNames.push(spellInterval(root, interval));
+        }
+    });
+    return { noteNames, nonChordTones };
+}
+
+/**
+ * Build a dataset chord from a shape drawn in the editor
+ * Open strings get finger 0 and muted strings x; fretted strings without a finger number get one
+ * from deriveFingering(). The result must pass Chord.isValid(), consist of chord tones, fit the
+ * 5-fret diagram and read back to the same frets (the dataset stores fingers and notes, not frets).
+ * @param {Object} edit - { root, type, structure, frets, fingers } where structure is an array or
+ *   "1;3;5" string and fingers is an optional per-string array of '1'-'4' (or '' to derive)
+ * @returns {Object} { chord, errors } where chord is null when there are errors
+ */
+function createEditedChord({ root, type, structure, frets, fingers = [] }) {
+    const errors = [];
+    const intervals = Array.isArray(structure) ? structure : String(structure).split(';').map(interval => interval.trim());
+    if (noteToPitchClass(root) === null) {
+        errors.push(`Unknown root ${root}`);
+    }
+    if (!type || /[;,]/.test(type) || MARKUP_CHARACTERS.test(type)) {
+        errors.push('Enter a chord type without ; , < > & " or \'');
+    }
+    if (errors.length > 0) {
+        return { chord: null, errors };
+    }
+
+    const derived = deriveFingering(frets) || [];
+    const fingerPositions = frets.map((fret, stringIndex) => {
+        if (fret === 'x') return 'x';
+        if (fret === 0) return '0';
+        return fingers[stringIndex] || derived[stringIndex] || '';
+    });
+    frets.forEach((fret, stringIndex) => {
+        if (fret !== 'x' && fret > 0 && !/^[1-4]$/.test(fingerPositions[stringIndex])) {
+            errors.push(`String ${6 - stringIndex} (fret ${fret}) needs a finger number 1-4`);
+        }
+    });
+
+    const { noteNames, nonChordTones } = deriveNoteNames(root, intervals, frets);
+    for (const stringIndex of nonChordTones) {
+        const midi = STANDARD_TUNING.openMidi[stringIndex] + frets[stringIndex];
+        errors.push(`String ${6 - stringIndex} (fret ${frets[stringIndex]}) sounds ${ROOT_SPELLINGS[midi % 12]}, which is not in ${root}${type} (${intervals.join(';')})`);
+    }
+    if (errors.length > 0) {
+        return { chord: null, errors };
+    }
+
+    const chord = new Chord(root, type, intervals.join(';'), fingerPositions.join(','), noteNames.join(','));
+    errors.push(...describeChordProblems(chord));
+    if (errors.length > 0) {
+        return { chord: null, errors };
+    }
+
+    const diagramWindow = fitsDiagramWindow(frets);
+    if (!diagramWindow.fits) {
+        errors.push(`Frets ${diagramWindow.lowest}-${diagramWindow.highest} do not fit a 5-fret diagram`);
+    }
+    const readBack = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+    if (errors.length === 0 && readBack.some((fret, stringIndex) => fret !== frets[stringIndex])) {
+        errors.push(`The dataset format would read these frets back as ${formatFretInput(readBack)}`);
+    }
+
+    return errors.length > 0 ? { chord: null, errors } : { chord, errors };
+}
+
+/**
+ * Write a chord as a row of the dataset CSV
+ * @param {Chord} chord - Chord to write
+ * @returns {string} Row such as A;m7;"1;b3;5;b7";x,0,2,0,1,0;A,E,G,C,E
+ */
+function chordToCsvRow(chord) {
+    return [
+        chord.root,
+        chord.type,
+        `"${chord.structure.join(';')}"`,
+        chord.fingerPositions.join(','),
+        chord.noteNames.join(',')
+    ].join(';');
+}
+
+/**
+ * Default playback options for chord audio
+ */
+const DEFAULT_PLAYBACK_OPTIONS = {
+    mode: 'strum',        // 'strum' (low to high, quick succession) or 'arpeggio' (one note at a time)
+    strumDelay: 0.03,     // Seconds between strings in a strum
+    noteSpacing: 0.3,     // Seconds between notes in an arpeggio
+    noteDuration: 2.5,    // Seconds each string rings before it is faded out
+    sampleRate: 44100,
+    decay: 0.996,         // Karplus-Strong loss per sample pass (lower = shorter sustain)
+    seed: 1               // Seed for the pluck noise, so renders are reproducible
+};
+
+/**
+ * Convert a MIDI note number to a frequency (A4 = MIDI 69 = 440 Hz)
+ * @param {number} midi - MIDI note number
+ * @returns {number} Frequency in Hz
+ */
+function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Get the sounding pitch of every played string of a chord, low to high
+ * @param {Chord} chord - Chord to sound
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @returns {Object[]} One { stringIndex, midi, frequency } per sounding string
+ */
+function calculateChordPitches(chord, settings = getInstrumentSettings()) {
+    const positions = calculateAbsoluteFretPositions(chord, settings);
+    const openMidi = getOpenStringMidi(settings);
+    const pitches = [];
+
+    positions.forEach((fret, stringIndex) => {
+        if (fret === 'x') return;
+        const midi = openMidi[stringIndex] + fret;
+        pitches.push({ stringIndex, midi, frequency: midiToFrequency(midi) });
+    });
+
+    return pitches;
+}
+
+/**
+ * Schedule when each string starts sounding
+ * @param {Object[]} pitches - Pitches from calculateChordPitches(), low to high
+ * @param {Object} [options] - Playback options (see DEFAULT_PLAYBACK_OPTIONS)
+ * @returns {Object[]} Pitches with an added startTime in seconds
+ */
+function createNoteSchedule(pitches, options = {}) {
+    const { mode, strumDelay, noteSpacing } = { ...DEFAULT_PLAYBACK_OPTIONS, ...options };
+    const interval = mode === 'arpeggio' ? noteSpacing : strumDelay;
+    return pitches.map((pitch, index) => ({ ...pitch, startTime: index * interval }));
+}
+
+/**
+ * Render one plucked string with the Karplus-Strong algorithm
+ * A burst of noise circulates through a delay line one period long; averaging
+ * neighbouring samples on each pass acts as the string's damping.
+ * @param {number} frequency - Fundamental frequency in Hz
+ * @param {number} duration - Length in seconds
+ * @param {Object} [options] - sampleRate, decay and seed (see DEFAULT_PLAYBACK_OPTIONS)
+ * @returns {Float32Array} Mono samples in the range -1..1
+ */
+function renderPluckedString(frequency, duration, options = {}) {
+    const { sampleRate, decay, seed } = { ...DEFAULT_PLAYBACK_OPTIONS, ...options };
+    const length = Math.max(0, Math.round(duration * sampleRate));
+    const samples = new Float32Array(length);
+
+    // Averaging with the next sample shortens the loop by half a sample, so lengthen the line to stay in tune
+    const period = Math.max(2, Math.round(sampleRate / frequency + 0.5));
+    const delayLine = new Float32Array(period);
+
+    // Deterministic noise (linear congruential generator) so output is reproducible in tests
+    let state = (seed >>> 0) || 1;
+    for (let i = 0; i < period; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        delayLine[i] = state / 0x80000000 - 1;
+    }
+
+    // Short fades avoid clicks at the start and end of the note
+    const attackSamples = Math.min(length, Math.round(0.002 * sampleRate));
+    const releaseSamples = Math.min(length, Math.round(0.05 * sampleRate));
+
+    let index = 0;
+    for (let n = 0; n < length; n++) {
+        const current = delayLine[index];
+        const next = delayLine[(index + 1) % period];
+        delayLine[index] = decay * 0.5 * (current + next);
+        index = (index + 1) % period;
+
+        let envelope = 1;
+        if (n < attackSamples) envelope = n / attackSamples;
+        if (n >= length - releaseSamples) envelope = Math.min(envelope, (length - n) / releaseSamples);
+        samples[n] = current * envelope;
+    }
+
+    return samples;
+}
+
+/**
+ * Render a chord to a mono PCM buffer (pure: no Web Audio needed)
+ * @param {Chord} chord - Chord to render
+ * @param {Object} [options] - Playback options (see DEFAULT_PLAYBACK_OPTIONS), plus settings for tuning and capo
+ * @returns {Object} { sampleRate, samples: Float32Array, schedule }
+ */
+function renderChordToPCM(chord, options = {}) {
+    const playback = { ...DEFAULT_PLAYBACK_OPTIONS, ...options };
+    const schedule = createNoteSchedule(calculateChordPitches(chord, options.settings || getInstrumentSettings()), playback);
+    const { sampleRate, noteDuration } = playback;
+
+    const lastStart = schedule.length > 0 ? schedule[schedule.length - 1].startTime : 0;
+    const samples = new Float32Array(Math.round((lastStart + noteDuration) * sampleRate));
+
+    schedule.forEach((note, index) => {
+        // Each string gets its own noise burst, as real strings are plucked independently
+        const voice = renderPluckedString(note.frequency, noteDuration, { ...playback, seed: playback.seed + index });
+        const offset = Math.round(note.startTime * sampleRate);
+        for (let n = 0; n < voice.length && offset + n < samples.length; n++) {
+            samples[offset + n] += voice[n];
+        }
+    });
+
+    // Normalize so six strings at once do not clip
+    let peak = 0;
+    for (let n = 0; n < samples.length; n++) {
+        peak = Math.max(peak, Math.abs(samples[n]));
+    }
+    if (peak > 0) {
+        const gain = 0.8 / peak;
+        for (let n = 0; n < samples.length; n++) {
+            samples[n] *= gain;
+        }
+    }
+
+    return { sampleRate, samples, schedule };
+}
+
+/**
+ * Default MIDI export options
+ */
+const DEFAULT_MIDI_OPTIONS = {
+    format: 1,            // 0: one track; 1: tempo track plus a note track
+    tempo: 120,           // Beats per minute
+    ticksPerBeat: 480,
+    beatsPerChord: 4,     // Length of each chord
+    style: 'block',       // 'block' (all strings at once) or 'strum' (low to high)
+    strumOffset: 0.03,    // Seconds between strings in a strum
+    velocity: 90,
+    channel: 0,
+    program: 25           // General MIDI Acoustic Guitar (steel), zero-based
+};
+
+/**
+ * Encode a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer below 2^28
+ * @returns {number[]} Bytes, most significant group first
+ */
+function encodeVariableLength(value) {
+    const bytes = [value & 0x7F];
+    let remaining = value >>> 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7F) | 0x80);
+        remaining >>>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Schedule note-on/off events for a sequence of chords
+ * Pitches are the sounding notes of each voicing in standard tuning. Events at the same
+ * tick put note-offs first, so a note repeated by the next chord is not cut short.
+ * @param {Chord[]} chords - Chords in playing order
+ * @param {Object} [options] - See DEFAULT_MIDI_OPTIONS
+ * @returns {Object[]} { tick, data } events sorted by time, data holding the MIDI message bytes
+ */
+function createMidiEvents(chords, options = {}) {
+    const { tempo, ticksPerBeat, beatsPerChord, style, strumOffset, velocity, channel } = { ...DEFAULT_MIDI_OPTIONS, ...options };
+    const chordTicks = Math.round(beatsPerChord * ticksPerBeat);
+    const strumTicks = style === 'strum' ? Math.round(strumOffset * tempo / 60 * ticksPerBeat) : 0;
+    const events = [];
+
+    chords.forEach((chord, chordIndex) => {
+        const start = chordIndex * chordTicks;
+        const end = start + chordTicks;
+        calculateChordPitches(chord, STANDARD_INSTRUMENT).forEach((pitch, noteIndex) => {
+            const onTick = Math.min(start + noteIndex * strumTicks, end - 1);
+            events.push({ tick: onTick, data: [0x90 | channel, pitch.midi, velocity] });
+            events.push({ tick: end, data: [0x80 | channel, pitch.midi, 0] });
+        });
+    });
+
+    const isNoteOff = event => (event.data[0] & 0xF0) === 0x80;
+    return events.sort((a, b) => a.tick - b.tick || isNoteOff(b) - isNoteOff(a));
+}
+
+/**
+ * Build an MTrk chunk from timed events, adding the end-of-track marker
+ * @param {Object[]} events - { tick, data } events sorted by time
+ * @returns {number[]} Chunk bytes
+ */
+function buildMidiTrack(events) {
+    const body = [];
+    let lastTick = 0;
+    for (const event of events) {
+        body.push(...encodeVariableLength(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
+    }
+    body.push(0x00, 0xFF, 0x2F, 0x00);
+
+    const length = body.length;
+    return [0x4D, 0x54, 0x72, 0x6B, (length >>> 24) & 0xFF, (length >>> 16) & 0xFF, (length >>> 8) & 0xFF, length & 0xFF, ...body];
+}
+
+/**
+ * Write a Standard MIDI File for one chord or a sequence of chords
+ * @param {Chord|Chord[]} chords - Chord or chords in playing order
+ * @param {Object} [options] - See DEFAULT_MIDI_OPTIONS
+ * @returns {Uint8Array|null} File bytes, or null for an unsupported format
+ */
+function writeMidiFile(chords, options = {}) {
+    const settings = { ...DEFAULT_MIDI_OPTIONS, ...options };
+    const list = Array.isArray(chords) ? chords : [chords];
+    if (settings.format !== 0 && settings.format !== 1) {
+        console.error(`Unsupported MIDI format: ${settings.format}`);
+        return null;
+    }
+
+    const microsecondsPerBeat = Math.round(60000000 / settings.tempo);
+    const name = Array.from(list.map(chord => chord.displayName).join(' '), character => character.charCodeAt(0) & 0x7F);
+    const meta = [
+        { tick: 0, data: [0xFF, 0x03, ...encodeVariableLength(name.length), ...name] },
+        { tick: 0, data: [0xFF, 0x51, 0x03, (microsecondsPerBeat >>> 16) & 0xFF, (microsecondsPerBeat >>> 8) & 0xFF, microsecondsPerBeat & 0xFF] },
+        { tick: 0, data: [0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08] } // 4/4
+    ];
+    const notes = [
+        { tick: 0, data: [0xC0 | settings.channel, settings.program] },
+        ...createMidiEvents(list, settings)
+    ];
+
+    const tracks = settings.format === 0 ? [buildMidiTrack([...meta, ...notes])] : [buildMidiTrack(meta), buildMidiTrack(notes)];
+    const header = [
+        0x4D, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06,
+        0x00, settings.format,
+        0x00, tracks.length,
+        (settings.ticksPerBeat >>> 8) & 0xFF, settings.ticksPerBeat & 0xFF
+    ];
+
+    return Uint8Array.from([...header, ...tracks.flat()]);
+}
+
+/**
+ * MusicXML harmony kinds with their intervals, most common first
+ * Dataset types without a kind of their own are written as the closest kind plus
+ * <degree> additions, alterations and subtractions.
+ */
+const MUSICXML_KINDS = [
+    { kind: 'major', structure: ['1', '3', '5'] },
+    { kind: 'minor', structure: ['1', 'b3', '5'] },
+    { kind: 'augmented', structure: ['1', '3', '#5'] },
+    { kind: 'diminished', structure: ['1', 'b3', 'b5'] },
+    { kind: 'dominant', structure: ['1', '3', '5', 'b7'] },
+    { kind: 'major-seventh', structure: ['1', '3', '5', '7'] },
+    { kind: 'minor-seventh', structure: ['1', 'b3', '5', 'b7'] },
+    { kind: 'diminished-seventh', structure: ['1', 'b3', 'b5', 'bb7'] },
+    { kind: 'augmented-seventh', structure: ['1', '3', '#5', 'b7'] },
+    { kind: 'half-diminished', structure: ['1', 'b3', 'b5', 'b7'] },
+    { kind: 'major-minor', structure: ['1', 'b3', '5', '7'] },
+    { kind: 'major-sixth', structure: ['1', '3', '5', '6'] },
+    { kind: 'minor-sixth', structure: ['1', 'b3', '5', '6'] },
+    { kind: 'dominant-ninth', structure: ['1', '3', '5', 'b7', '9'] },
+    { kind: 'major-ninth', structure: ['1', '3', '5', '7', '9'] },
+    { kind: 'minor-ninth', structure: ['1', 'b3', '5', 'b7', '9'] },
+    { kind: 'dominant-11th', structure: ['1', '3', '5', 'b7', '9', '11'] },
+    { kind: 'major-11th', structure: ['1', '3', '5', '7', '9', '11'] },
+    { kind: 'minor-11th', structure: ['1', 'b3', '5', 'b7', '9', '11'] },
+    { kind: 'dominant-13th', structure: ['1', '3', '5', 'b7', '9', '11', '13'] },
+    { kind: 'major-13th', structure: ['1', '3', '5', '7', '9', '11', '13'] },
+    { kind: 'minor-13th', structure: ['1', 'b3', '5', 'b7', '9', '11', '13'] },
+    { kind: 'suspended-second', structure: ['1', '2', '5'] },
+    { kind: 'suspended-fourth', structure: ['1', '4', '5'] },
+    { kind: 'power', structure: ['1', '5'] }
+];
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe a chord structure as a MusicXML harmony kind plus degree changes
+ * The kind needing the fewest <degree> elements wins; ties go to the earlier kind.
+ * @param {string[]} structure - Intervals, e.g. ['1', '3', '5', 'b7', '#9']
+ * @returns {Object} { kind, degrees } with degrees as { value, alter, type } ('add', 'alter' or 'subtract')
+ */
+function describeHarmonyKind(structure) {
+    const split = interval => {
+        const match = /^(bb|b|##|#)?(\d+)$/.exec(interval);
+        const accidental = match[1] || '';
+        return { value: parseInt(match[2], 10), alter: accidental.startsWith('b') ? -accidental.length : accidental.length };
+    };
+    const chordDegrees = structure.filter(interval => parseInterval(interval)).map(split);
+
+    let best = null;
+    for (const { kind, structure: kindStructure } of MUSICXML_KINDS) {
+        const kindDegrees = kindStructure.map(split);
+        const degrees = [];
+
+        for (const degree of chordDegrees) {
+            const match = kindDegrees.find(candidate => candidate.value === degree.value);
+            if (!match) {
+                degrees.push({ ...degree, type: 'add' });
+            } else if (match.alter !== degree.alter) {
+                degrees.push({ ...degree, type: 'alter' });
+            }
+        }
+        for (const degree of kindDegrees) {
+            if (!chordDegrees.some(candidate => candidate.value === degree.value)) {
+                degrees.push({ ...degree, type: 'subtract' });
+            }
+        }
+
+        if (!best || degrees.length < best.degrees.length) {
+            best = { kind, degrees };
+        }
+    }
+    return best;
+}
+
+/**
+ * Write the <harmony> element of a chord, with a fretboard <frame>
+ * Frames number strings from high E (1) to low E (6); muted strings are left out.
+ * @param {Chord} chord - Chord to describe
+ * @returns {string} MusicXML fragment
+ */
+function createMusicXMLHarmony(chord) {
+    const root = parseNoteName(chord.root);
+    const { kind, degrees } = describeHarmonyKind(chord.structure);
+    const positions = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+    const { baseFret } = normalizeFretPositions(positions);
+
+    let xml = '<harmony><root>';
+    xml += `<root-step>${root.letter}</root-step>`;
+    if (root.alter !== 0) xml += `<root-alter>${root.alter}</root-alter>`;
+    xml += `</root><kind text="${escapeXml(chord.type)}">${kind}</kind>`;
+    for (const degree of degrees) {
+        xml += `<degree><degree-value>${degree.value}</degree-value><degree-alter>${degree.alter}</degree-alter>` +
+            `<degree-type>${degree.type}</degree-type></degree>`;
+    }
+
+    xml += '<frame><frame-strings>6</frame-strings><frame-frets>5</frame-frets>';
+    if (baseFret > 0) xml += `<first-fret>${baseFret + 1}</first-fret>`;
+    positions.forEach((fret, stringIndex) => {
+        if (fret === 'x') return;
+        const finger = chord.fingerPositions[stringIndex];
+        xml += `<frame-note><string>${6 - stringIndex}</string><fret>${fret}</fret>`;
+        if (finger !== '0') xml += `<fingering>${finger}</fingering>`;
+        xml += '</frame-note>';
+    });
+    xml += '</frame></harmony>';
+    return xml;
+}
+
+/**
+ * Write the notes of a chord as one whole-note chord on a staff
+ * @param {Object[]} notes - { letter, alter, octave, string?, fret? } in playing order
+ * @param {number} staff - Staff number (1 treble, 2 TAB)
+ * @returns {string} MusicXML <note> elements
+ */
+function createMusicXMLNotes(notes, staff) {
+    const accidentals = { '-2': 'flat-flat', '-1': 'flat', 1: 'sharp', 2: 'double-sharp' };
+    return notes.map((note, index) => {
+        let xml = '<note>';
+        if (index > 0) xml += '<chord/>';
+        xml += `<pitch><step>${note.letter}</step>`;
+        if (note.alter !== 0) xml += `<alter>${note.alter}</alter>`;
+        xml += `<octave>${note.octave}</octave></pitch>`;
+        xml += `<duration>4</duration><voice>${staff === 1 ? 1 : 5}</voice><type>whole</type>`;
+        if (staff === 1 && note.alter !== 0) xml += `<accidental>${accidentals[note.alter]}</accidental>`;
+        xml += `<staff>${staff}</staff>`;
+        if (staff === 2) {
+            xml += `<notations><technical><string>${note.string}</string><fret>${note.fret}</fret></technical></notations>`;
+        }
+        return xml + '</note>';
+    }).join('');
+}
+
+/**
+ * Write chords as a MusicXML score: one 4/4 measure per chord with a chord frame, the
+ * notes on a treble (8vb) staff and a six-line TAB staff, all in standard tuning
+ * @param {Chord|Chord[]} chords - Chord or chords in order
+ * @param {Object} [options] - { title } for the work title (defaults to the chord names)
+ * @returns {string} MusicXML 4.0 partwise document
+ */
+function writeMusicXML(chords, options = {}) {
+    const list = Array.isArray(chords) ? chords : [chords];
+    const title = options.title || list.map(chord => chord.displayName).join(' ');
+
+    const tuning = STANDARD_TUNING.notes.map((name, index) => {
+        const note = parseNoteName(name);
+        const octave = Math.floor((STANDARD_TUNING.openMidi[index] - note.alter) / 12) - 1;
+        return `<staff-tuning line="${index + 1}"><tuning-step>${note.letter}</tuning-step>` +
+            (note.alter !== 0 ? `<tuning-alter>${note.alter}</tuning-alter>` : '') +
+            `<tuning-octave>${octave}</tuning-octave></staff-tuning>`;
+    }).join('');
+
+    const measures = list.map((chord, index) => {
+        let xml = `<measure number="${index + 1}">`;
+        if (index === 0) {
+            xml += '<attributes><divisions>1</divisions><key><fifths>0</fifths></key>' +
+                '<time><beats>4</beats><beat-type>4</beat-type></time><staves>2</staves>' +
+                '<clef number="1"><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef>' +
+                '<clef number="2"><sign>TAB</sign><line>5</line></clef>' +
+                `<staff-details number="2"><staff-lines>6</staff-lines>${tuning}</staff-details></attributes>`;
+        }
+
+        xml += createMusicXMLHarmony(chord);
+        xml += createMusicXMLNotes(convertIntervalsToNotes(chord, STANDARD_INSTRUMENT), 1);
+        xml += '<backup><duration>4</duration></backup>';
+
+        const positions = calculateAbsoluteFretPositions(chord, STANDARD_INSTRUMENT);
+        const tabNotes = [];
+        let noteIndex = 0;
+        positions.forEach((fret, stringIndex) => {
+            if (fret === 'x') return;
+            const note = parseNoteName(chord.noteNames[noteIndex++]);
+            const midi = STANDARD_TUNING.openMidi[stringIndex] + fret;
+            if (!note) return;
+            const octave = Math.round((midi - note.alter - LETTER_PITCH_CLASSES[note.letter]) / 12) - 1;
+            tabNotes.push({ letter: note.letter, alter: note.alter, octave, string: 6 - stringIndex, fret });
+        });
+        xml += createMusicXMLNotes(tabNotes, 2);
+
+        if (index === list.length - 1) {
+            xml += '<barline location="right"><bar-style>light-heavy</bar-style></barline>';
+        }
+        return xml + '</measure>';
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">\n' +
+        '<score-partwise version="4.0">' +
+        `<work><work-title>${escapeXml(title)}</work-title></work>` +
+        '<part-list><score-part id="P1"><part-name>Guitar</part-name></score-part></part-list>' +
+        `<part id="P1">${measures.join('')}</part>` +
+        '</score-partwise>\n';
+}
+
+/**
+ * Generate a standalone SVG containing only the chord diagram (no name or notation)
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} dimensions - Dimensions and scaling info
+ * @param {string} [labelMode] - Text in the dots (defaults to the selected mode)
+ * @param {boolean} [showNoteNames] - Print note names past the last fret
+ * @returns {string} Complete SVG markup
+ */
+function generateDiagramSVG(chord, dimensions, labelMode = dotLabelMode, showNoteNames = true) {
+    const { width, height } = dimensions;
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+        `<rect width="100%" height="100%" fill="white"/>` +
+        generateChordDiagram(chord, dimensions, labelMode, diagramOrientation, showNoteNames) +
+        `</svg>`;
+}
+
+/**
+ * Create an empty quiz session
+ * @returns {Object} { score, total, streak, bestStreak, perChord } where perChord maps chord
+ *   names to { correct, attempts }
+ */
+function createQuizSession() {
+    return { score: 0, total: 0, streak: 0, bestStreak: 0, perChord: {} };
+}
+
+/**
+ * Record an answer in a quiz session
+ * @param {Object} session - Session from createQuizSession() (updated in place)
+ * @param {string} chordName - Name of the chord that was asked
+ * @param {boolean} correct - Whether the answer was right
+ * @returns {Object} The updated session
+ */
+function recordQuizAnswer(session, chordName, correct) {
+    session.total++;
+    if (correct) {
+        session.score++;
+        session.streak++;
+        session.bestStreak = Math.max(session.bestStreak, session.streak);
+    } else {
+        session.streak = 0;
+    }
+
+    const stats = session.perChord[chordName] || { correct: 0, attempts: 0 };
+    stats.attempts++;
+    if (correct) stats.correct++;
+    session.perChord[chordName] = stats;
+
+    return session;
+}
+
+/**
+ * Get the share of correct answers for one chord
+ * @param {Object} session - Quiz session
+ * @param {string} chordName - Chord name
+ * @returns {number|null} Accuracy 0..1, or null if the chord has not been asked
+ */
+function getQuizAccuracy(session, chordName) {
+    const stats = session.perChord[chordName];
+    return stats ? stats.correct / stats.attempts : null;
+}
+
+/**
+ * Measure how alike two chord structures are (shared pitch classes over all pitch classes)
+ * @param {string[]} structureA - First structure
+ * @param {string[]} structureB - Second structure
+ * @returns {number} Similarity 0..1 (1 = same pitch classes)
+ */
+function calculateStructureSimilarity(structureA, structureB) {
+    const toSet = structure => new Set(structure.map(intervalToSemitones).filter(offset => offset !== null));
+    const setA = toSet(structureA);
+    const setB = toSet(structureB);
+    const shared = [...setA].filter(offset => setB.has(offset)).length;
+    const union = new Set([...setA, ...setB]).size;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} [random] - Random number source returning 0..1
+ * @returns {Array} Shuffled copy
+ */
+function shuffleArray(items, random = Math.random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Build a "name this chord" question with distractors of the same root and similar types
+ * Types whose structure sounds identical to the answer are never offered as distractors.
+ * @param {Chord} chord - Chord to ask about
+ * @param {Chord[]} [dataset] - Optional dataset to use instead of global chordDataset
+ * @param {number} [choiceCount] - Number of choices including the answer
+ * @param {Function} [random] - Random number source returning 0..1
+ * @returns {Object} { chord, answer, choices }
+ */
+function createNameQuestion(chord, dataset = null, choiceCount = 4, random = Math.random) {
+    const answerSemitones = new Set(chord.structure.map(intervalToSemitones));
+    const distractorTypes = buildChordTypeIndex(dataset || chordDataset)
+        .filter(entry => entry.type !== chord.type)
+        .filter(entry => {
+            const semitones = new Set(entry.structure.map(intervalToSemitones));
+            return semitones.size !== answerSemitones.size || [...semitones].some(offset => !answerSemitones.has(offset));
+        })
+        .map(entry => ({ type: entry.type, similarity: calculateStructureSimilarity(chord.structure, entry.structure) }))
+        .sort((a, b) => b.similarity - a.similarity || a.type.localeCompare(b.type))
+        .slice(0, choiceCount - 1);
+
+    const choices = [chord.displayName, ...distractorTypes.map(entry => `${chord.root}${entry.type}`)];
+    return { chord, answer: chord.displayName, choices: shuffleArray(choices, random) };
+}
+
+/**
+ * Check a shape entered for a "play this chord" question
+ * The answer is right when it matches a known voicing of the chord, or when it sounds
+ * only chord tones, includes every tone except possibly the fifth, and has the root in the bass.
+ * @param {Array} frets - Six entries of 'x' or a fret number, Low E first
+ * @param {Chord} chord - Chord that was asked
+ * @param {Chord[]} [dataset] - Optional dataset to use instead of global chordDataset
+ * @param {Object} [settings] - Tuning and capo (defaults to the active settings)
+ * @returns {Object} { correct, message }
+ */
+function checkFretAnswer(frets, chord, dataset = null, settings = getInstrumentSettings()) {
+    const voicings = [chord, ...getChordVoicings(chord, dataset)];
+    const matchesVoicing = voicings.some(voicing => {
+        const positions = calculateAbsoluteFretPositions(voicing, settings);
+        return positions.every((fret, stringIndex) => fret === frets[stringIndex]);
+    });
+    if (matchesVoicing) {
+        return { correct: true, message: `Correct: that is a ${chord.displayName} voicing from the dataset.` };
+    }
+
+    const { pitchClasses, bassPitchClass } = calculatePitchClassesFromFrets(frets, settings);
+    if (pitchClasses.length === 0) {
+        return { correct: false, message: 'No strings are sounding.' };
+    }
+
+    const rootPitchClass = noteToPitchClass(chord.root);
+    const toneOffsets = chord.structure.map(interval => ({ interval, offset: intervalToSemitones(interval) }));
+    const chordTones = toneOffsets.map(entry => (rootPitchClass + entry.offset) % 12);
+
+    const wrongNotes = pitchClasses.filter(pitchClass => !chordTones.includes(pitchClass));
+    if (wrongNotes.length > 0) {
+        return { correct: false, message: `Not quite: ${wrongNotes.map(pitchClass => ROOT_SPELLINGS[pitchClass]).join(', ')} is not in ${chord.displayName}.` };
+    }
+
+    const missing = toneOffsets
+        .filter(entry => entry.interval !== '5' && !pitchClasses.includes((rootPitchClass + entry.offset) % 12))
+        .map(entry => entry.interval);
+    if (missing.length > 0) {
+        return { correct: false, message: `Not quite: missing the ${missing.join(', ')}.` };
+    }
+    if (bassPitchClass !== rootPitchClass) {
+        return { correct: false, message: `Not quite: the lowest note should be the root, ${chord.root}.` };
+    }
+
+    return { correct: true, message: `Correct: all the chord tones of ${chord.displayName} with the root in the bass.` };
+}
+
+/**
+ * Spaced repetition (SM-2) defaults
+ */
+const SRS_DEFAULT_EASE = 2.5;
+const SRS_MINIMUM_EASE = 1.3;
+const SRS_WEAK_EASE = 2.0;     // Ease below this marks a chord the user struggles with
+const SRS_WEAK_CHANCE = 0.3;   // Chance of drilling a weak chord when nothing is due
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an empty spaced repetition progress store
+ * @returns {Object} { version, records } where records maps chord IDs to review records
+ */
+function createProgress() {
+    return { version: 1, records: {} };
+}
+
+/**
+ * Create the review record of a chord that has not been reviewed yet
+ * @param {string} id - Chord ID from getChordId()
+ * @returns {Object} { id, ease, interval, repetitions, lapses, due, reviewedAt }
+ */
+function createReviewRecord(id) {
+    return { id, ease: SRS_DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, due: null, reviewedAt: null };
+}
+
+/**
+ * Apply one SM-2 review to a record
+ * Quality 0-5: below 3 is a lapse (the chord restarts at a one-day interval), 3 and up
+ * grows the interval 1 day, 6 days, then by the ease factor. Ease moves by SM-2's
+ * formula and never drops below 1.3.
+ * @param {Object} record - Record from createReviewRecord() or a previous review
+ * @param {number} quality - Recall quality 0 (forgot) to 5 (perfect)
+ * @param {number} now - Review time in milliseconds since the epoch
+ * @returns {Object} New record
+ */
+function reviewChord(record, quality, now) {
+    const updated = { ...record };
+
+    if (quality >= 3) {
+        if (updated.repetitions === 0) {
+            updated.interval = 1;
+        } else if (updated.repetitions === 1) {
+            updated.interval = 6;
+        } else {
+            updated.interval = Math.round(updated.interval * updated.ease);
+        }
+        updated.repetitions++;
+    } else {
+        updated.repetitions = 0;
+        updated.interval = 1;
+        updated.lapses++;
+    }
+
+    const miss = 5 - quality;
+    updated.ease = Math.max(SRS_MINIMUM_EASE, updated.ease + (0.1 - miss * (0.08 + miss * 0.02)));
+    updated.due = now + updated.interval * DAY_MS;
+    updated.reviewedAt = now;
+    return updated;
+}
+
+/**
+ * Record a review of a chord in a progress store
+ * @param {Object} progress - Progress from createProgress() (updated in place)
+ * @param {Chord} chord - Reviewed chord
+ * @param {number} quality - Recall quality 0-5
+ * @param {number} now - Review time in milliseconds since the epoch
+ * @returns {Object} The chord's new record
+ */
+function recordChordReview(progress, chord, quality, now) {
+    const id = getChordId(chord);
+    const record = reviewChord(progress.records[id] || createReviewRecord(id), quality, now);
+    progress.records[id] = record;
+    return record;
+}
+
+/**
+ * Check whether a reviewed chord is due again
+ * @param {Object} record - Review record
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {boolean} True if the record has been reviewed and its due date has passed
+ */
+function isReviewDue(record, now) {
+    return record.due !== null && record.due <= now;
+}
+
+/**
+ * Pick the next chord to practice, preferring due and weak chords
+ * Order of preference: a random due chord; sometimes a weak chord that is not due yet;
+ * a chord never reviewed; finally the chord due soonest. The chord on screen is only
+ * picked again when it is the only one to choose from.
+ * @param {Chord[]} dataset - Chords to choose from (already filtered)
+ * @param {Object} progress - Progress store
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @param {Function} [random] - Random number source returning 0..1
+ * @param {Chord} [current] - Chord currently shown
+ * @returns {Chord|null} Chord to show next, or null if the dataset is empty
+ */
+function selectNextChord(dataset, progress, now, random = Math.random, current = null) {
+    if (dataset.length === 0) {
+        return null;
+    }
+
+    const currentId = current ? getChordId(current) : null;
+    const others = dataset.filter(chord => getChordId(chord) !== currentId);
+    const entries = (others.length > 0 ? others : dataset)
+        .map(chord => ({ chord, record: progress.records[getChordId(chord)] || null }));
+    const pickRandom = list => list[Math.floor(random() * list.length)].chord;
+
+    const due = entries.filter(entry => entry.record && isReviewDue(entry.record, now));
+    if (due.length > 0) {
+        return pickRandom(due);
+    }
+
+    const weak = entries.filter(entry => entry.record && entry.record.ease < SRS_WEAK_EASE);
+    if (weak.length > 0 && random() < SRS_WEAK_CHANCE) {
+        return pickRandom(weak);
+    }
+
+    const unseen = entries.filter(entry => !entry.record);
+    if (unseen.length > 0) {
+        return pickRandom(unseen);
+    }
+
+    entries.sort((a, b) => a.record.due - b.record.due);
+    return entries[0].chord;
+}
+
+/**
+ * Serialize progress for storage or export
+ * @param {Object} progress - Progress store
+ * @returns {string} JSON text
+ */
+function serializeProgress(progress) {
+    return JSON.stringify(progress, null, 2);
+}
+
+/**
+ * Parse an exported progress file, rejecting anything that is not one
+ * @param {string} text - File contents
+ * @returns {Object} Progress store
+ * @throws {Error} If the text is not a valid progress file
+ */
+function parseProgressFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Progress file is not valid JSON');
+    }
+
+    if (!data || data.version !== 1 || typeof data.records !== 'object' || data.records === null) {
+        throw new Error('Not a chord progress file (expected version 1 with records)');
+    }
+
+    const progress = createProgress();
+    for (const [id, record] of Object.entries(data.records)) {
+        const valid = record && record.id === id &&
+            typeof record.ease === 'number' && typeof record.interval === 'number' &&
+            typeof record.repetitions === 'number' && typeof record.lapses === 'number' &&
+            (record.due === null || typeof record.due === 'number') &&
+            (record.reviewedAt === null || typeof record.reviewedAt === 'number');
+        if (!valid) {
+            throw new Error(`Invalid progress record for ${id}`);
+        }
+        progress.records[id] = { ...createReviewRecord(id), ...record };
+    }
+    return progress;
+}
+
+/**
+ * Merge imported progress into existing progress, keeping the most recent review of each chord
+ * @param {Object} target - Progress to merge into (updated in place)
+ * @param {Object} incoming - Imported progress
+ * @returns {Object} The updated target
+ */
+function mergeProgress(target, incoming) {
+    for (const [id, record] of Object.entries(incoming.records)) {
+        const existing = target.records[id];
+        if (!existing || (record.reviewedAt || 0) > (existing.reviewedAt || 0)) {
+            target.records[id] = record;
+        }
+    }
+    return target;
+}
+
+/**
+ * Generate complete SVG for chord display
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} [dimensions] - SVG dimensions; defaults to the viewport size from calculateDimensions()
+ * @returns {string} Complete SVG markup
+ */
+function generateSVG(chord, dimensions = calculateDimensions()) {
+    const { width, height } = dimensions;
+
+    let svgContent = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" style="cursor: pointer;">`;
+    svgContent += generateChordSheetContent(chord, dimensions);
+    svgContent += `</svg>`;
+
+    return svgContent;
+}
+
+/**
+ * Generate the inner markup of the full chord sheet: labels, diagram and notation
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} dimensions - SVG dimensions
+ * @returns {string} SVG elements without the enclosing <svg>
+ */
+function generateChordSheetContent(chord, dimensions) {
+    // Add background
+    let svgContent = `<rect width="100%" height="100%" fill="white"/>`;
+
+    // Add chord labels
+    svgContent += createChordLabels(chord, dimensions);
+
+    // Add chord diagram, either the chord box or the whole neck
+    svgContent += diagramView === 'neck'
+        ? generateFullNeckDiagram(chord, dimensions)
+        : generateChordDiagram(chord, dimensions);
+
+    // Add musical notation below the diagram
+    svgContent += generateTrebleClef(dimensions);
+    svgContent += renderQuarterNotes(convertIntervalsToNotes(chord), dimensions);
+
+    return svgContent;
+}
+
+/**
+ * Fixed size of exported chord sheets (CSS pixels, the display's 600px base layout)
+ */
+const EXPORT_DIMENSIONS = { width: 600, height: 700, scale: 1 };
+
+/**
+ * Font fallbacks embedded in exported SVGs so they render the same outside the page
+ * Style rules override the presentation attributes, so each text keeps its role
+ * (labels or music symbols) but gains fonts commonly installed on other systems.
+ */
+const EXPORT_FONT_STYLE =
+    'text { font-family: Arial, Helvetica, "Liberation Sans", "DejaVu Sans", sans-serif; } ' +
+    'text[font-family*="Noto Music"] { font-family: "Noto Music", Bravura, "Bravura Text", "Segoe UI Symbol", "DejaVu Sans", serif; }';
+
+/**
+ * Generate a self-contained SVG file of the chord sheet
+ * Unlike generateSVG() it never reads the window, so it can run headlessly.
+ * @param {Chord} chord - Chord object to render
+ * @param {Object} [dimensions] - Explicit { width, height, scale }; defaults to EXPORT_DIMENSIONS
+ * @returns {string} SVG document including the XML declaration
+ */
+function generateStandaloneSVG(chord, dimensions = EXPORT_DIMENSIONS) {
+    const { width, height } = dimensions;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" version="1.1" ` +
+        'xmlns="http://www.w3.org/2000/svg">' +
+        `<title>${escapeXml(chord.displayName)}</title>` +
+        `<style>${EXPORT_FONT_STYLE}</style>` +
+        generateChordSheetContent(chord, dimensions) +
+        '</svg>\n';
+}
+
+/**
+ * Build a download file name from a chord's display name
+ * Characters that are unsafe in file names ("/" in "6/9", spaces) become "-".
+ * @param {Chord} chord - Exported chord
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name, e.g. "C#m7b5.png" or "C6-9.svg"
+ */
+function getExportFileName(chord, extension) {
+    const base = chord.displayName.replace(/[^A-Za-z0-9#+_.-]+/g, '-');
+    return `${base}.${extension}`;
+}
+
+/**
+ * Calculate the pixel size of a raster export
+ * SVG user units are CSS pixels, which are defined as 1/96 inch.
+ * @param {Object} dimensions - SVG dimensions
+ * @param {number} dpi - Target resolution in dots per inch
+ * @returns {Object} { width, height, ratio } in whole pixels, with ratio = dpi / 96
+ */
+function calculateRasterSize(dimensions, dpi) {
+    const ratio = dpi / 96;
+    return {
+        width: Math.round(dimensions.width * ratio),
+        height: Math.round(dimensions.height * ratio),
+        ratio
+    };
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Record the resolution in a PNG file so it prints at the intended size
+ * Canvas encoders omit the pHYs chunk; this inserts one right after IHDR.
+ * @param {Uint8Array} png - PNG file bytes
+ * @param {number} dpi - Resolution in dots per inch
+ * @returns {Uint8Array|null} New PNG bytes, or null if the input is not a PNG
+ */
+function setPNGResolution(png, dpi) {
+    const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (png.length < 33 || signature.some((byte, index) => png[index] !== byte)) {
+        console.error('Cannot set resolution: not a PNG file');
+        return null;
+    }
+
+    // IHDR is always first: 8 signature + 4 length + 4 type + 13 data + 4 CRC
+    const insertAt = 33;
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // Unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    const result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, insertAt), 0);
+    result.set(chunk, insertAt);
+    result.set(png.subarray(insertAt), insertAt + chunk.length);
+    return result;
+}
+
+/**
+ * Printable page sizes in CSS pixels (1/96 inch)
+ */
+const SHEET_PAGE_SIZES = {
+    a4: { name: 'A4', width: 793.7, height: 1122.5, cssSize: 'A4' },
+    letter: { name: 'Letter', width: 816, height: 1056, cssSize: 'letter' }
+};
+
+/**
+ * Default chord sheet options
+ */
+const DEFAULT_SHEET_OPTIONS = {
+    layout: 'grid',     // 'grid', 'song' (header listing the chords) or 'type' (one type in all 12 roots)
+    page: 'a4',
+    perRow: 4,
+    title: ''
+};
+
+/**
+ * Resolve a list of chord IDs or names to chords
+ * IDs ("Bb/m7/x13121") pick an exact voicing; chord symbols ("Am7", "G", "F#ø") pick the
+ * voicing with the lowest base fret.
+ * @param {string} text - IDs or names separated by commas, spaces or new lines
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Object} { chords, unknown } with the resolved chords in order and unresolved entries
+ */
+function resolveSheetChords(text, dataset) {
+    const chords = [];
+    const unknown = [];
+
+    for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+        let chord = parseChordId(token) ? findChordById(token, dataset) : null;
+        if (!chord) {
+            chord = findChordBySymbol(token, dataset).chord;
+        }
+
+        if (chord) {
+            chords.push(chord);
+        } else {
+            unknown.push(token);
+        }
+    }
+    return { chords, unknown };
+}
+
+/**
+ * Collect every voicing of one chord type across the 12 roots
+ * Roots are ordered chromatically from C; enharmonic spellings (A# and Bb) share a slot.
+ * @param {string} type - Chord type, e.g. "m7"
+ * @param {Chord[]} dataset - Chord dataset
+ * @returns {Chord[]} Voicings grouped by root, each group sorted by base fret
+ */
+function getTypeAcrossRoots(type, dataset) {
+    const chords = [];
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        const voicings = dataset
+            .filter(chord => chord.type === type && noteToPitchClass(chord.root) === pitchClass)
+            .map(chord => ({ chord, baseFret: getDisplayedBaseFret(chord) }))
+            .sort((a, b) => a.baseFret - b.baseFret)
+            .map(entry => entry.chord);
+        chords.push(...voicings);
+    }
+    return chords;
+}
+
+/**
+ * Lay out chord boxes on printable pages
+ * Diagrams reuse generateChordDiagram() at a compact scale; each page is an SVG sized in
+ * millimetres so it prints at true size.
+ * @param {Chord[]} chords - Chords in display order
+ * @param {Object} [options] - See DEFAULT_SHEET_OPTIONS; 'type' layouts also take options.type
+ * @returns {string[]} One SVG per page (an empty list when there are no chords)
+ */
+function createChordSheet(chords, options = {}) {
+    const { layout, page, perRow, title } = { ...DEFAULT_SHEET_OPTIONS, ...options };
+    const pageSize = SHEET_PAGE_SIZES[page] || SHEET_PAGE_SIZES.a4;
+    if (chords.length === 0) {
+        return [];
+    }
+
+    const margin = 48; // Half an inch
+    const gap = 12;
+    const columns = Math.max(1, Math.floor(perRow));
+    const cellWidth = (pageSize.width - 2 * margin - (columns - 1) * gap) / columns;
+    const labelHeight = Math.max(14, cellWidth * 0.12);
+    // Scale text and markers to the box size, as the 600px display does with 56px boxes
+    const diagramHeight = cellWidth * 1.25;
+    const diagram = { width: cellWidth, height: diagramHeight, scale: Math.min(cellWidth * 0.5, diagramHeight * 0.4) / 5 / 56 };
+    const cellHeight = labelHeight + diagram.height;
+
+    // Header: the title, plus the chord listing for songs
+    let heading = title;
+    if (!heading && layout === 'type') {
+        heading = `${options.type || chords[0].type} in all 12 keys`;
+    }
+    const listing = layout === 'song' ? [...new Set(chords.map(chord => chord.displayName))].join('   ') : '';
+    const headerHeight = (heading ? 36 : 0) + (listing ? 24 : 0) + (heading || listing ? 12 : 0);
+
+    const rowsFirstPage = Math.max(1, Math.floor((pageSize.height - 2 * margin - headerHeight + gap) / (cellHeight + gap)));
+    const rowsPerPage = Math.max(1, Math.floor((pageSize.height - 2 * margin + gap) / (cellHeight + gap)));
+
+    const pages = [];
+    let index = 0;
+    while (index < chords.length) {
+        const first = pages.length === 0;
+        const pageChords = chords.slice(index, index + columns * (first ? rowsFirstPage : rowsPerPage));
+        index += pageChords.length;
+
+        const widthMm = (pageSize.width * 25.4 / 96).toFixed(1);
+        const heightMm = (pageSize.height * 25.4 / 96).toFixed(1);
+        let svg = `<svg class="sheet-page" width="${widthMm}mm" height="${heightMm}mm" viewBox="0 0 ${pageSize.width} ${pageSize.height}" xmlns="http://www.w3.org/2000/svg">`;
+        svg += `<rect width="100%" height="100%" fill="white"/>`;
+
+        let top = margin;
+        if (first && heading) {
+            svg += `<text x="${margin}" y="${top + 24}" font-family="Arial" font-size="24" font-weight="bold">${escapeXml(heading)}</text>`;
+            top += 36;
+        }
+        if (first && listing) {
+            svg += `<text x="${margin}" y="${top + 16}" font-family="Arial" font-size="16">${escapeXml(listing)}</text>`;
+            top += 24;
+        }
+        if (first && (heading || listing)) {
+            svg += `<line x1="${margin}" y1="${top + 4}" x2="${pageSize.width - margin}" y2="${top + 4}" stroke="black" stroke-width="1"/>`;
+            top += 12;
+        }
+
+        pageChords.forEach((chord, position) => {
+            const x = margin + (position % columns) * (cellWidth + gap);
+            const y = top + Math.floor(position / columns) * (cellHeight + gap);
+            svg += `<g transform="translate(${x}, ${y})">`;
+            svg += `<text x="${cellWidth / 2}" y="${labelHeight * 0.8}" text-anchor="middle" font-family="Arial" font-size="${labelHeight * 0.8}" font-weight="bold">${escapeXml(chord.displayName)}</text>`;
+            svg += `<g transform="translate(0, ${labelHeight})">${generateChordDiagram(chord, diagram)}</g>`;
+            svg += `</g>`;
+        });
+
+        svg += `</svg>`;
+        pages.push(svg);
+    }
+    return pages;
+}
+
+/**
+ * Display error message as SVG
+ * @param {string} message - Error message to display
+ */
+function displayError(message) {
+    const dimensions = calculateDimensions();
+    const { width, height, scale } = dimensions;
+
+    const errorSVG = `
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="white"/>
+            <text x="${width / 2}" y="${height / 2 - 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" font-weight="bold" fill="#666">Error</text>
+            <text x="${width / 2}" y="${height / 2 + 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${16 * scale}" fill="#666">${message}</text>
+            <text x="${width / 2}" y="${height / 2 + 60 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" fill="#666">Click to reload</text>
+        </svg>
+    `;
+
+    const display = document.getElementById('chord-display');
+    display.innerHTML = errorSVG;
+    display.onclick = () => location.reload();
+}
+
+/**
+ * Display chord information as SVG
+ * @param {Chord} chord - Chord to display
+ */
+function displayChordInfo(chord) {
+    const svgMarkup = generateSVG(chord);
+    const display = document.getElementById('chord-display');
+    display.innerHTML = svgMarkup;
+
+    // Add click handler to load new chord
+    display.onclick = loadRandomChord;
+
+    renderVoicingGrid(chord);
+    updatePracticeStatus();
+    updateChordHash(chord);
+}
+
+/**
+ * Record the displayed chord in the URL hash
+ * Each new chord adds a history entry so back/forward walk through the session; redrawing
+ * the same chord (e.g. after a tuning change) leaves history alone.
+ * @param {Chord} chord - Displayed chord
+ */
+function updateChordHash(chord) {
+    const hash = chordIdToHash(getChordId(chord));
+    if (location.hash === hash) return;
+
+    const url = `${location.pathname}${location.search}${hash}`;
+    if (location.hash === '') {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Display the chord linked in the URL hash
+ * @returns {boolean} True if the hash named a known chord and it is now displayed
+ */
+function showChordFromHash() {
+    const id = parseChordHash(location.hash);
+    if (!id) return false;
+
+    const chord = findChordById(id, chordDataset);
+    if (!chord) {
+        console.warn(`No chord matches link ${id}`);
+        return false;
+    }
+
+    currentChord = chord;
+    displayChordInfo(chord);
+    return true;
+}
+
+/**
+ * Render every voicing of the displayed chord as a grid of small diagrams
+ * Clicking a voicing promotes it to the main display.
+ * @param {Chord} chord - Chord currently on display
+ */
+function renderVoicingGrid(chord) {
+    const grid = document.getElementById('voicing-grid');
+    if (!grid) return;
+
+    const easiestFirst = document.getElementById('voicing-easiest-first');
+    if (easiestFirst) {
+        easiestFirst.onchange = () => renderVoicingGrid(currentChord);
+    }
+    const voicings = easiestFirst && easiestFirst.checked ? sortByDifficulty(getChordVoicings(chord)) : getChordVoicings(chord);
+    const summary = document.getElementById('voicing-summary');
+    if (summary) {
+        summary.textContent = `All voicings of ${chord.displayName} (${voicings.length})`;
+    }
+
+    // Same layout as the main display, scaled down to a thumbnail
+    const cellDimensions = { width: 180, height: 150, scale: 0.3 };
+    grid.innerHTML = '';
+
+    for (const voicing of voicings) {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'voicing-cell';
+        cell.setAttribute('aria-pressed', voicing === chord ? 'true' : 'false');
+        cell.title = `${voicing.getDescription()} (${scoreDifficulty(voicing).tier})`;
+        cell.innerHTML = generateDiagramSVG(voicing, cellDimensions);
+        cell.onclick = () => {
+            currentChord = voicing;
+            displayChordInfo(voicing);
+        };
+        grid.appendChild(cell);
+    }
+}
+
+/**
+ * Display loading state as SVG
+ */
+function displayLoading() {
+    const dimensions = calculateDimensions();
+    const { width, height, scale } = dimensions;
+
+    const loadingSVG = `
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="white"/>
+            <text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" fill="#666">Generating chord...</text>
+        </svg>
+    `;
+
+    const display = document.getElementById('chord-display');
+    display.innerHTML = loadingSVG;
+    display.onclick = null; // Remove click handler during loading
+}
+
+/**
+ * Display an empty-result state when the active filters match no chord
+ */
+function displayNoMatches() {
+    const dimensions = calculateDimensions();
+    const { width, height, scale } = dimensions;
+
+    const noMatchesSVG = `
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="white"/>
+            <text x="${width / 2}" y="${height / 2 - 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" font-weight="bold" fill="#666">No matching chords</text>
+            <text x="${width / 2}" y="${height / 2 + 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${16 * scale}" fill="#666">No chord in the dataset matches the current filters.</text>
+            <text x="${width / 2}" y="${height / 2 + 60 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" fill="#666">Adjust or clear the filters to continue</text>
+        </svg>
+    `;
+
+    const display = document.getElementById('chord-display');
+    display.innerHTML = noMatchesSVG;
+    display.onclick = null;
+}
+
+/**
+ * Load and display a random chord
+ */
+async function loadRandomChord() {
+    // Show loading state
+    displayLoading();
+
+    // Ensure dataset is loaded
+    if (chordDataset.length === 0) {
+        const success = await loadChordDataset();
+        if (!success) return;
+    }
+
+    // Select and display the next chord: due or weak chords first when practicing, otherwise at random
+    currentChord = practiceDueFirst
+        ? selectNextChord(filterChords(chordDataset, chordFilters), practiceProgress, Date.now(), Math.random, currentChord)
+        : selectRandomChord();
+    if (currentChord) {
+        displayChordInfo(currentChord);
+    } else if (filterChords(chordDataset, chordFilters).length === 0) {
+        displayNoMatches();
+    } else {
+        displayError('Failed to select a random chord.');
+    }
+}
+
+/**
+ * Populate the filter panel with the roots and types present in the dataset
+ */
+function buildFilterPanel() {
+    const panel = document.getElementById('filter-panel');
+    if (!panel) return;
+
+    const createCheckboxes = (containerId, name, values, selected) => {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        for (const value of values) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = name;
+            checkbox.value = value;
+            checkbox.checked = selected.includes(value);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(value));
+            container.appendChild(label);
+        }
+    };
+
+    const roots = [...new Set(chordDataset.map(chord => chord.root))].sort();
+    const types = [...new Set(chordDataset.map(chord => chord.type))].sort();
+    createCheckboxes('filter-roots', 'root', roots, chordFilters.roots);
+    createCheckboxes('filter-types', 'type', types, chordFilters.types);
+    const sources = [BUILT_IN_SOURCE, ...chordLibraries.map(library => library.name)];
+    createCheckboxes('filter-sources', 'source', sources, chordFilters.sources);
+
+    document.getElementById('filter-voicing').value = chordFilters.voicing;
+    document.getElementById('filter-min-fret').value = chordFilters.minBaseFret ?? '';
+    document.getElementById('filter-max-fret').value = chordFilters.maxBaseFret ?? '';
+    document.getElementById('filter-difficulty').value = chordFilters.maxDifficulty ?? 'any';
+
+    panel.onchange = handleFilterChange;
+    document.getElementById('filter-reset').onclick = () => {
+        chordFilters = createDefaultFilters();
+        buildFilterPanel();
+        handleFilterChange();
+    };
+
+    updateFilterStatus();
+}
+
+/**
+ * Read the filter panel's controls into a filter set
+ * @returns {Object} Filters as created by createDefaultFilters()
+ */
+function readFilterPanel() {
+    const filters = createDefaultFilters();
+    const checkedValues = name => [...document.querySelectorAll(`#filter-panel input[name="${name}"]:checked`)]
+        .map(checkbox => checkbox.value);
+    const fretValue = id => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isNaN(value) ? null : value;
+    };
+
+    filters.roots = checkedValues('root');
+    filters.types = checkedValues('type');
+    filters.sources = checkedValues('source');
+    filters.voicing = document.getElementById('filter-voicing').value;
+    filters.minBaseFret = fretValue('filter-min-fret');
+    filters.maxBaseFret = fretValue('filter-max-fret');
+    const difficulty = document.getElementById('filter-difficulty').value;
+    filters.maxDifficulty = difficulty === 'any' ? null : difficulty;
+    return filters;
+}
+
+/**
+ * Apply filter panel changes: update the global filters, the URL and the match count
+ */
+function handleFilterChange() {
+    chordFilters = readFilterPanel();
+
+    // Keep the URL shareable without adding a history entry per checkbox
+    const url = `${location.pathname}${filtersToQuery(chordFilters)}${location.hash}`;
+    history.replaceState(history.state, '', url);
+
+    updateFilterStatus();
+}
+
+/**
+ * Show how many chords the active filters match, flagging an empty result
+ */
+function updateFilterStatus() {
+    const status = document.getElementById('filter-status');
+    if (!status) return;
+
+    const matchCount = filterChords(chordDataset, chordFilters).length;
+    status.textContent = matchCount === 0
+        ? 'No chords match these filters.'
+        : `${matchCount} of ${chordDataset.length} chords match.`;
+    status.classList.toggle('empty', matchCount === 0);
+}
+
+/**
+ * Wire up the identify panel: text entry and the clickable input fretboard
+ */
+function setupIdentifyPanel() {
+    const input = document.getElementById('identify-input');
+    const startFretInput = document.getElementById('identify-start-fret');
+    const fretboard = document.getElementById('identify-fretboard');
+    if (!input || !startFretInput || !fretboard) return;
+
+    let frets = ['x', 'x', 'x', 'x', 'x', 'x'];
+
+    const update = () => {
+        const startFret = Math.max(1, parseInt(startFretInput.value, 10) || 1);
+        fretboard.innerHTML = generateInteractiveFretboard(frets, startFret, { width: 300, height: 320, scale: 0.6 });
+        renderIdentifyResults(identifyChord(frets));
+    };
+
+    input.oninput = () => {
+        const parsed = parseFretInput(input.value);
+        input.setAttribute('aria-invalid', parsed ? 'false' : 'true');
+        if (parsed) {
+            frets = parsed;
+            update();
+        }
+    };
+    startFretInput.oninput = update;
+
+    fretboard.onclick = (event) => {
+        const target = event.target.closest('[data-string]');
+        if (!target) return;
+
+        frets = toggleFretSelection(frets, parseInt(target.dataset.string, 10), parseInt(target.dataset.fret, 10));
+        input.value = formatFretInput(frets);
+        input.setAttribute('aria-invalid', 'false');
+        update();
+    };
+
+    update();
+}
+
+/**
+ * Show identify candidates as a ranked list
+ * @param {Object[]} candidates - Candidates from identifyChord()
+ */
+function renderIdentifyResults(candidates) {
+    const results = document.getElementById('identify-results');
+    results.innerHTML = '';
+
+    if (candidates.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No matching chord. Enter or click at least one sounding string.';
+        results.appendChild(item);
+        return;
+    }
+
+    for (const candidate of candidates) {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = candidate.name;
+        item.appendChild(name);
+
+        const details = [candidate.inversion];
+        if (candidate.missing.length > 0) {
+            details.push(`no ${candidate.missing.join(', ')}`);
+        }
+        item.appendChild(document.createTextNode(` (${details.join('; ')})`));
+        results.appendChild(item);
+    }
+}
+
+/**
+ * Wire up the transpose controls for the displayed chord
+ */
+function setupTransposePanel() {
+    const rootSelect = document.getElementById('transpose-root');
+    if (!rootSelect) return;
+
+    rootSelect.innerHTML = '';
+    for (const root of ROOT_SPELLINGS) {
+        const option = document.createElement('option');
+        option.value = root;
+        option.textContent = root;
+        rootSelect.appendChild(option);
+    }
+
+    document.getElementById('transpose-apply').onclick = () => transposeDisplayedChord(rootSelect.value);
+    document.getElementById('transpose-down').onclick = () => transposeDisplayedChord(-1);
+    document.getElementById('transpose-up').onclick = () => transposeDisplayedChord(1);
+}
+
+/**
+ * Transpose the displayed chord and show it, or explain why it cannot be transposed
+ * @param {number|string} target - Semitones to move, or the target root name
+ */
+function transposeDisplayedChord(target) {
+    const status = document.getElementById('transpose-status');
+    if (!currentChord) return;
+
+    const { chord, reason } = attemptTransposition(currentChord, target);
+    if (!chord) {
+        status.textContent = `Cannot transpose ${currentChord.displayName}: ${reason}.`;
+        return;
+    }
+
+    status.textContent = `Transposed ${currentChord.displayName} to ${chord.displayName}.`;
+    currentChord = chord;
+    displayChordInfo(chord);
+}
+
+/**
+ * localStorage key for the persisted tuning and capo
+ */
+const INSTRUMENT_STORAGE_KEY = 'guitarChords.instrument';
+
+/**
+ * Serialize instrument settings for storage
+ * @param {Object} settings - Instrument settings
+ * @returns {Object} { tuningId, customTuning, capo } where customTuning holds the custom pitches
+ */
+function serializeInstrumentSettings(settings) {
+    const customTuning = settings.tuning.id === 'custom'
+        ? settings.tuning.openMidi.map((midi, stringIndex) => `${settings.tuning.notes[stringIndex]}${Math.floor(midi / 12) - 1}`).join(' ')
+        : null;
+    return { tuningId: settings.tuning.id, customTuning, capo: settings.capo };
+}
+
+/**
+ * Restore instrument settings from their serialized form, falling back to standard tuning
+ * @param {Object} data - Data from serializeInstrumentSettings()
+ * @returns {Object} Instrument settings
+ */
+function deserializeInstrumentSettings(data) {
+    if (!data) {
+        return createInstrumentSettings();
+    }
+
+    const tuning = data.tuningId === 'custom'
+        ? parseCustomTuning(data.customTuning || '')
+        : getTuningPreset(data.tuningId);
+    const capo = Number.isInteger(data.capo) && data.capo >= 0 && data.capo <= 12 ? data.capo : 0;
+    return createInstrumentSettings(tuning || STANDARD_TUNING, capo);
+}
+
+/**
+ * Load the persisted tuning and capo (browser only)
+ * @returns {Object} Instrument settings
+ */
+function loadInstrumentSettings() {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return createInstrumentSettings();
+        }
+        return deserializeInstrumentSettings(JSON.parse(localStorage.getItem(INSTRUMENT_STORAGE_KEY)));
+    } catch (error) {
+        console.warn('Ignoring stored instrument settings:', error);
+        return createInstrumentSettings();
+    }
+}
+
+/**
+ * Persist the tuning and capo (browser only)
+ * @param {Object} settings - Instrument settings
+ */
+function saveInstrumentSettings(settings) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(INSTRUMENT_STORAGE_KEY, JSON.stringify(serializeInstrumentSettings(settings)));
+}
+
+/**
+ * Wire up the tuning and capo controls
+ */
+function setupTuningPanel() {
+    const tuningSelect = document.getElementById('tuning-select');
+    const customInput = document.getElementById('tuning-custom');
+    const capoInput = document.getElementById('tuning-capo');
+    if (!tuningSelect || !customInput || !capoInput) return;
+
+    tuningSelect.innerHTML = '';
+    for (const tuning of TUNING_PRESETS) {
+        const option = document.createElement('option');
+        option.value = tuning.id;
+        option.textContent = `${tuning.name} (${tuning.notes.join(' ')})`;
+        tuningSelect.appendChild(option);
+    }
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom…';
+    tuningSelect.appendChild(customOption);
+
+    const settings = getInstrumentSettings();
+    tuningSelect.value = settings.tuning.id;
+    customInput.value = serializeInstrumentSettings(settings).customTuning || '';
+    customInput.hidden = settings.tuning.id !== 'custom';
+    capoInput.value = settings.capo;
+
+    const applyTuning = () => {
+        customInput.hidden = tuningSelect.value !== 'custom';
+
+        let tuning = getTuningPreset(tuningSelect.value);
+        if (tuningSelect.value === 'custom') {
+            tuning = parseCustomTuning(customInput.value);
+            customInput.setAttribute('aria-invalid', tuning ? 'false' : 'true');
+            if (!tuning) return; // Keep the previous tuning until the custom entry is valid
+        }
+
+        const capo = Math.min(12, Math.max(0, parseInt(capoInput.value, 10) || 0));
+        instrumentSettings = createInstrumentSettings(tuning, capo);
+        saveInstrumentSettings(instrumentSettings);
+
+        updateFilterStatus();
+        if (currentChord) {
+            displayChordInfo(currentChord);
+        }
+    };
+
+    tuningSelect.onchange = applyTuning;
+    customInput.oninput = applyTuning;
+    capoInput.oninput = applyTuning;
+}
+
+/**
+ * localStorage key for the persisted chord box orientation
+ */
+const ORIENTATION_STORAGE_KEY = 'guitarChords.orientation';
+
+/**
+ * Load the persisted chord box orientation (browser only)
+ * @returns {Object} Orientation from createDiagramOrientation()
+ */
+function loadDiagramOrientation() {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return createDiagramOrientation();
+        }
+        const stored = JSON.parse(localStorage.getItem(ORIENTATION_STORAGE_KEY)) || {};
+        return createDiagramOrientation(stored.hand, stored.layout);
+    } catch (error) {
+        console.warn('Ignoring stored diagram orientation:', error);
+        return createDiagramOrientation();
+    }
+}
+
+/**
+ * Persist the chord box orientation (browser only)
+ * @param {Object} orientation - Orientation from createDiagramOrientation()
+ */
+function saveDiagramOrientation(orientation) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(ORIENTATION_STORAGE_KEY, JSON.stringify(orientation));
+}
+
+/**
+ * Wire up the switches for the chord box or full-neck view, the labels in the dots and the orientation
+ */
+function setupViewPanel() {
+    const viewSelect = document.getElementById('view-mode');
+    if (!viewSelect) return;
+
+    const labelSelect = document.getElementById('dot-labels');
+    const handSelect = document.getElementById('diagram-hand');
+    const layoutSelect = document.getElementById('diagram-layout');
+    viewSelect.value = diagramView;
+    labelSelect.value = dotLabelMode;
+    handSelect.value = diagramOrientation.hand;
+    layoutSelect.value = diagramOrientation.layout;
+    viewSelect.onchange = labelSelect.onchange = handSelect.onchange = layoutSelect.onchange = () => {
+        diagramView = viewSelect.value;
+        dotLabelMode = labelSelect.value;
+        diagramOrientation = createDiagramOrientation(handSelect.value, layoutSelect.value);
+        saveDiagramOrientation(diagramOrientation);
+        if (currentChord) {
+            displayChordInfo(currentChord);
+        }
+    };
+}
+
+/**
+ * Play a chord through Web Audio
+ * @param {Chord} chord - Chord to play
+ * @param {Object} [options] - Playback options (see DEFAULT_PLAYBACK_OPTIONS)
+ */
+function playChord(chord, options = {}) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        console.warn('Web Audio is not supported in this browser');
+        return;
+    }
+
+    // One shared context; browsers limit how many can exist
+    audioContext = audioContext || new AudioContextClass();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    const { sampleRate, samples } = renderChordToPCM(chord, options);
+    const buffer = audioContext.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(audioContext.destination);
+    source.start();
+}
+
+/**
+ * Wire up the strum and arpeggio buttons
+ */
+function setupPlaybackPanel() {
+    const strumButton = document.getElementById('play-strum');
+    const arpeggioButton = document.getElementById('play-arpeggio');
+    const delayInput = document.getElementById('play-strum-delay');
+    if (!strumButton || !arpeggioButton || !delayInput) return;
+
+    const readDelay = () => Math.max(0, parseInt(delayInput.value, 10) || 0) / 1000;
+
+    strumButton.onclick = () => {
+        if (currentChord) playChord(currentChord, { mode: 'strum', strumDelay: readDelay() });
+    };
+    arpeggioButton.onclick = () => {
+        if (currentChord) playChord(currentChord, { mode: 'arpeggio' });
+    };
+}
+
+/**
+ * Wire up the quiz panel: question modes, answers and session statistics
+ */
+function setupQuizPanel() {
+    const modeSelect = document.getElementById('quiz-mode');
+    const nextButton = document.getElementById('quiz-next');
+    if (!modeSelect || !nextButton) return;
+
+    nextButton.onclick = () => askQuizQuestion(modeSelect.value);
+    document.getElementById('quiz-reset').onclick = () => {
+        quizSession = createQuizSession();
+        renderQuizStats();
+    };
+    renderQuizStats();
+}
+
+/**
+ * Show a new quiz question drawn from the (filtered) random selection
+ * @param {string} mode - 'name' (diagram shown, pick the name) or 'frets' (name shown, click the shape)
+ */
+function askQuizQuestion(mode) {
+    const question = document.getElementById('quiz-question');
+    const feedback = document.getElementById('quiz-feedback');
+    feedback.textContent = '';
+    question.innerHTML = '';
+
+    const chord = selectRandomChord();
+    if (!chord) {
+        feedback.textContent = 'No chords match the current filters.';
+        return;
+    }
+
+    if (mode === 'frets') {
+        askFretQuestion(chord, question, feedback);
+    } else {
+        askNameQuestion(chord, question, feedback);
+    }
+}
+
+/**
+ * Render a "name this chord" question
+ * @param {Chord} chord - Chord to ask about
+ * @param {HTMLElement} question - Container for the question
+ * @param {HTMLElement} feedback - Element for the result message
+ */
+function askNameQuestion(chord, question, feedback) {
+    const { answer, choices } = createNameQuestion(chord);
+
+    const diagram = document.createElement('div');
+    // Note names past the frets, or notes and degrees in the dots, would give the answer away
+    diagram.innerHTML = generateDiagramSVG(chord, { width: 300, height: 250, scale: 0.5 }, 'finger', false);
+    question.appendChild(diagram);
+
+    const buttons = choices.map(choice => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = choice;
+        button.onclick = () => {
+            const correct = choice === answer;
+            recordQuizAnswer(quizSession, answer, correct);
+            recordChordReview(practiceProgress, chord, correct ? 4 : 1, Date.now());
+            savePracticeProgress();
+            feedback.textContent = correct ? `Correct: ${answer}.` : `Not quite: this is ${answer}.`;
+            buttons.forEach(other => { other.disabled = true; });
+            renderQuizStats();
+        };
+        question.appendChild(button);
+        return button;
+    });
+}
+
+/**
+ * Render a "play this chord" question on a clickable fretboard
+ * @param {Chord} chord - Chord to ask about
+ * @param {HTMLElement} question - Container for the question
+ * @param {HTMLElement} feedback - Element for the result message
+ */
+function askFretQuestion(chord, question, feedback) {
+    let frets = ['x', 'x', 'x', 'x', 'x', 'x'];
+
+    const prompt = document.createElement('p');
+    prompt.innerHTML = `Play <strong></strong> on the fretboard:`;
+    prompt.querySelector('strong').textContent = chord.displayName;
+    question.appendChild(prompt);
+
+    const startFretLabel = document.createElement('label');
+    startFretLabel.textContent = 'First fret shown ';
+    const startFretInput = document.createElement('input');
+    startFretInput.type = 'number';
+    startFretInput.min = '1';
+    startFretInput.max = '20';
+    startFretInput.value = '1';
+    startFretLabel.appendChild(startFretInput);
+    question.appendChild(startFretLabel);
+
+    const fretboard = document.createElement('div');
+    question.appendChild(fretboard);
+    const render = () => {
+        const startFret = Math.max(1, parseInt(startFretInput.value, 10) || 1);
+        fretboard.innerHTML = generateInteractiveFretboard(frets, startFret, { width: 300, height: 320, scale: 0.6 });
+    };
+    startFretInput.oninput = render;
+
+    let answered = false;
+    fretboard.onclick = (event) => {
+        const target = event.target.closest('[data-string]');
+        if (!target || answered) return;
+        frets = toggleFretSelection(frets, parseInt(target.dataset.string, 10), parseInt(target.dataset.fret, 10));
+        render();
+    };
+
+    const checkButton = document.createElement('button');
+    checkButton.type = 'button';
+    checkButton.textContent = 'Check';
+    checkButton.onclick = () => {
+        const { correct, message } = checkFretAnswer(frets, chord);
+        answered = true;
+        checkButton.disabled = true;
+        recordQuizAnswer(quizSession, chord.displayName, correct);
+        recordChordReview(practiceProgress, chord, correct ? 4 : 1, Date.now());
+        savePracticeProgress();
+        feedback.textContent = correct
+            ? message
+            : `${message} One answer: ${formatFretInput(calculateAbsoluteFretPositions(chord))}.`;
+        renderQuizStats();
+    };
+    question.appendChild(checkButton);
+
+    render();
+}
+
+/**
+ * Show score, streak and per-chord accuracy for the session
+ */
+function renderQuizStats() {
+    const summary = document.getElementById('quiz-score');
+    const table = document.getElementById('quiz-accuracy');
+    if (!summary || !table) return;
+
+    const { score, total, streak, bestStreak, perChord } = quizSession;
+    summary.textContent = `Score ${score}/${total} · Streak ${streak} (best ${bestStreak})`;
+
+    table.innerHTML = '';
+    const names = Object.keys(perChord).sort((a, b) => getQuizAccuracy(quizSession, a) - getQuizAccuracy(quizSession, b));
+    for (const name of names) {
+        const row = document.createElement('tr');
+        const { correct, attempts } = perChord[name];
+        for (const text of [name, `${correct}/${attempts}`, `${Math.round(100 * correct / attempts)}%`]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        table.appendChild(row);
+    }
+}
+
+/**
+ * Show the chord typed into the search box, or the closest types when there is no exact match
+ */
+function searchChord() {
+    const text = document.getElementById('chord-search').value;
+    const status = document.getElementById('chord-search-status');
+    const suggestionList = document.getElementById('chord-search-suggestions');
+    suggestionList.innerHTML = '';
+    if (text.trim() === '') return;
+
+    const { symbol, chord, suggestions } = findChordBySymbol(text, chordDataset);
+    if (!symbol) {
+        status.textContent = `Could not read "${text.trim()}" as a chord symbol.`;
+        return;
+    }
+
+    if (chord) {
+        status.textContent = `Showing ${chord.displayName} (${symbol.structure.join(', ')}).`;
+        currentChord = chord;
+        displayChordInfo(chord);
+        return;
+    }
+
+    status.textContent = `No ${symbol.root} chord with ${symbol.structure.join(', ')} in the dataset.` +
+        (suggestions.length > 0 ? ' Closest:' : '');
+    for (const type of suggestions) {
+        const voicing = findVoicingForRootAndType(symbol.root, type, chordDataset);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = voicing.displayName;
+        button.title = voicing.structure.join(', ');
+        button.onclick = () => {
+            currentChord = voicing;
+            displayChordInfo(voicing);
+        };
+        suggestionList.appendChild(button);
+    }
+}
+
+/**
+ * Wire up the chord search box
+ */
+function setupSearchPanel() {
+    const form = document.getElementById('search-panel');
+    if (!form) return;
+
+    form.onsubmit = event => {
+        event.preventDefault();
+        searchChord();
+    };
+}
+
+/**
+ * Render the diatonic chords of the key chosen in the key browser
+ */
+function renderKeyBrowser() {
+    const tonic = document.getElementById('key-root').value;
+    const mode = document.getElementById('key-mode').value;
+    const sevenths = document.getElementById('key-sevenths').checked;
+    const output = document.getElementById('key-output');
+    const entries = findDiatonicVoicings(tonic, mode, chordDataset, sevenths);
+
+    output.innerHTML = '';
+    if (!entries) {
+        output.textContent = `Cannot spell the ${mode} scale on ${tonic}.`;
+        return;
+    }
+
+    const cellDimensions = { width: 150, height: 150, scale: 0.3 };
+    for (const entry of entries) {
+        const cell = document.createElement('div');
+        cell.className = 'key-chord';
+
+        const label = document.createElement('strong');
+        label.textContent = `${entry.numeral} · ${entry.chord ? entry.chord.displayName : entry.notes.join('-')}`;
+        cell.appendChild(label);
+
+        if (entry.chord) {
+            const diagram = document.createElement('button');
+            diagram.type = 'button';
+            diagram.className = 'voicing-cell';
+            diagram.title = entry.chord.getDescription();
+            diagram.innerHTML = generateDiagramSVG(entry.chord, cellDimensions);
+            diagram.onclick = () => {
+                currentChord = entry.chord;
+                displayChordInfo(entry.chord);
+            };
+            cell.appendChild(diagram);
+        } else {
+            const missing = document.createElement('span');
+            missing.textContent = `No ${entry.structure.join(', ')} chord in the dataset`;
+            cell.appendChild(missing);
+        }
+        output.appendChild(cell);
+    }
+}
+
+/**
+ * Wire up the key browser
+ */
+function setupKeyBrowser() {
+    const rootSelect = document.getElementById('key-root');
+    if (!rootSelect) return;
+
+    for (const root of ['C', 'C#', 'Db', 'D', 'D#', 'Eb', 'E', 'F', 'F#', 'Gb', 'G', 'G#', 'Ab', 'A', 'A#', 'Bb', 'B', 'Cb']) {
+        rootSelect.add(new Option(root, root));
+    }
+    const modeSelect = document.getElementById('key-mode');
+    for (const { id, name } of DIATONIC_MODES) {
+        modeSelect.add(new Option(name, id));
+    }
+
+    rootSelect.value = 'G';
+    rootSelect.onchange = renderKeyBrowser;
+    modeSelect.onchange = renderKeyBrowser;
+    document.getElementById('key-sevenths').onchange = renderKeyBrowser;
+    renderKeyBrowser();
+}
+
+/**
+ * Build the progression in the progression panel and render it as consecutive diagrams
+ */
+function renderProgression() {
+    const status = document.getElementById('progression-status');
+    const output = document.getElementById('progression-output');
+    const progression = buildProgression(document.getElementById('progression-input').value, chordDataset, {
+        key: document.getElementById('progression-key').value.trim(),
+        overrides: progressionOverrides
+    });
+
+    output.innerHTML = '';
+    const cellDimensions = { width: 150, height: 150, scale: 0.3 };
+
+    progression.steps.forEach((step, index) => {
+        if (index > 0) {
+            const { travel, jump, penalty, total } = progression.transitions[index - 1];
+            const cost = document.createElement('div');
+            cost.className = 'progression-cost';
+            cost.textContent = `→ ${total}`;
+            cost.title = `Finger travel ${travel}, position shift ${jump}, large-jump penalty ${penalty}`;
+            output.appendChild(cost);
+        }
+
+        const cell = document.createElement('div');
+        cell.className = 'progression-step';
+
+        const diagram = document.createElement('button');
+        diagram.type = 'button';
+        diagram.className = 'voicing-cell';
+        diagram.title = `${step.token}: ${step.chord.getDescription()} (muted strings ${step.cost})`;
+        diagram.innerHTML = generateDiagramSVG(step.chord, cellDimensions);
+        diagram.onclick = () => {
+            currentChord = step.chord;
+            displayChordInfo(step.chord);
+        };
+        cell.appendChild(diagram);
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Voicing for ${step.token}`);
+        step.candidates.forEach((candidate, candidateIndex) => {
+            const label = `${candidate.displayName} ${candidate.fingerPositions.join('')} (fret ${getDisplayedBaseFret(candidate)})`;
+            select.add(new Option(label, candidateIndex));
+        });
+        select.value = step.choice;
+        select.onchange = () => {
+            progressionOverrides[index] = parseInt(select.value, 10);
+            renderProgression();
+        };
+        cell.appendChild(select);
+        output.appendChild(cell);
+    });
+
+    status.textContent = progression.steps.length > 0
+        ? `Total cost ${progression.totalCost}: movement ${progression.movementCost}, muted strings ${progression.voicingCost}`
+        : '';
+    if (progression.unknown.length > 0) {
+        status.textContent += `${status.textContent ? ' · ' : ''}Not found: ${progression.unknown.join(', ')}`;
+    }
+}
+
+/**
+ * Wire up the progression panel
+ */
+function setupProgressionPanel() {
+    const form = document.getElementById('progression-form');
+    if (!form) return;
+
+    form.onsubmit = event => {
+        event.preventDefault();
+        progressionOverrides = {};
+        renderProgression();
+    };
+}
+
+/**
+ * Build the printable chord sheet from the sheet panel's settings
+ */
+function buildChordSheet() {
+    const layout = document.getElementById('sheet-layout').value;
+    const type = document.getElementById('sheet-type').value;
+    const status = document.getElementById('sheet-status');
+    const output = document.getElementById('sheet-output');
+
+    let chords;
+    let unknown = [];
+    if (layout === 'type') {
+        chords = getTypeAcrossRoots(type, chordDataset);
+    } else {
+        ({ chords, unknown } = resolveSheetChords(document.getElementById('sheet-chords').value, chordDataset));
+    }
+
+    const page = document.getElementById('sheet-page').value;
+    const pages = createChordSheet(chords, {
+        layout,
+        page,
+        type,
+        perRow: parseInt(document.getElementById('sheet-per-row').value, 10) || DEFAULT_SHEET_OPTIONS.perRow,
+        title: document.getElementById('sheet-title').value.trim()
+    });
+
+    output.innerHTML = pages.join('');
+    document.getElementById('sheet-page-style').textContent =
+        `@page { size: ${(SHEET_PAGE_SIZES[page] || SHEET_PAGE_SIZES.a4).cssSize}; margin: 0; }`;
+    document.body.classList.toggle('has-sheet', pages.length > 0);
+
+    status.textContent = `${chords.length} chord${chords.length === 1 ? '' : 's'} on ${pages.length} page${pages.length === 1 ? '' : 's'}` +
+        (unknown.length > 0 ? ` · not found: ${unknown.join(', ')}` : '');
+}
+
+/**
+ * Wire up the chord sheet panel
+ */
+function setupSheetPanel() {
+    const panel = document.getElementById('sheet-details');
+    if (!panel) return;
+
+    const typeSelect = document.getElementById('sheet-type');
+    for (const { type } of buildChordTypeIndex(chordDataset)) {
+        typeSelect.add(new Option(type, type));
+    }
+
+    const layoutSelect = document.getElementById('sheet-layout');
+    const updateLayout = () => {
+        const byType = layoutSelect.value === 'type';
+        document.getElementById('sheet-chords-label').hidden = byType;
+        document.getElementById('sheet-type-label').hidden = !byType;
+    };
+    layoutSelect.onchange = updateLayout;
+    updateLayout();
+
+    document.getElementById('sheet-build').onclick = buildChordSheet;
+    document.getElementById('sheet-midi').onclick = () => {
+        const { chords } = resolveSheetChords(document.getElementById('sheet-chords').value, chordDataset);
+        exportMidi(chords, 'chord-sheet.mid');
+    };
+    document.getElementById('sheet-musicxml').onclick = () => {
+        const { chords } = resolveSheetChords(document.getElementById('sheet-chords').value, chordDataset);
+        exportMusicXML(chords, 'chord-sheet.musicxml');
+    };
+    document.getElementById('sheet-print').onclick = () => {
+        buildChordSheet();
+        window.print();
     };
 }
 
 /**
- * Generate SVG chord diagram with fretboard representation
- * @param {Chord} chord - Chord object to render
- * @param {Object} dimensions - Dimensions and scaling info
- * @returns {string} SVG markup for chord diagram
+ * Offer a blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
  */
-function generateChordDiagram(chord, dimensions) {
-    const { width, height, scale } = dimensions;
-    // Make fretboard with square individual boxes
-    const maxSize = Math.min(width * 0.5, height * 0.4);
-    // To make square boxes, we need stringSpacing = fretSpacing
-    // Since we have 5 string spaces and 5 fret spaces, both use same size
-    const boxSize = maxSize / 5; // Use 5 as reference
-    const fretboardWidth = boxSize * 5;   // 5 string spaces
-    const fretboardHeight = boxSize * 5;  // 5 fret spaces
-    const fretboardX = (width - fretboardWidth) / 2;
-    const fretboardY = height * 0.2;      // Move up more to reduce bottom space
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-    const stringSpacing = boxSize; // Each box is square
-    const fretSpacing = boxSize;   // Each box is square
+/**
+ * Download the displayed chord as a standalone SVG file
+ */
+function exportChordSVG() {
+    if (!currentChord) return;
 
-    // Calculate absolute fret positions and normalize them
-    const absolutePositions = calculateAbsoluteFretPositions(chord);
-    const { positions: normalizedPositions, baseFret } = normalizeFretPositions(absolutePositions);
+    const blob = new Blob([generateStandaloneSVG(currentChord)], { type: 'image/svg+xml' });
+    downloadBlob(blob, getExportFileName(currentChord, 'svg'));
+}
 
-    let diagramSVG = '';
+/**
+ * Download the displayed chord as a PNG rasterized at the chosen resolution
+ * @param {number} dpi - Resolution in dots per inch
+ */
+async function exportChordPNG(dpi) {
+    if (!currentChord) return;
 
-    // Display base fret number to the left of the fretboard
-    if (baseFret > 0) {
-        diagramSVG += `<text x="${fretboardX - 30 * scale}" y="${fretboardY + fretSpacing / 2}" text-anchor="middle" font-family="Arial" font-size="${20 * scale}" font-weight="bold">${baseFret + 1}</text>`;
-    }
+    const chord = currentChord;
+    const size = calculateRasterSize(EXPORT_DIMENSIONS, dpi);
+    const svgUrl = URL.createObjectURL(new Blob([generateStandaloneSVG(chord)], { type: 'image/svg+xml' }));
 
-    // Draw fretboard outline
-    diagramSVG += `<rect x="${fretboardX}" y="${fretboardY}" width="${fretboardWidth}" height="${fretboardHeight}" fill="none" stroke="black" stroke-width="3"/>`;
+    try {
+        const image = new Image();
+        image.src = svgUrl;
+        await image.decode();
 
-    // Draw strings (vertical lines)
-    for (let i = 0; i <= 5; i++) {
-        const x = fretboardX + (i * stringSpacing);
-        diagramSVG += `<line x1="${x}" y1="${fretboardY}" x2="${x}" y2="${fretboardY + fretboardHeight}" stroke="black" stroke-width="2"/>`;
-    }
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
 
-    // Draw frets (horizontal lines)
-    for (let i = 0; i <= 5; i++) {
-        const y = fretboardY + (i * fretSpacing);
-        // Make the top line (nut) thicker for open position chords, regular frets thicker than strings
-        const strokeWidth = (i === 0 && baseFret === 0) ? "8" : "3";
-        diagramSVG += `<line x1="${fretboardX}" y1="${y}" x2="${fretboardX + fretboardWidth}" y2="${y}" stroke="black" stroke-width="${strokeWidth}"/>`;
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const png = setPNGResolution(new Uint8Array(await blob.arrayBuffer()), dpi);
+        downloadBlob(new Blob([png || blob], { type: 'image/png' }), getExportFileName(chord, 'png'));
+    } catch (error) {
+        console.error('Failed to export PNG:', error);
+    } finally {
+        URL.revokeObjectURL(svgUrl);
     }
+}
 
-    // Draw finger positions and note names
-    // CSV data is ordered from Low E (6th) to High E (1st) string, displayed left to right
-    const openStringNotes = ['E', 'A', 'D', 'G', 'B', 'E']; // Standard tuning notes
-    let noteIndex = 0; // Index for NOTE_NAMES array (only counts non-x positions)
+/**
+ * Download chords as a MIDI file, using the strum setting of the playback panel
+ * @param {Chord[]} chords - Chords in playing order
+ * @param {string} fileName - Suggested file name
+ */
+function exportMidi(chords, fileName) {
+    if (chords.length === 0) return;
 
-    for (let stringIndex = 0; stringIndex < 6; stringIndex++) {
-        const originalPosition = chord.fingerPositions[stringIndex];
-        const normalizedPosition = normalizedPositions[stringIndex];
-        const x = fretboardX + (stringIndex * stringSpacing);
+    const strumDelay = document.getElementById('play-strum-delay');
+    const strumOffset = strumDelay ? (parseFloat(strumDelay.value) || 0) / 1000 : DEFAULT_MIDI_OPTIONS.strumOffset;
+    const bytes = writeMidiFile(chords, { style: strumOffset > 0 ? 'strum' : 'block', strumOffset });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), fileName);
+}
 
-        // Determine what note to display below the string
-        let noteToDisplay = '';
-        if (originalPosition === 'x') {
-            // Muted string - no note displayed
-            noteToDisplay = '';
-        } else if (originalPosition === '0') {
-            // Open string - use standard tuning note
-            noteToDisplay = openStringNotes[stringIndex];
-        } else {
-            // Fingered position - use note from NOTE_NAMES
-            noteToDisplay = chord.noteNames[noteIndex];
-        }
+/**
+ * Download chords as a MusicXML file
+ * @param {Chord[]} chords - Chords in order
+ * @param {string} fileName - Suggested file name
+ */
+function exportMusicXML(chords, fileName) {
+    if (chords.length === 0) return;
 
-        // Draw finger position markers
-        if (normalizedPosition === 'x') {
-            // Muted string - draw X above fretboard
-            const y = fretboardY - 20 * scale;
-            diagramSVG += `<text x="${x}" y="${y}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" font-weight="bold">X</text>`;
-        } else if (normalizedPosition === 0) {
-            // Open string - draw open circle above fretboard
-            const y = fretboardY - 20 * scale;
-            diagramSVG += `<circle cx="${x}" cy="${y - 8 * scale}" r="${12 * scale}" fill="none" stroke="black" stroke-width="4"/>`;
-        } else {
-            // Fingered position - draw filled circle on fret
-            const fretNumber = normalizedPosition;
-            if (fretNumber >= 1 && fretNumber <= 5) {
-                const y = fretboardY + ((fretNumber - 0.5) * fretSpacing);
-                diagramSVG += `<circle cx="${x}" cy="${y}" r="${18 * scale}" fill="black"/>`;
-                // Display the original finger number, not the normalized position
-                diagramSVG += `<text x="${x}" y="${y + 7 * scale}" text-anchor="middle" font-family="Arial" font-size="${18 * scale}" fill="white" font-weight="bold">${originalPosition}</text>`;
-            }
-        }
+    const blob = new Blob([writeMusicXML(chords)], { type: 'application/vnd.recordare.musicxml+xml' });
+    downloadBlob(blob, fileName);
+}
+
+/**
+ * Wire up the export panel
+ */
+function setupExportPanel() {
+    const panel = document.getElementById('export-panel');
+    if (!panel) return;
+
+    document.getElementById('export-svg').onclick = exportChordSVG;
+    document.getElementById('export-png').onclick = () => {
+        exportChordPNG(parseInt(document.getElementById('export-dpi').value, 10));
+    };
+    document.getElementById('export-midi').onclick = () => {
+        if (currentChord) exportMidi([currentChord], getExportFileName(currentChord, 'mid'));
+    };
+    document.getElementById('export-musicxml').onclick = () => {
+        if (currentChord) exportMusicXML([currentChord], getExportFileName(currentChord, 'musicxml'));
+    };
+}
+
+/**
+ * localStorage key for spaced repetition progress
+ */
+const PROGRESS_STORAGE_KEY = 'guitarChords.progress';
 
-        // Display note name below the string (if not muted)
-        if (noteToDisplay) {
-            const noteY = fretboardY + fretboardHeight + 30 * scale;
-            diagramSVG += `<text x="${x}" y="${noteY}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" font-weight="bold">${noteToDisplay}</text>`;
+/**
+ * Load spaced repetition progress (browser only)
+ * @returns {Object} Progress store
+ */
+function loadPracticeProgress() {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return createProgress();
         }
+        const stored = localStorage.getItem(PROGRESS_STORAGE_KEY);
+        return stored ? parseProgressFile(stored) : createProgress();
+    } catch (error) {
+        console.warn('Ignoring stored practice progress:', error);
+        return createProgress();
+    }
+}
 
-        // Increment noteIndex only for non-x positions
-        if (originalPosition !== 'x') {
-            noteIndex++;
+/**
+ * Persist spaced repetition progress (browser only)
+ */
+function savePracticeProgress() {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(PROGRESS_STORAGE_KEY, serializeProgress(practiceProgress));
+}
+
+/**
+ * Grade the displayed chord, schedule its next review and move on
+ * @param {number} quality - Recall quality 0-5
+ */
+function gradeCurrentChord(quality) {
+    if (!currentChord) return;
+
+    recordChordReview(practiceProgress, currentChord, quality, Date.now());
+    savePracticeProgress();
+    loadRandomChord();
+}
+
+/**
+ * Show the displayed chord's review state and how many chords are due
+ */
+function updatePracticeStatus() {
+    const status = document.getElementById('practice-status');
+    if (!status) return;
+
+    const now = Date.now();
+    const records = Object.values(practiceProgress.records);
+    const dueCount = records.filter(record => isReviewDue(record, now)).length;
+    let text = `${dueCount} due · ${records.length} reviewed`;
+
+    if (currentChord) {
+        const record = practiceProgress.records[getChordId(currentChord)];
+        if (!record) {
+            text += ` · ${currentChord.displayName} is new`;
+        } else {
+            const days = Math.round((record.due - now) / DAY_MS);
+            const when = days <= 0 ? 'due now' : `due in ${days} day${days === 1 ? '' : 's'}`;
+            text += ` · ${currentChord.displayName} ${when}, ease ${record.ease.toFixed(2)}`;
         }
     }
+    status.textContent = text;
+}
 
-    return diagramSVG;
+/**
+ * Download the progress store as a JSON file
+ */
+function exportPracticeProgress() {
+    const blob = new Blob([serializeProgress(practiceProgress)], { type: 'application/json' });
+    downloadBlob(blob, 'chord-progress.json');
 }
 
 /**
- * Generate chord labels and text information
- * @param {Chord} chord - Chord object to render
- * @param {Object} dimensions - Dimensions and scaling info
- * @returns {string} SVG markup for text labels
+ * Import a progress file chosen by the user and merge it with local progress
+ * @param {File} file - Selected file
  */
-function createChordLabels(chord, dimensions) {
-    const { width, height, scale } = dimensions;
-    let labelsSVG = '';
+async function importPracticeProgress(file) {
+    const status = document.getElementById('practice-status');
+    try {
+        const incoming = parseProgressFile(await file.text());
+        mergeProgress(practiceProgress, incoming);
+        savePracticeProgress();
+        updatePracticeStatus();
+        status.textContent += ` · imported ${Object.keys(incoming.records).length} records`;
+    } catch (error) {
+        console.error('Failed to import progress:', error);
+        status.textContent = `Import failed: ${error.message}`;
+    }
+}
 
-    // Chord name (title)
-    labelsSVG += `<text x="${width / 2}" y="${40 * scale}" text-anchor="middle" font-family="Arial" font-size="${32 * scale}" font-weight="bold">${chord.displayName}</text>`;
+/**
+ * Wire up the practice panel: grading buttons, due-first toggle, export and import
+ */
+function setupPracticePanel() {
+    const panel = document.getElementById('practice-panel');
+    if (!panel) return;
 
-    // Chord structure
-    labelsSVG += `<text x="${width / 2}" y="${80 * scale}" text-anchor="middle" font-family="Arial" font-size="${16 * scale}">Structure: ${chord.structure.join(', ')}</text>`;
+    for (const button of panel.querySelectorAll('[data-quality]')) {
+        button.onclick = () => gradeCurrentChord(parseInt(button.dataset.quality, 10));
+    }
 
-    // String note names are now displayed below each string in the chord diagram
-    // Note: fretboard dimensions must match those in generateChordDiagram
-    const maxSize = Math.min(width * 0.5, height * 0.4);
-    const boxSize = maxSize / 5;
-    const fretboardWidth = boxSize * 5;
-    const fretboardHeight = boxSize * 5;
-    const fretboardX = (width - fretboardWidth) / 2;
-    const fretboardY = height * 0.2;
+    const dueFirst = document.getElementById('practice-due-first');
+    dueFirst.checked = practiceDueFirst;
+    dueFirst.onchange = () => { practiceDueFirst = dueFirst.checked; };
 
-    // Note names are now displayed below each string in the chord diagram
+    document.getElementById('practice-export').onclick = exportPracticeProgress;
+    const importInput = document.getElementById('practice-import');
+    importInput.onchange = () => {
+        if (importInput.files.length > 0) {
+            importPracticeProgress(importInput.files[0]);
+            importInput.value = '';
+        }
+    };
 
-    // Click instruction removed - users can discover interaction on their own
+    updatePracticeStatus();
+}
 
-    return labelsSVG;
+const LIBRARY_STORAGE_KEY = 'guitarChords.libraries';
+
+/**
+ * Load the imported chord libraries (browser only)
+ * The file text is stored and parsed again, so stored libraries pick up parser fixes.
+ * @returns {Object[]} Libraries as { name, text, chords, errors }
+ */
+function loadChordLibraries() {
+    try {
+        if (typeof localStorage === 'undefined') {
+            return [];
+        }
+        const stored = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY) || '[]');
+        return stored.map(({ name, text }) => ({ name, text, ...parseChordLibrary(text, name) }));
+    } catch (error) {
+        console.warn('Ignoring stored chord libraries:', error);
+        return [];
+    }
 }
 
 /**
- * Generate complete SVG for chord display
- * @param {Chord} chord - Chord object to render
- * @returns {string} Complete SVG markup
+ * Persist the imported chord libraries (browser only)
+ * @returns {boolean} False if storage refused them (e.g. over quota)
  */
-function generateSVG(chord) {
-    const dimensions = calculateDimensions();
-    const { width, height } = dimensions;
+function saveChordLibraries() {
+    if (typeof localStorage === 'undefined') return true;
+    try {
+        localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(chordLibraries.map(({ name, text }) => ({ name, text }))));
+        return true;
+    } catch (error) {
+        console.error('Failed to save chord libraries:', error);
+        return false;
+    }
+}
 
-    let svgContent = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" style="cursor: pointer;">`;
+/**
+ * Apply a change to the libraries: merge them into the dataset, store them and refresh the panels
+ * @param {string} message - Status message to show
+ */
+function applyChordLibraries(message) {
+    chordDataset = mergeChordLibraries(chordDataset, chordLibraries);
+    const saved = saveChordLibraries();
+    buildFilterPanel();
+    renderLibraryPanel(saved ? message : `${message} They could not be saved and will be gone after a reload.`);
+}
 
-    // Add background
-    svgContent += `<rect width="100%" height="100%" fill="white"/>`;
+/**
+ * Import chord library files chosen or dropped by the user
+ * A file with the same name as an existing library replaces it.
+ * @param {FileList|File[]} files - Selected files
+ */
+async function importChordLibraries(files) {
+    const messages = [];
+    const errorList = document.getElementById('library-errors');
+    errorList.innerHTML = '';
 
-    // Add chord labels
-    svgContent += createChordLabels(chord, dimensions);
+    for (const file of files) {
+        const text = await file.text();
+        const library = { name: file.name, text, ...parseChordLibrary(text, file.name) };
 
-    // Add chord diagram
-    svgContent += generateChordDiagram(chord, dimensions);
+        for (const { row, message } of library.errors) {
+            const item = document.createElement('li');
+            item.textContent = row === null ? `${file.name}: ${message}` : `${file.name}, row ${row}: ${message}`;
+            errorList.appendChild(item);
+        }
+        if (library.chords.length === 0) {
+            messages.push(`${file.name}: no valid chords, not imported.`);
+            continue;
+        }
 
-    svgContent += `</svg>`;
+        chordLibraries = chordLibraries.filter(existing => existing.name !== file.name);
+        chordLibraries.push(library);
+        const skipped = library.errors.length > 0 ? `, ${library.errors.length} rows skipped` : '';
+        messages.push(`${file.name}: ${library.chords.length} chords imported${skipped}.`);
+    }
 
-    return svgContent;
+    applyChordLibraries(messages.join(' '));
 }
 
 /**
- * Display error message as SVG
- * @param {string} message - Error message to display
+ * Remove an imported library and its chords
+ * @param {string} name - Library name
  */
-function displayError(message) {
-    const dimensions = calculateDimensions();
-    const { width, height, scale } = dimensions;
+function removeChordLibrary(name) {
+    chordLibraries = chordLibraries.filter(library => library.name !== name);
+    chordFilters.sources = chordFilters.sources.filter(source => source !== name);
+    document.getElementById('library-errors').innerHTML = '';
+    applyChordLibraries(`Removed ${name}.`);
+}
 
-    const errorSVG = `
-        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-            <rect width="100%" height="100%" fill="white"/>
-            <text x="${width / 2}" y="${height / 2 - 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" font-weight="bold" fill="#666">Error</text>
-            <text x="${width / 2}" y="${height / 2 + 20 * scale}" text-anchor="middle" font-family="Arial" font-size="${16 * scale}" fill="#666">${message}</text>
-            <text x="${width / 2}" y="${height / 2 + 60 * scale}" text-anchor="middle" font-family="Arial" font-size="${14 * scale}" fill="#666">Click to reload</text>
-        </svg>
-    `;
+/**
+ * List the imported libraries with their chord counts and remove buttons
+ * @param {string} [message] - Status message to show
+ */
+function renderLibraryPanel(message = '') {
+    const list = document.getElementById('library-list');
+    if (!list) return;
 
-    const display = document.getElementById('chord-display');
-    display.innerHTML = errorSVG;
-    display.onclick = () => location.reload();
+    list.innerHTML = '';
+    for (const library of chordLibraries) {
+        const item = document.createElement('li');
+        item.textContent = `${library.name}: ${library.chords.length} chords `;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.onclick = () => removeChordLibrary(library.name);
+        item.appendChild(remove);
+        list.appendChild(item);
+    }
+
+    const builtInCount = chordDataset.filter(chord => getChordSource(chord) === BUILT_IN_SOURCE).length;
+    document.getElementById('library-status').textContent =
+        `${message} ${builtInCount} built-in chords, ${chordDataset.length - builtInCount} from libraries.`.trim();
 }
 
 /**
- * Display chord information as SVG
- * @param {Chord} chord - Chord to display
+ * Wire up library import by file picker and by dropping files on the panel
  */
-function displayChordInfo(chord) {
-    const svgMarkup = generateSVG(chord);
-    const display = document.getElementById('chord-display');
-    display.innerHTML = svgMarkup;
+function setupLibraryPanel() {
+    const panel = document.getElementById('library-details');
+    if (!panel) return;
 
-    // Add click handler to load new chord
-    display.onclick = loadRandomChord;
+    const importInput = document.getElementById('library-import');
+    importInput.onchange = () => {
+        if (importInput.files.length > 0) {
+            importChordLibraries([...importInput.files]);
+            importInput.value = '';
+        }
+    };
+
+    panel.ondragover = event => {
+        event.preventDefault();
+        panel.classList.add('dragging');
+    };
+    panel.ondragleave = () => panel.classList.remove('dragging');
+    panel.ondrop = event => {
+        event.preventDefault();
+        panel.classList.remove('dragging');
+        panel.open = true;
+        if (event.dataTransfer.files.length > 0) {
+            importChordLibraries([...event.dataTransfer.files]);
+        }
+    };
+
+    renderLibraryPanel();
 }
 
 /**
- * Display loading state as SVG
+ * Library that chords saved from the editor go into
  */
-function displayLoading() {
-    const dimensions = calculateDimensions();
-    const { width, height, scale } = dimensions;
+const EDITOR_LIBRARY_NAME = 'My voicings.csv';
 
-    const loadingSVG = `
-        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-            <rect width="100%" height="100%" fill="white"/>
-            <text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-family="Arial" font-size="${24 * scale}" fill="#666">Generating chord...</text>
-        </svg>
-    `;
+/**
+ * Append a chord to the editor's library, creating it on first use
+ * @param {Chord} chord - Chord built by createEditedChord()
+ */
+function addChordToEditorLibrary(chord) {
+    const existing = chordLibraries.find(library => library.name === EDITOR_LIBRARY_NAME);
+    const header = 'CHORD_ROOT;CHORD_TYPE;CHORD_STRUCTURE;FINGER_POSITIONS;NOTE_NAMES';
+    const text = `${existing ? existing.text.trimEnd() : header}\n${chordToCsvRow(chord)}\n`;
 
-    const display = document.getElementById('chord-display');
-    display.innerHTML = loadingSVG;
-    display.onclick = null; // Remove click handler during loading
+    chordLibraries = chordLibraries.filter(library => library.name !== EDITOR_LIBRARY_NAME);
+    chordLibraries.push({ name: EDITOR_LIBRARY_NAME, text, ...parseChordLibrary(text, EDITOR_LIBRARY_NAME) });
+    applyChordLibraries(`Added ${chord.displayName} to ${EDITOR_LIBRARY_NAME}.`);
 }
 
 /**
- * Load and display a random chord
+ * Wire up the chord editor: click frets, pick fingers, root and type, then save the CSV row
  */
-async function loadRandomChord() {
-    // Show loading state
-    displayLoading();
+function setupEditorPanel() {
+    const fretboard = document.getElementById('editor-fretboard');
+    if (!fretboard) return;
 
-    // Ensure dataset is loaded
-    if (chordDataset.length === 0) {
-        const success = await loadChordDataset();
-        if (!success) return;
+    const rootSelect = document.getElementById('editor-root');
+    const typeInput = document.getElementById('editor-type');
+    const structureInput = document.getElementById('editor-structure');
+    const startFretInput = document.getElementById('editor-start-fret');
+    const fingerContainer = document.getElementById('editor-fingers');
+    const rowOutput = document.getElementById('editor-row');
+    const errorList = document.getElementById('editor-errors');
+    const showButton = document.getElementById('editor-show');
+    const saveButton = document.getElementById('editor-save');
+
+    let frets = ['x', 'x', 'x', 'x', 'x', 'x'];
+    let fingers = ['', '', '', '', '', '']; // '' lets deriveFingering() choose
+    let edited = null;
+
+    const roots = [...new Set([...ROOT_SPELLINGS, ...chordDataset.map(chord => chord.root)])]
+        .sort((a, b) => noteToPitchClass(a) - noteToPitchClass(b) || a.localeCompare(b));
+    rootSelect.innerHTML = '';
+    for (const root of roots) {
+        rootSelect.add(new Option(root, root));
     }
 
-    // Select and display random chord
-    currentChord = selectRandomChord();
-    if (currentChord) {
-        displayChordInfo(currentChord);
-    } else {
-        displayError('Failed to select a random chord.');
+    const types = buildChordTypeIndex(chordDataset);
+    const typeList = document.getElementById('editor-types');
+    typeList.innerHTML = '';
+    for (const { type } of types) {
+        typeList.appendChild(new Option(type));
     }
+
+    const fingerSelects = STANDARD_TUNING.notes.map((note, stringIndex) => {
+        const label = document.createElement('label');
+        const select = document.createElement('select');
+        for (const value of ['', '1', '2', '3', '4']) {
+            select.add(new Option(value || 'auto', value));
+        }
+        select.onchange = () => {
+            fingers[stringIndex] = select.value;
+            update();
+        };
+        label.append(`${note} `, select);
+        return label;
+    });
+    fingerContainer.innerHTML = '';
+    fingerContainer.append(...fingerSelects);
+
+    const update = () => {
+        const startFret = Math.max(1, parseInt(startFretInput.value, 10) || 1);
+        fretboard.innerHTML = generateInteractiveFretboard(frets, startFret, { width: 300, height: 320, scale: 0.6 });
+
+        const derived = deriveFingering(frets) || [];
+        fingerSelects.forEach((label, stringIndex) => {
+            const select = label.querySelector('select');
+            select.value = fingers[stringIndex];
+            select.disabled = frets[stringIndex] === 'x' || frets[stringIndex] === 0;
+            select.options[0].textContent = derived[stringIndex] && !select.disabled ? `auto (${derived[stringIndex]})` : 'auto';
+        });
+
+        const result = createEditedChord({
+            root: rootSelect.value,
+            type: typeInput.value.trim(),
+            structure: structureInput.value,
+            frets,
+            fingers
+        });
+        edited = result.chord;
+        rowOutput.value = edited ? chordToCsvRow(edited) : '';
+        showButton.disabled = saveButton.disabled = !edited;
+
+        errorList.innerHTML = '';
+        for (const error of result.errors) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        }
+    };
+
+    fretboard.onclick = (event) => {
+        const target = event.target.closest('[data-string]');
+        if (!target) return;
+
+        const stringIndex = parseInt(target.dataset.string, 10);
+        frets = toggleFretSelection(frets, stringIndex, parseInt(target.dataset.fret, 10));
+        fingers[stringIndex] = '';
+        update();
+    };
+
+    // A known type fills in its structure; anything else is typed by hand
+    typeInput.onchange = () => {
+        const known = types.find(entry => entry.type === typeInput.value.trim());
+        if (known) {
+            structureInput.value = known.structure.join(';');
+        }
+        update();
+    };
+    typeInput.oninput = update;
+    structureInput.oninput = update;
+    rootSelect.onchange = update;
+    startFretInput.oninput = update;
+
+    document.getElementById('editor-load').onclick = () => {
+        if (!currentChord) return;
+        if (![...rootSelect.options].some(option => option.value === currentChord.root)) {
+            rootSelect.add(new Option(currentChord.root, currentChord.root));
+        }
+        rootSelect.value = currentChord.root;
+        typeInput.value = currentChord.type;
+        structureInput.value = currentChord.structure.join(';');
+        frets = calculateAbsoluteFretPositions(currentChord, STANDARD_INSTRUMENT);
+        fingers = currentChord.fingerPositions.map(finger => (/^[1-4]$/.test(finger) ? finger : ''));
+        startFretInput.value = getDisplayedBaseFret(currentChord);
+        update();
+    };
+    showButton.onclick = () => {
+        currentChord = edited;
+        displayChordInfo(edited);
+    };
+    saveButton.onclick = () => addChordToEditorLibrary(edited);
+
+    update();
 }
 
 /**
@@ -615,8 +5690,36 @@ async function initializeApp() {
     console.log('Initializing Guitar Chords Application...');
 
     try {
-        // Load dataset and display first random chord
-        await loadRandomChord();
+        // Restore filters shared through the URL and the saved tuning before the first selection
+        chordFilters = parseFiltersFromQuery(location.search);
+        instrumentSettings = loadInstrumentSettings();
+        diagramOrientation = loadDiagramOrientation();
+        practiceProgress = loadPracticeProgress();
+
+        // Load the dataset and imported libraries, then display the linked chord or a random one
+        const loaded = await loadChordDataset();
+        if (!loaded) return;
+        chordLibraries = loadChordLibraries();
+        chordDataset = mergeChordLibraries(chordDataset, chordLibraries);
+        if (!showChordFromHash()) {
+            await loadRandomChord();
+        }
+        window.addEventListener('popstate', showChordFromHash);
+        buildFilterPanel();
+        setupIdentifyPanel();
+        setupTransposePanel();
+        setupTuningPanel();
+        setupViewPanel();
+        setupPlaybackPanel();
+        setupQuizPanel();
+        setupPracticePanel();
+        setupExportPanel();
+        setupSheetPanel();
+        setupSearchPanel();
+        setupProgressionPanel();
+        setupKeyBrowser();
+        setupLibraryPanel();
+        setupEditorPanel();
 
         console.log('Application initialized successfully');
 
@@ -640,9 +5743,131 @@ if (typeof document !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         Chord,
+        parseChordData,
         parseCsvLine,
+        validateChordDataset,
+        describeChordProblems,
+        getChordSource,
+        parseChordLibrary,
+        mergeChordLibraries,
+        formatValidationSummary,
         calculateAbsoluteFretPositions,
         normalizeFretPositions,
-        selectRandomChord
+        fitsDiagramWindow,
+        generateChordDiagram,
+        createDiagramOrientation,
+        getDiagramPoint,
+        detectBarres,
+        getIntervalLabel,
+        calculateDegree,
+        calculateStringDegrees,
+        mapChordTones,
+        generateFullNeckDiagram,
+        selectRandomChord,
+        createDefaultFilters,
+        isOpenVoicing,
+        getDisplayedBaseFret,
+        scoreDifficulty,
+        getDifficultyRank,
+        sortByDifficulty,
+        chordMatchesFilters,
+        filterChords,
+        parseFiltersFromQuery,
+        filtersToQuery,
+        parseNoteName,
+        parsePitch,
+        createTuning,
+        TUNING_PRESETS,
+        getTuningPreset,
+        parseCustomTuning,
+        createInstrumentSettings,
+        getOpenStringMidi,
+        isStandardInstrument,
+        describeInstrumentSettings,
+        retuneFretPositions,
+        deriveFingering,
+        calculateTunedVoicing,
+        serializeInstrumentSettings,
+        deserializeInstrumentSettings,
+        noteToPitchClass,
+        getFretDistance,
+        parseInterval,
+        intervalToSemitones,
+        spellInterval,
+        parseFretInput,
+        formatFretInput,
+        toggleFretSelection,
+        calculatePitchClassesFromFrets,
+        identifyChord,
+        deriveNoteNames,
+        createEditedChord,
+        chordToCsvRow,
+        parseChordSymbol,
+        matchChordSymbol,
+        findVoicingForRootAndType,
+        findChordBySymbol,
+        parseKey,
+        romanNumeralToSymbol,
+        getVoicingsForRootAndType,
+        calculateVoiceLeadingCost,
+        calculateVoicingCost,
+        chooseProgressionVoicings,
+        buildProgression,
+        getDiatonicChords,
+        findDiatonicVoicings,
+        generateInteractiveFretboard,
+        getChordId,
+        parseChordId,
+        findChordById,
+        chordIdToHash,
+        parseChordHash,
+        getVoicingGroupKey,
+        getChordVoicings,
+        generateDiagramSVG,
+        createQuizSession,
+        recordQuizAnswer,
+        getQuizAccuracy,
+        calculateStructureSimilarity,
+        shuffleArray,
+        createNameQuestion,
+        checkFretAnswer,
+        createProgress,
+        createReviewRecord,
+        reviewChord,
+        recordChordReview,
+        isReviewDue,
+        selectNextChord,
+        serializeProgress,
+        parseProgressFile,
+        mergeProgress,
+        generateSVG,
+        generateStandaloneSVG,
+        EXPORT_DIMENSIONS,
+        getExportFileName,
+        calculateRasterSize,
+        crc32,
+        setPNGResolution,
+        SHEET_PAGE_SIZES,
+        resolveSheetChords,
+        getTypeAcrossRoots,
+        createChordSheet,
+        midiToFrequency,
+        calculateChordPitches,
+        createNoteSchedule,
+        renderPluckedString,
+        renderChordToPCM,
+        DEFAULT_MIDI_OPTIONS,
+        encodeVariableLength,
+        createMidiEvents,
+        writeMidiFile,
+        escapeXml,
+        describeHarmonyKind,
+        writeMusicXML,
+        transposeRootName,
+        attemptTransposition,
+        transposeChord,
+        convertIntervalsToNotes,
+        generateTrebleClef,
+        renderQuarterNotes
     };
 } 
\ No newline at end of file
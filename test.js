@@ -8,7 +8,114 @@
 const assert = require('assert');
 
 // Import functions from main.js
-const { Chord, parseCsvLine, calculateAbsoluteFretPositions, normalizeFretPositions, selectRandomChord } = require('./main.js');
+const {
+    Chord,
+    parseCsvLine,
+    validateChordDataset,
+    formatValidationSummary,
+    describeChordProblems,
+    getChordSource,
+    parseChordLibrary,
+    mergeChordLibraries,
+    deriveNoteNames,
+    createEditedChord,
+    chordToCsvRow,
+    calculateAbsoluteFretPositions,
+    normalizeFretPositions,
+    fitsDiagramWindow,
+    selectRandomChord,
+    createDefaultFilters,
+    getDisplayedBaseFret,
+    filterChords,
+    parseFiltersFromQuery,
+    filtersToQuery,
+    parseNoteName,
+    parsePitch,
+    getTuningPreset,
+    parseCustomTuning,
+    createInstrumentSettings,
+    isStandardInstrument,
+    deriveFingering,
+    calculateTunedVoicing,
+    serializeInstrumentSettings,
+    deserializeInstrumentSettings,
+    noteToPitchClass,
+    intervalToSemitones,
+    spellInterval,
+    parseFretInput,
+    formatFretInput,
+    toggleFretSelection,
+    identifyChord,
+    getChordVoicings,
+    createQuizSession,
+    recordQuizAnswer,
+    getQuizAccuracy,
+    calculateStructureSimilarity,
+    createNameQuestion,
+    checkFretAnswer,
+    midiToFrequency,
+    calculateChordPitches,
+    createNoteSchedule,
+    renderPluckedString,
+    renderChordToPCM,
+    attemptTransposition,
+    transposeChord,
+    convertIntervalsToNotes,
+    renderQuarterNotes,
+    getChordId,
+    createProgress,
+    createReviewRecord,
+    reviewChord,
+    recordChordReview,
+    isReviewDue,
+    selectNextChord,
+    serializeProgress,
+    parseProgressFile,
+    mergeProgress,
+    parseChordId,
+    findChordById,
+    chordIdToHash,
+    parseChordHash,
+    generateSVG,
+    generateStandaloneSVG,
+    EXPORT_DIMENSIONS,
+    getExportFileName,
+    calculateRasterSize,
+    crc32,
+    setPNGResolution,
+    SHEET_PAGE_SIZES,
+    resolveSheetChords,
+    getTypeAcrossRoots,
+    createChordSheet,
+    parseChordSymbol,
+    matchChordSymbol,
+    findChordBySymbol,
+    encodeVariableLength,
+    createMidiEvents,
+    writeMidiFile,
+    escapeXml,
+    describeHarmonyKind,
+    writeMusicXML,
+    parseKey,
+    romanNumeralToSymbol,
+    calculateVoiceLeadingCost,
+    calculateVoicingCost,
+    chooseProgressionVoicings,
+    buildProgression,
+    getDiatonicChords,
+    findDiatonicVoicings,
+    getIntervalLabel,
+    calculateDegree,
+    calculateStringDegrees,
+    generateChordDiagram,
+    createDiagramOrientation,
+    getDiagramPoint,
+    detectBarres,
+    scoreDifficulty,
+    sortByDifficulty,
+    mapChordTones,
+    generateFullNeckDiagram
+} = require('./main.js');
 
 /**
  * Main test runner
@@ -21,6 +128,31 @@ function runTests() {
     testOpenStringHandling();
     testEdgeCases();
     testIntegrationScenarios();
+    testMusicalNotation();
+    testChordFilters();
+    testChordIdentification();
+    testVoicingGroups();
+    testTransposition();
+    testTuningsAndCapo();
+    testAudioSynthesis();
+    testQuizMode();
+    testSpacedRepetition();
+    testChordLinks();
+    testDiagramExport();
+    testChordSheet();
+    testChordSymbols();
+    testMidiExport();
+    testMusicXMLExport();
+    testProgressions();
+    testDiatonicChords();
+    testFullNeckView();
+    testDegreeLabels();
+    testDifficulty();
+    testBarres();
+    testDatasetValidation();
+    testChordLibraries();
+    testChordEditor();
+    testDiagramOrientation();
 
     console.log('\n🎉 All comprehensive tests completed successfully!');
 }
@@ -244,6 +376,1589 @@ function testIntegrationScenarios() {
     const result2 = normalizeFretPositions(positions2);
     console.log(`  Low position chord: BaseFret ${result2.baseFret} (no display for open position)`);
     console.log('✓ Display formatting test passed');
+
+    // Test 4: 5-fret window shared by the validator and the editor
+    console.log('Test 4: Diagram Window');
+    assert.deepStrictEqual(fitsDiagramWindow([6, 8, 6, 7, 9, 6]), { fits: true, lowest: 6, highest: 9 });
+    assert.deepStrictEqual(fitsDiagramWindow([0, 2, 2, 1, 0, 0]), { fits: true, lowest: 1, highest: 2 });
+    assert.strictEqual(fitsDiagramWindow(['x', 0, 2, 2, 2, 5]).fits, true, 'Open position may reach fret 5');
+    assert.strictEqual(fitsDiagramWindow(['x', 0, 2, 2, 2, 6]).fits, true, 'From fret 2 the window starts at the lowest note');
+    assert.strictEqual(fitsDiagramWindow(['x', 1, 2, 2, 2, 6]).fits, false, 'A note at fret 1 keeps the window at the nut');
+    assert.deepStrictEqual(fitsDiagramWindow([5, 'x', 'x', 'x', 10, 'x']), { fits: false, lowest: 5, highest: 10 });
+    assert.deepStrictEqual(fitsDiagramWindow(['x', 'x', 0, 0, 0, 0]), { fits: true, lowest: null, highest: null });
+    console.log('✓ Diagram window test passed');
+}
+
+/**
+ * Test treble clef notation: spelling, sounding octaves and staff placement
+ */
+function testMusicalNotation() {
+    console.log('\n--- Testing Musical Notation ---');
+
+    // Test 1: Note name parsing, including double accidentals
+    console.log('Test 1: Note Name Parsing');
+    assert.deepStrictEqual(parseNoteName('C'), { letter: 'C', alter: 0 });
+    assert.deepStrictEqual(parseNoteName('C##'), { letter: 'C', alter: 2 });
+    assert.deepStrictEqual(parseNoteName('Bbb'), { letter: 'B', alter: -2 });
+    assert.strictEqual(parseNoteName('H'), null, 'Unknown letters should not parse');
+    console.log('✓ Note name parsing test passed');
+
+    // Test 2: Open C major sounds C3 E3 G3 C4 E4
+    console.log('Test 2: C Major Sounding Pitches');
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const cMajorNotes = convertIntervalsToNotes(cMajor);
+    console.log(`  Notes: [${cMajorNotes.map(note => note.name + note.octave).join(', ')}]`);
+    assert.deepStrictEqual(cMajorNotes.map(note => note.name + note.octave), ['C3', 'E3', 'G3', 'C4', 'E4']);
+    assert.deepStrictEqual(cMajorNotes.map(note => note.midi), [48, 52, 55, 60, 64]);
+    // Guitar clef is written an octave up: sounding C3 sits on the first ledger line below the staff
+    assert.strictEqual(cMajorNotes[0].staffStep, -2, 'C3 should be written on the ledger line below the staff');
+    console.log('✓ C major sounding pitch test passed');
+
+    // Test 3: Dataset spelling is preserved and octaves follow the spelled letter
+    console.log('Test 3: Double Sharps Keep Their Spelling');
+    const aSharp13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', 'x,1,0,2,3,4', 'A#,C##,G#,B#,F##');
+    const aSharp13Notes = convertIntervalsToNotes(aSharp13);
+    console.log(`  Notes: [${aSharp13Notes.map(note => note.name + note.octave).join(', ')}]`);
+    assert.deepStrictEqual(aSharp13Notes.map(note => note.name + note.octave), ['A#2', 'C##3', 'G#3', 'B#3', 'F##4']);
+    assert.strictEqual(aSharp13Notes[3].midi, 60, 'B#3 should sound as middle C');
+    console.log('✓ Double sharp spelling test passed');
+
+    // Test 4: Unisons on different strings collapse into one notehead
+    console.log('Test 4: Unison Notes');
+    const em = new Chord('E', 'm', '1;b3;5', '0,2,2,0,0,0', 'E,B,E,G,B,E');
+    const emNotes = convertIntervalsToNotes(em);
+    assert.strictEqual(emNotes.length, 6, 'Distinct octaves of E should all be kept');
+    const unison = new Chord('E', '5', '1;5', 'x,x,x,x,4,0', 'E,E');
+    assert.strictEqual(convertIntervalsToNotes(unison).length, 1, 'E4 fretted and open should share a notehead');
+    console.log('✓ Unison test passed');
+
+    // Test 5: Rendering produces ledger lines and accidentals
+    console.log('Test 5: Staff Rendering');
+    const dimensions = { width: 600, height: 700, scale: 1 };
+    const svg = renderQuarterNotes(aSharp13Notes, dimensions);
+    assert.strictEqual((svg.match(/<ellipse/g) || []).length, 5, 'Should draw one notehead per note');
+    assert.ok(svg.includes('&#x1D12A;'), 'Should draw a double sharp glyph');
+    assert.ok(svg.includes('&#x266F;'), 'Should draw a sharp glyph');
+    assert.strictEqual(renderQuarterNotes([], dimensions), '', 'No notes should render nothing');
+    console.log('✓ Staff rendering test passed');
+}
+
+/**
+ * Test filtering of the random selection pool
+ */
+function testChordFilters() {
+    console.log('\n--- Testing Chord Filters ---');
+
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const aMajor = new Chord('A', 'maj', '1;3;5', 'x,0,2,2,2,0', 'A,E,A,C#,E');
+    const bb7 = new Chord('Bb', '7', '1;3;5;b7', '1,3,1,2,4,1', 'Bb,F,Ab,D,Ab,Bb');
+    const ebMajor = new Chord('Eb', 'maj', '1;3;5', 'x,x,x,2,1,1', 'G,Bb,Eb');
+    const dataset = [cMajor, aMajor, bb7, ebMajor];
+
+    // Test 1: Default filters match everything
+    console.log('Test 1: Default Filters');
+    assert.strictEqual(filterChords(dataset, createDefaultFilters()).length, 4);
+    console.log('✓ Default filter test passed');
+
+    // Test 2: Root, type and voicing filters
+    console.log('Test 2: Root, Type and Voicing');
+    const byType = { ...createDefaultFilters(), types: ['maj'] };
+    assert.deepStrictEqual(filterChords(dataset, byType), [cMajor, aMajor, ebMajor]);
+    const byRoot = { ...createDefaultFilters(), roots: ['Bb', 'C'] };
+    assert.deepStrictEqual(filterChords(dataset, byRoot), [cMajor, bb7]);
+    const moveable = { ...createDefaultFilters(), voicing: 'moveable' };
+    assert.deepStrictEqual(filterChords(dataset, moveable), [bb7, ebMajor]);
+    const open = { ...createDefaultFilters(), voicing: 'open' };
+    assert.deepStrictEqual(filterChords(dataset, open), [cMajor, aMajor]);
+    console.log('✓ Root, type and voicing filter test passed');
+
+    // Test 3: Base fret range uses the number shown beside the diagram
+    console.log('Test 3: Base Fret Range');
+    assert.strictEqual(getDisplayedBaseFret(cMajor), 1);
+    assert.strictEqual(getDisplayedBaseFret(bb7), 6);
+    assert.strictEqual(getDisplayedBaseFret(ebMajor), 11);
+    const highNeck = { ...createDefaultFilters(), minBaseFret: 5, maxBaseFret: 10 };
+    assert.deepStrictEqual(filterChords(dataset, highNeck), [bb7]);
+    console.log('✓ Base fret range test passed');
+
+    // Test 4: Random selection draws only from the filtered pool
+    console.log('Test 4: Filtered Random Selection');
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(selectRandomChord(dataset, byRoot).root === 'A', false, 'Filtered root should never be picked');
+    }
+    const nothing = { ...createDefaultFilters(), types: ['13(#9)'] };
+    assert.strictEqual(selectRandomChord(dataset, nothing), null, 'Empty filter result should select nothing');
+    console.log('✓ Filtered random selection test passed');
+
+    // Test 5: URL query round trip
+    console.log('Test 5: URL Parameters');
+    const parsed = parseFiltersFromQuery('?root=A,C&type=maj&type=m&voicing=open&minBaseFret=1&maxBaseFret=5');
+    assert.deepStrictEqual(parsed.roots, ['A', 'C']);
+    assert.deepStrictEqual(parsed.types, ['maj', 'm']);
+    assert.strictEqual(parsed.voicing, 'open');
+    assert.strictEqual(parsed.minBaseFret, 1);
+    assert.strictEqual(parsed.maxBaseFret, 5);
+    assert.deepStrictEqual(parseFiltersFromQuery(filtersToQuery(parsed)), parsed, 'Query should round trip');
+    assert.strictEqual(filtersToQuery(createDefaultFilters()), '', 'Default filters should produce no query');
+    assert.deepStrictEqual(parseFiltersFromQuery('?voicing=sideways&minBaseFret=abc'), createDefaultFilters(), 'Invalid values are ignored');
+    console.log('✓ URL parameter test passed');
+}
+
+/**
+ * Test note arithmetic and reverse chord lookup
+ */
+function testChordIdentification() {
+    console.log('\n--- Testing Chord Identification ---');
+
+    // Test 1: Shared note arithmetic
+    console.log('Test 1: Note Arithmetic');
+    assert.strictEqual(noteToPitchClass('Db'), noteToPitchClass('C#'), 'Enharmonic notes share a pitch class');
+    assert.strictEqual(noteToPitchClass('B#'), 0);
+    assert.strictEqual(noteToPitchClass('Fbb'), 3);
+    assert.strictEqual(noteToPitchClass('E##'), 6, 'Double sharps on E should resolve');
+    assert.strictEqual(intervalToSemitones('b7'), 10);
+    assert.strictEqual(intervalToSemitones('#9'), 3);
+    assert.strictEqual(intervalToSemitones('bb7'), 9);
+    assert.strictEqual(intervalToSemitones('13'), 9);
+    assert.strictEqual(spellInterval('A#', '3'), 'C##');
+    assert.strictEqual(spellInterval('Eb', 'b5'), 'Bbb');
+    assert.strictEqual(spellInterval('C', 'b7'), 'Bb');
+    console.log('✓ Note arithmetic test passed');
+
+    // Test 2: Fret input parsing and formatting
+    console.log('Test 2: Fret Input');
+    assert.deepStrictEqual(parseFretInput('x32010'), ['x', 3, 2, 0, 1, 0]);
+    assert.deepStrictEqual(parseFretInput('X 10 12 12 12 x'), ['x', 10, 12, 12, 12, 'x']);
+    assert.deepStrictEqual(parseFretInput('x,3,2,0,1,0'), ['x', 3, 2, 0, 1, 0]);
+    assert.strictEqual(parseFretInput('x3201'), null, 'Five strings should be rejected');
+    assert.strictEqual(parseFretInput('x3201q'), null, 'Unknown characters should be rejected');
+    assert.strictEqual(formatFretInput(['x', 3, 2, 0, 1, 0]), 'x32010');
+    assert.strictEqual(formatFretInput(['x', 10, 12, 12, 12, 'x']), 'x 10 12 12 12 x');
+    assert.deepStrictEqual(toggleFretSelection(['x', 3, 2, 0, 1, 0], 1, 3), ['x', 'x', 2, 0, 1, 0], 'Clicking the same fret mutes');
+    assert.deepStrictEqual(toggleFretSelection(['x', 3, 2, 0, 1, 0], 0, 0), [0, 3, 2, 0, 1, 0], 'Clicking above the nut opens');
+    console.log('✓ Fret input test passed');
+
+    // Test 3: Identification against a small dataset
+    console.log('Test 3: Identify Shapes');
+    const dataset = [
+        new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E'),
+        new Chord('A', 'm7', '1;b3;5;b7', 'x,0,2,0,1,0', 'A,E,G,C,E'),
+        new Chord('C', '6', '1;3;5;6', 'x,3,2,2,1,0', 'C,E,A,C,E'),
+        new Chord('G', '7', '1;3;5;b7', '3,2,0,0,0,1', 'G,B,D,G,B,F')
+    ];
+    const cMajor = identifyChord(['x', 3, 2, 0, 1, 0], dataset);
+    console.log(`  x32010: [${cMajor.slice(0, 3).map(candidate => candidate.name).join(', ')}]`);
+    assert.strictEqual(cMajor[0].name, 'Cmaj');
+    assert.strictEqual(cMajor[0].inversion, 'root position');
+
+    const firstInversion = identifyChord([0, 3, 2, 0, 1, 0], dataset);
+    assert.strictEqual(firstInversion[0].name, 'Cmaj/E', 'E in the bass is a slash chord');
+    assert.strictEqual(firstInversion[0].inversion, '1st inversion');
+
+    const am7 = identifyChord(['x', 0, 2, 0, 1, 0], dataset);
+    const names = am7.map(candidate => candidate.name);
+    assert.strictEqual(names[0], 'Am7');
+    assert.ok(names.includes('C6/A'), 'Relative sixth chord should be offered as an interpretation');
+
+    const g7 = identifyChord(['x', 'x', 'x', 4, 3, 1], dataset);
+    assert.strictEqual(g7[0].name, 'G7/B', 'Rootless names still rank by coverage');
+    assert.ok(g7[0].missing.includes('1'), 'Missing root should be reported');
+
+    assert.deepStrictEqual(identifyChord(['x', 'x', 'x', 'x', 'x', 'x'], dataset), [], 'Silent shape identifies nothing');
+    console.log('✓ Identify shapes test passed');
+}
+
+/**
+ * Test grouping of alternative voicings
+ */
+function testVoicingGroups() {
+    console.log('\n--- Testing Voicing Groups ---');
+
+    // The three A#13 voicings from the dataset, plus unrelated chords
+    const open13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', 'x,1,0,2,3,4', 'A#,C##,G#,B#,F##');
+    const barre13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', '4,x,3,2,1,1', 'A#,G#,B#,C##,F##');
+    const high13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', '1,x,1,2,3,4', 'A#,G#,C##,F##,B#');
+    const bb13 = new Chord('Bb', '13', '1;3;5;b7;9;11;13', '1,x,1,2,3,4', 'Bb,Ab,D,G,C');
+    const aSharp7 = new Chord('A#', '7', '1;3;5;b7', 'x,1,3,1,4,1', 'A#,E#,G#,C##,E#');
+    const dataset = [high13, aSharp7, barre13, bb13, open13];
+
+    // Test 1: Voicings of the same root and type, sorted by base fret; enharmonic roots stay apart
+    console.log('Test 1: Sorted by Base Fret');
+    const voicings = getChordVoicings(high13, dataset);
+    console.log(`  Order: [${voicings.map(voicing => voicing.fingerPositions.join('')).join(', ')}]`);
+    assert.deepStrictEqual(voicings, [open13, barre13, high13], 'Bb and A# are separate roots in the dataset');
+    console.log('✓ Base fret sort test passed');
+}
+
+/**
+ * Test transposition of shapes and respelling of note names
+ */
+function testTransposition() {
+    console.log('\n--- Testing Transposition ---');
+
+    // Test 1: Moveable shape moves along the neck and keeps its fingering
+    console.log('Test 1: Moveable Shape');
+    const bb7 = new Chord('Bb', '7', '1;3;5;b7', '1,3,1,2,4,1', 'Bb,F,Ab,D,Ab,Bb');
+    const c7 = transposeChord(bb7, 2);
+    console.log(`  ${bb7.displayName} +2 -> ${c7.displayName}: [${c7.noteNames.join(', ')}]`);
+    assert.strictEqual(c7.root, 'C');
+    assert.strictEqual(c7.displayName, 'C7');
+    assert.deepStrictEqual(c7.fingerPositions, bb7.fingerPositions, 'Fingering should be unchanged');
+    assert.deepStrictEqual(c7.noteNames, ['C', 'G', 'Bb', 'E', 'Bb', 'C']);
+    assert.deepStrictEqual(calculateAbsoluteFretPositions(c7), [8, 10, 8, 9, 11, 8]);
+    assert.ok(c7 instanceof Chord, 'Result should be a new Chord');
+    assert.notStrictEqual(c7, bb7);
+    console.log('✓ Moveable shape test passed');
+
+    // Test 2: Spelling follows the structure intervals for the target root
+    console.log('Test 2: Respelling');
+    const aSharp13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', '4,x,3,2,1,1', 'A#,G#,B#,C##,F##');
+    const gb13 = transposeChord(aSharp13, 'Gb');
+    console.log(`  ${aSharp13.displayName} -> ${gb13.displayName}: [${gb13.noteNames.join(', ')}]`);
+    assert.deepStrictEqual(gb13.noteNames, ['Gb', 'Fb', 'Ab', 'Bb', 'Eb']);
+    const f7 = transposeChord(bb7, 'F');
+    assert.deepStrictEqual(f7.noteNames, ['F', 'C', 'Eb', 'A', 'Eb', 'F']);
+    assert.strictEqual(calculateAbsoluteFretPositions(f7)[0], 1, 'Shortest move should go down to fret 1');
+    console.log('✓ Respelling test passed');
+
+    // Test 3: Open strings become a barre when moving up
+    console.log('Test 3: Open Shape to Barre');
+    const eMajor = new Chord('E', 'maj', '1;3;5', '0,2,3,1,0,0', 'E,B,E,G#,B,E');
+    const fMajor = transposeChord(eMajor, 'F');
+    assert.deepStrictEqual(fMajor.fingerPositions, ['1', '3', '4', '2', '1', '1']);
+    assert.deepStrictEqual(calculateAbsoluteFretPositions(fMajor), [1, 3, 3, 2, 1, 1]);
+    console.log('✓ Open shape barre test passed');
+
+    // Test 4: Impossible shapes are refused with a reason
+    console.log('Test 4: Impossible Transpositions');
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,4,0', 'C,E,G,C,E');
+    const refused = attemptTransposition(cMajor, 1);
+    console.log(`  C major (finger 4 used) +1: ${refused.reason}`);
+    assert.strictEqual(refused.chord, null);
+    assert.ok(refused.reason.includes('fifth finger'));
+    assert.strictEqual(transposeChord(cMajor, 1), null);
+    assert.strictEqual(attemptTransposition(bb7, 'H').chord, null, 'Unknown target root should be refused');
+    console.log('✓ Impossible transposition test passed');
+}
+
+/**
+ * Test alternate tunings and capo handling in the fret calculator
+ */
+function testTuningsAndCapo() {
+    console.log('\n--- Testing Tunings and Capo ---');
+
+    // Test 1: Tuning registry and custom entry
+    console.log('Test 1: Tuning Registry');
+    assert.deepStrictEqual(parsePitch('E2'), { name: 'E', midi: 40 });
+    assert.deepStrictEqual(parsePitch('B#3'), { name: 'B#', midi: 60 });
+    assert.strictEqual(parsePitch('D'), null, 'Octave is required without a reference pitch');
+    assert.deepStrictEqual(getTuningPreset('drop-d').openMidi, [38, 45, 50, 55, 59, 64]);
+    const custom = parseCustomTuning('D A D G A D');
+    assert.deepStrictEqual(custom.openMidi, getTuningPreset('dadgad').openMidi, 'Octaves default to the nearest standard string');
+    assert.strictEqual(parseCustomTuning('D A D G A'), null, 'Five strings should be rejected');
+    assert.strictEqual(isStandardInstrument(createInstrumentSettings()), true);
+    assert.strictEqual(isStandardInstrument(createInstrumentSettings(undefined, 2)), false);
+    console.log('✓ Tuning registry test passed');
+
+    // Test 2: Standard tuning keeps the dataset voicing
+    console.log('Test 2: Standard Tuning Unchanged');
+    const eMajor = new Chord('E', 'maj', '1;3;5', '0,2,3,1,0,0', 'E,B,E,G#,B,E');
+    const standard = calculateTunedVoicing(eMajor, createInstrumentSettings());
+    assert.deepStrictEqual(standard.positions, [0, 2, 2, 1, 0, 0]);
+    assert.deepStrictEqual(standard.fingers, eMajor.fingerPositions);
+    console.log('✓ Standard tuning test passed');
+
+    // Test 3: Drop D re-derives the low string so the chord sounds the same
+    console.log('Test 3: Drop D');
+    const dropD = createInstrumentSettings(getTuningPreset('drop-d'));
+    const dropDVoicing = calculateTunedVoicing(eMajor, dropD);
+    console.log(`  E major in Drop D: [${dropDVoicing.positions}] fingers [${dropDVoicing.fingers}]`);
+    assert.deepStrictEqual(dropDVoicing.positions, [2, 2, 2, 1, 0, 0]);
+    assert.strictEqual(dropDVoicing.playable, true);
+    assert.deepStrictEqual(calculateAbsoluteFretPositions(eMajor, dropD), [2, 2, 2, 1, 0, 0]);
+    const notes = convertIntervalsToNotes(eMajor, dropD);
+    assert.deepStrictEqual(notes.map(note => note.midi), [40, 47, 52, 56, 59, 64], 'Sounding pitches should not change');
+    console.log('✓ Drop D test passed');
+
+    // Test 4: The capo moves the nut: shapes stay as written and sound higher
+    console.log('Test 4: Capo');
+    const capo2 = createInstrumentSettings(undefined, 2);
+    const bb7 = new Chord('Bb', '7', '1;3;5;b7', '1,3,1,2,4,1', 'Bb,F,Ab,D,Ab,Bb');
+    assert.deepStrictEqual(calculateAbsoluteFretPositions(bb7, capo2), [6, 8, 6, 7, 9, 6]);
+    const openC = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const openG = new Chord('G', 'maj', '1;3;5', '2,1,0,0,0,3', 'G,B,D,G,B,G');
+    for (const chord of [openC, openG]) {
+        const capoVoicing = calculateTunedVoicing(chord, capo2);
+        assert.strictEqual(capoVoicing.playable, true, `Open ${chord.displayName} is playable with capo 2`);
+        assert.deepStrictEqual(capoVoicing.positions, calculateAbsoluteFretPositions(chord, createInstrumentSettings()));
+        assert.deepStrictEqual(capoVoicing.fingers, chord.fingerPositions);
+    }
+    assert.deepStrictEqual(calculateChordPitches(openC, capo2).map(pitch => pitch.midi), [50, 54, 57, 62, 66], 'C shape sounds D');
+    assert.deepStrictEqual(convertIntervalsToNotes(openC, capo2).map(note => note.name), ['D', 'F#', 'A', 'D', 'F#']);
+    const capoHigh = calculateTunedVoicing(bb7, createInstrumentSettings(undefined, 9));
+    console.log(`  Bb7 at fret 6 with capo 9: ${capoHigh.reason}`);
+    assert.strictEqual(capoHigh.playable, false, 'Frets above the capo run off the playable neck');
+    console.log('✓ Capo test passed');
+
+    // Test 5: Derived fingering
+    console.log('Test 5: Derived Fingering');
+    assert.deepStrictEqual(deriveFingering(['x', 'x', 0, 2, 5, 4]), ['x', 'x', '0', '1', '4', '3']);
+    assert.deepStrictEqual(deriveFingering([1, 3, 3, 2, 1, 1]), ['1', '3', '3', '2', '1', '1']);
+    assert.strictEqual(deriveFingering([1, 2, 3, 4, 5, 'x']), null, 'Five distinct frets need five fingers');
+    console.log('✓ Derived fingering test passed');
+
+    // Test 6: Persistence round trip
+    console.log('Test 6: Settings Persistence');
+    const stored = serializeInstrumentSettings(createInstrumentSettings(custom, 3));
+    const restored = deserializeInstrumentSettings(JSON.parse(JSON.stringify(stored)));
+    assert.deepStrictEqual(restored.tuning.openMidi, custom.openMidi);
+    assert.strictEqual(restored.capo, 3);
+    assert.strictEqual(deserializeInstrumentSettings({ tuningId: 'nope', capo: 99 }).tuning.id, 'standard');
+    assert.strictEqual(deserializeInstrumentSettings(null).capo, 0);
+    console.log('✓ Settings persistence test passed');
+}
+
+/**
+ * Test chord pitch calculation and plucked-string PCM rendering
+ */
+function testAudioSynthesis() {
+    console.log('\n--- Testing Audio Synthesis ---');
+
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+
+    // Test 1: Pitches per string from the absolute frets
+    console.log('Test 1: Chord Pitches');
+    assert.strictEqual(midiToFrequency(69), 440);
+    assert.ok(Math.abs(midiToFrequency(60) - 261.63) < 0.01, 'Middle C should be 261.63 Hz');
+    const pitches = calculateChordPitches(cMajor, createInstrumentSettings());
+    assert.deepStrictEqual(pitches.map(pitch => pitch.midi), [48, 52, 55, 60, 64]);
+    assert.deepStrictEqual(pitches.map(pitch => pitch.stringIndex), [1, 2, 3, 4, 5]);
+    console.log('✓ Chord pitch test passed');
+
+    // Test 2: Strum and arpeggio schedules run low to high
+    console.log('Test 2: Note Schedules');
+    const strum = createNoteSchedule(pitches, { mode: 'strum', strumDelay: 0.05 });
+    assert.deepStrictEqual(strum.map(note => Math.round(note.startTime * 1000)), [0, 50, 100, 150, 200]);
+    const arpeggio = createNoteSchedule(pitches, { mode: 'arpeggio', noteSpacing: 0.5 });
+    assert.strictEqual(arpeggio[4].startTime, 2);
+    console.log('✓ Schedule test passed');
+
+    // Test 3: Plucked string is reproducible and at the right pitch
+    console.log('Test 3: Plucked String');
+    const sampleRate = 8000;
+    const pluck = renderPluckedString(220, 0.5, { sampleRate, seed: 7 });
+    assert.strictEqual(pluck.length, 4000);
+    assert.deepStrictEqual(renderPluckedString(220, 0.5, { sampleRate, seed: 7 }), pluck, 'Same seed should render identical samples');
+
+    // Estimate the period by autocorrelation over the steady part of the note
+    let bestLag = 0;
+    let bestCorrelation = -Infinity;
+    for (let lag = 25; lag < 50; lag++) {
+        let correlation = 0;
+        for (let n = 400; n < 2400; n++) correlation += pluck[n] * pluck[n + lag];
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+    const estimated = sampleRate / bestLag;
+    console.log(`  Estimated frequency: ${estimated.toFixed(1)} Hz (expected 220)`);
+    assert.ok(Math.abs(estimated - 220) / 220 < 0.03, 'Pluck should sound within 3% of the requested pitch');
+
+    const early = pluck.slice(0, 800).reduce((sum, sample) => sum + Math.abs(sample), 0);
+    const late = pluck.slice(3000, 3800).reduce((sum, sample) => sum + Math.abs(sample), 0);
+    assert.ok(late < early, 'Plucked string should decay');
+    console.log('✓ Plucked string test passed');
+
+    // Test 4: Chord render mixes strings at their start times without clipping
+    console.log('Test 4: Chord PCM Buffer');
+    const render = renderChordToPCM(cMajor, { sampleRate, strumDelay: 0.1, noteDuration: 1, settings: createInstrumentSettings() });
+    assert.strictEqual(render.sampleRate, sampleRate);
+    assert.strictEqual(render.samples.length, Math.round((0.4 + 1) * sampleRate));
+    const peak = render.samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+    assert.ok(Math.abs(peak - 0.8) < 1e-6, 'Output should be normalized to 0.8');
+    const muted = new Chord('X', 'test', '', 'x,x,x,x,x,x', '');
+    assert.strictEqual(renderChordToPCM(muted, { sampleRate, noteDuration: 1 }).samples.every(sample => sample === 0), true, 'Muted chord should be silent');
+    console.log('✓ Chord PCM test passed');
+}
+
+/**
+ * Test quiz questions, answer checking and session scoring
+ */
+function testQuizMode() {
+    console.log('\n--- Testing Quiz Mode ---');
+
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const dataset = [
+        cMajor,
+        new Chord('C', 'maj', '1;3;5', 'x,1,3,3,3,1', 'C,G,C,E,G'),
+        new Chord('C', 'm', '1;b3;5', 'x,1,3,3,2,1', 'C,G,C,Eb,G'),
+        new Chord('C', '7', '1;3;5;b7', 'x,3,2,4,1,0', 'C,E,Bb,C,E'),
+        new Chord('C', '5', '1;5', 'x,1,3,3,x,x', 'C,G,C'),
+        new Chord('C', 'maj9', '1;3;5;7;9', 'x,2,1,3,4,x', 'C,E,B,D'),
+        new Chord('A', 'm7', '1;b3;5;b7', 'x,0,2,0,1,0', 'A,E,G,C,E')
+    ];
+    const settings = createInstrumentSettings();
+
+    // Test 1: Session scoring, streaks and per-chord accuracy
+    console.log('Test 1: Session Scoring');
+    const session = createQuizSession();
+    recordQuizAnswer(session, 'Cmaj', true);
+    recordQuizAnswer(session, 'Cmaj', true);
+    recordQuizAnswer(session, 'Am7', false);
+    recordQuizAnswer(session, 'Cmaj', false);
+    recordQuizAnswer(session, 'Am7', true);
+    assert.strictEqual(session.score, 3);
+    assert.strictEqual(session.total, 5);
+    assert.strictEqual(session.streak, 1);
+    assert.strictEqual(session.bestStreak, 2);
+    assert.strictEqual(getQuizAccuracy(session, 'Cmaj'), 2 / 3);
+    assert.strictEqual(getQuizAccuracy(session, 'Am7'), 0.5);
+    assert.strictEqual(getQuizAccuracy(session, 'G7'), null);
+    console.log('✓ Session scoring test passed');
+
+    // Test 2: Multiple choice offers the answer plus the most similar types
+    console.log('Test 2: Name Question');
+    assert.strictEqual(calculateStructureSimilarity(['1', '3', '5'], ['1', '3', '5', 'b7']), 0.75);
+    const question = createNameQuestion(cMajor, dataset, 4, () => 0);
+    console.log(`  Choices: [${question.choices.join(', ')}]`);
+    assert.strictEqual(question.answer, 'Cmaj');
+    assert.strictEqual(question.choices.length, 4);
+    assert.ok(question.choices.includes('Cmaj'), 'Answer should be offered');
+    assert.ok(question.choices.every(choice => choice.startsWith('C')), 'Distractors keep the root');
+    assert.ok(!question.choices.includes('Cm'), 'Least similar type (half the pitch classes shared) should be left out');
+    assert.strictEqual(new Set(question.choices).size, 4, 'Choices should be distinct');
+    const noteText = /font-size="[\d.]+" font-weight="bold">[A-G]/;
+    const dimensions = { width: 300, height: 250, scale: 0.5 };
+    assert.match(generateChordDiagram(cMajor, dimensions, 'finger'), noteText);
+    assert.doesNotMatch(generateChordDiagram(cMajor, dimensions, 'finger', undefined, false), noteText, 'Question diagram hides the notes');
+    console.log('✓ Name question test passed');
+
+    // Test 3: Fret answers accept known voicings and valid alternatives
+    console.log('Test 3: Fret Answers');
+    assert.strictEqual(checkFretAnswer(['x', 3, 2, 0, 1, 0], cMajor, dataset, settings).correct, true);
+    assert.strictEqual(checkFretAnswer(['x', 3, 5, 5, 5, 3], cMajor, dataset, settings).correct, true, 'Barre voicing from the dataset');
+    assert.strictEqual(checkFretAnswer([8, 10, 10, 9, 8, 8], cMajor, dataset, settings).correct, true, 'E-shape barre is all chord tones');
+    const wrongNote = checkFretAnswer(['x', 3, 2, 2, 1, 0], cMajor, dataset, settings);
+    console.log(`  x32210: ${wrongNote.message}`);
+    assert.strictEqual(wrongNote.correct, false);
+    assert.strictEqual(checkFretAnswer(['x', 3, 'x', 'x', 'x', 'x'], cMajor, dataset, settings).correct, false, 'Root alone is missing the third');
+    assert.strictEqual(checkFretAnswer([0, 3, 2, 0, 1, 0], cMajor, dataset, settings).correct, false, 'Third in the bass is not root position');
+    assert.strictEqual(checkFretAnswer(['x', 'x', 'x', 'x', 'x', 'x'], cMajor, dataset, settings).correct, false);
+    console.log('✓ Fret answer test passed');
+}
+
+/**
+ * Test SM-2 spaced repetition scheduling and progress storage
+ */
+function testSpacedRepetition() {
+    console.log('\n--- Testing Spaced Repetition ---');
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.UTC(2024, 0, 1);
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const cBarre = new Chord('C', 'maj', '1;3;5', 'x,1,3,3,3,1', 'C,G,C,E,G');
+    const aMinor7 = new Chord('A', 'm7', '1;b3;5;b7', 'x,0,2,0,1,0', 'A,E,G,C,E');
+    const dataset = [cMajor, cBarre, aMinor7];
+
+    // Test 1: IDs are stable and tell the same shape at different positions apart
+    console.log('Test 1: Chord IDs');
+    assert.strictEqual(getChordId(cMajor), 'C/maj/x32010');
+    assert.strictEqual(getChordId(cBarre), 'C/maj/x13331@3');
+    assert.strictEqual(getChordId(new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E')), getChordId(cMajor));
+    console.log('✓ Chord ID test passed');
+
+    // Test 2: SM-2 intervals grow 1, 6, then by ease; lapses restart and lower ease
+    console.log('Test 2: SM-2 Scheduling');
+    let record = createReviewRecord('C/maj/x32010');
+    record = reviewChord(record, 4, now);
+    assert.strictEqual(record.interval, 1);
+    assert.strictEqual(record.due, now + DAY);
+    assert.strictEqual(record.ease, 2.5, 'Quality 4 keeps the ease');
+    record = reviewChord(record, 5, now + DAY);
+    assert.strictEqual(record.interval, 6);
+    assert.ok(Math.abs(record.ease - 2.6) < 1e-9);
+    record = reviewChord(record, 4, now + 7 * DAY);
+    assert.strictEqual(record.interval, Math.round(6 * 2.6));
+    record = reviewChord(record, 1, now + 30 * DAY);
+    assert.strictEqual(record.interval, 1);
+    assert.strictEqual(record.repetitions, 0);
+    assert.strictEqual(record.lapses, 1);
+    assert.ok(Math.abs(record.ease - 2.06) < 1e-9);
+    let floor = createReviewRecord('x');
+    for (let i = 0; i < 10; i++) floor = reviewChord(floor, 0, now);
+    assert.strictEqual(floor.ease, 1.3, 'Ease never drops below 1.3');
+    console.log('✓ SM-2 scheduling test passed');
+
+    // Test 3: Due chords come first, at random and never the one on screen; then unseen chords
+    console.log('Test 3: Next Chord Selection');
+    const progress = createProgress();
+    assert.strictEqual(selectNextChord([], progress, now), null);
+    recordChordReview(progress, cMajor, 5, now - 10 * DAY);
+    recordChordReview(progress, aMinor7, 0, now - 10 * DAY);
+    assert.ok(isReviewDue(progress.records['A/m7/x02010'], now));
+    assert.strictEqual(selectNextChord(dataset, progress, now, () => 0), cMajor, 'Due chords are picked at random');
+    assert.strictEqual(selectNextChord(dataset, progress, now, () => 0.99), aMinor7, 'Due chords are picked at random');
+    assert.strictEqual(selectNextChord(dataset, progress, now, () => 0.99, aMinor7), cMajor, 'The chord on screen is not repeated');
+    assert.strictEqual(selectNextChord([aMinor7], progress, now, () => 0.99, aMinor7), aMinor7, 'Unless it is the only choice');
+    recordChordReview(progress, aMinor7, 5, now);
+    recordChordReview(progress, cMajor, 5, now);
+    assert.strictEqual(selectNextChord(dataset, progress, now, () => 0.99), cBarre, 'Unseen chord when nothing is due');
+    assert.strictEqual(selectNextChord(dataset, progress, now, () => 0), aMinor7, 'Weak chord drilled some of the time');
+    recordChordReview(progress, cBarre, 5, now);
+    assert.ok(selectNextChord(dataset, progress, now, () => 0.99), 'Falls back to the chord due soonest');
+    assert.notStrictEqual(selectNextChord(dataset, progress, now, () => 0.99, cMajor), cMajor, 'Fallback skips the chord on screen');
+    console.log('✓ Next chord selection test passed');
+
+    // Test 4: Progress round-trips through export and import, merging by latest review
+    console.log('Test 4: Progress Export/Import');
+    const restored = parseProgressFile(serializeProgress(progress));
+    assert.deepStrictEqual(restored, progress);
+    assert.throws(() => parseProgressFile('not json'), /not valid JSON/);
+    assert.throws(() => parseProgressFile('{"version":2,"records":{}}'), /Not a chord progress file/);
+    assert.throws(() => parseProgressFile('{"version":1,"records":{"a":{"id":"b"}}}'), /Invalid progress record for a/);
+    const older = createProgress();
+    recordChordReview(older, cMajor, 1, now - DAY);
+    recordChordReview(older, new Chord('G', 'maj', '1;3;5', '3,2,0,0,0,3', 'G,B,D,G,B,G'), 4, now - DAY);
+    mergeProgress(older, restored);
+    assert.strictEqual(older.records['C/maj/x32010'].reviewedAt, now, 'Newer review wins');
+    assert.strictEqual(Object.keys(older.records).length, 4);
+    console.log('✓ Progress export/import test passed');
+}
+
+/**
+ * Test chord IDs in the URL hash
+ */
+function testChordLinks() {
+    console.log('\n--- Testing Chord Links ---');
+
+    const bbMinor7 = new Chord('Bb', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'Bb,F,Ab,Db,F');
+    const cSixNine = new Chord('C', '6/9', '1;3;5;6;9', 'x,2,1,1,3,4', 'C,E,A,D,G');
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const dataset = [bbMinor7, cSixNine, cMajor];
+
+    // Test 1: IDs split back into their parts, even when the type contains "/"
+    console.log('Test 1: Parse Chord IDs');
+    assert.strictEqual(getChordId(bbMinor7), 'Bb/m7/x13121');
+    assert.deepStrictEqual(parseChordId('Bb/m7/x13121'), { root: 'Bb', type: 'm7', fingers: 'x13121', position: null });
+    assert.deepStrictEqual(parseChordId('C/6/9/x21134@3'), { root: 'C', type: '6/9', fingers: 'x21134', position: 3 });
+    assert.strictEqual(parseChordId('H/maj/x32010'), null, 'Unknown root');
+    assert.strictEqual(parseChordId('C/maj/x3201'), null, 'Five strings');
+    assert.strictEqual(parseChordId('Cmaj'), null);
+    console.log('✓ Chord ID parsing test passed');
+
+    // Test 2: Links find dataset voicings and transposed voicings
+    console.log('Test 2: Find Chords By ID');
+    assert.strictEqual(findChordById('Bb/m7/x13121', dataset), bbMinor7);
+    assert.strictEqual(findChordById(getChordId(cSixNine), dataset), cSixNine);
+    const transposedId = getChordId(transposeChord(cMajor, 2));
+    const found = findChordById(transposedId, dataset);
+    assert.ok(found, `Transposed link ${transposedId} should resolve`);
+    assert.strictEqual(found.displayName, 'Dmaj');
+    assert.strictEqual(findChordById('G/m7/x13121', dataset), null, 'No m7 voicing moves to this shape');
+    assert.strictEqual(findChordById('garbage', dataset), null);
+    console.log('✓ Find chords by ID test passed');
+
+    // Test 3: Hashes keep IDs readable and escape sharps
+    console.log('Test 3: URL Hashes');
+    assert.strictEqual(chordIdToHash('Bb/m7/x13121'), '#Bb/m7/x13121');
+    assert.strictEqual(chordIdToHash('C#/m7b5/x1324x@4'), '#C%23/m7b5/x1324x@4');
+    assert.strictEqual(parseChordHash('#C%23/m7b5/x1324x@4'), 'C#/m7b5/x1324x@4');
+    assert.strictEqual(parseChordHash(chordIdToHash('C/6/9/x21134@3')), 'C/6/9/x21134@3');
+    assert.strictEqual(parseChordHash(''), null);
+    assert.strictEqual(parseChordHash('#'), null);
+    assert.strictEqual(parseChordHash('#%E0%A4%A'), null, 'Malformed escapes are ignored');
+    console.log('✓ URL hash test passed');
+}
+
+/**
+ * Test standalone SVG and PNG export of the chord sheet
+ */
+function testDiagramExport() {
+    console.log('\n--- Testing Diagram Export ---');
+
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+
+    // Test 1: Standalone SVG is fixed-size and self-contained without a window
+    console.log('Test 1: Standalone SVG');
+    const svg = generateStandaloneSVG(cMajor);
+    assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(svg.includes(`width="${EXPORT_DIMENSIONS.width}" height="${EXPORT_DIMENSIONS.height}" viewBox="0 0 600 700"`));
+    assert.ok(svg.includes('<title>Cmaj</title>'));
+    const oddName = new Chord('C', 'maj&<x>', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    assert.ok(generateStandaloneSVG(oddName).includes('<title>Cmaj&amp;&lt;x&gt;</title>'), 'The title is escaped');
+    assert.ok(/<style>[^<]*sans-serif[^<]*Noto Music[^<]*<\/style>/.test(svg), 'Font fallbacks should be embedded');
+    assert.ok(!svg.includes('cursor'), 'No page-only styling');
+    assert.ok(svg.includes('&#x1D11E;'), 'Notation is included');
+    const small = generateStandaloneSVG(cMajor, { width: 300, height: 350, scale: 0.5 });
+    assert.ok(small.includes('viewBox="0 0 300 350"'));
+    assert.strictEqual(generateSVG(cMajor, EXPORT_DIMENSIONS).includes('Cmaj'), true, 'generateSVG accepts explicit dimensions');
+    console.log('✓ Standalone SVG test passed');
+
+    // Test 2: File names and raster sizes
+    console.log('Test 2: File Names and Raster Size');
+    assert.strictEqual(getExportFileName(cMajor, 'svg'), 'Cmaj.svg');
+    assert.strictEqual(getExportFileName(new Chord('C#', 'm7b5', '1;b3;b5;b7', 'x,4,5,4,5,x', 'C#,G,B,E'), 'png'), 'C#m7b5.png');
+    assert.strictEqual(getExportFileName(new Chord('C', '6/9', '1;3;5;6;9', 'x,3,2,2,3,3', 'C,E,A,D,G'), 'png'), 'C6-9.png');
+    assert.deepStrictEqual(calculateRasterSize(EXPORT_DIMENSIONS, 96), { width: 600, height: 700, ratio: 1 });
+    assert.deepStrictEqual(calculateRasterSize(EXPORT_DIMENSIONS, 300), { width: 1875, height: 2188, ratio: 3.125 });
+    console.log('✓ File name and raster size test passed');
+
+    // Test 3: PNG resolution chunk
+    console.log('Test 3: PNG Resolution');
+    assert.strictEqual(crc32(new Uint8Array([0x49, 0x45, 0x4E, 0x44])), 0xAE426082, 'CRC of IEND');
+    const ihdr = [0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 1, 8, 0, 0, 0, 0, 0, 0, 0, 0];
+    const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, ...ihdr, 0, 0, 0, 0, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+    const withDpi = setPNGResolution(png, 300);
+    assert.strictEqual(withDpi.length, png.length + 21);
+    assert.strictEqual(String.fromCharCode(...withDpi.subarray(37, 41)), 'pHYs');
+    const view = new DataView(withDpi.buffer);
+    assert.strictEqual(view.getUint32(41), 11811, '300 dpi is 11811 pixels per metre');
+    assert.strictEqual(view.getUint32(50), crc32(withDpi.subarray(37, 50)));
+    assert.deepStrictEqual(Array.from(withDpi.subarray(54)), Array.from(png.subarray(33)), 'Following chunks are unchanged');
+    assert.strictEqual(setPNGResolution(new Uint8Array(40), 300), null);
+    console.log('✓ PNG resolution test passed');
+}
+
+/**
+ * Test printable chord sheets: chord lists, layouts and pagination
+ */
+function testChordSheet() {
+    console.log('\n--- Testing Chord Sheet ---');
+
+    const gMajor = new Chord('G', 'maj', '1;3;5', '3,2,0,0,0,3', 'G,B,D,G,B,G');
+    const gBarre = new Chord('G', 'maj', '1;3;5', '1,3,4,2,1,1', 'G,D,G,B,D,G');
+    const aMinor7 = new Chord('A', 'm7', '1;b3;5;b7', 'x,0,2,0,1,0', 'A,E,G,C,E');
+    const bbMinor7 = new Chord('Bb', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'Bb,F,Ab,Db,F');
+    const aSharpMinor7 = new Chord('A#', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'A#,F,G#,C#,F');
+    const cMinor7 = new Chord('C', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'C,G,Bb,Eb,G');
+    const dataset = [gBarre, gMajor, aMinor7, bbMinor7, aSharpMinor7, cMinor7];
+
+    // Test 1: IDs and names resolve; unknown entries are reported
+    console.log('Test 1: Resolve Chord List');
+    const { chords, unknown } = resolveSheetChords('G, Am7\nBb/m7/x13121 Hm7', dataset);
+    assert.deepStrictEqual(chords, [gMajor, aMinor7, bbMinor7], 'Bare root is major; names pick the lowest base fret');
+    assert.deepStrictEqual(unknown, ['Hm7']);
+    assert.deepStrictEqual(resolveSheetChords('  ', dataset), { chords: [], unknown: [] });
+    console.log('✓ Chord list resolution test passed');
+
+    // Test 2: One type across the 12 roots, chromatic from C with enharmonic roots together
+    console.log('Test 2: Type Across Roots');
+    const minorSevenths = getTypeAcrossRoots('m7', dataset);
+    assert.deepStrictEqual(minorSevenths.map(chord => chord.root), ['C', 'A', 'Bb', 'A#']);
+    assert.deepStrictEqual(getTypeAcrossRoots('dim7', dataset), []);
+    console.log('✓ Type across roots test passed');
+
+    // Test 3: Pages are sized for print and paginate the chords
+    console.log('Test 3: Page Layout');
+    assert.deepStrictEqual(createChordSheet([]), []);
+    const grid = createChordSheet([gMajor, aMinor7, bbMinor7], { perRow: 3 });
+    assert.strictEqual(grid.length, 1);
+    assert.ok(grid[0].includes('width="210.0mm" height="297.0mm"'), 'A4 by default');
+    assert.strictEqual((grid[0].match(/<g transform="translate\(0, /g) || []).length, 3, 'One diagram per chord');
+    assert.ok(grid[0].includes('>Am7</text>'));
+    const letter = createChordSheet([gMajor], { page: 'letter' });
+    assert.ok(letter[0].includes(`viewBox="0 0 ${SHEET_PAGE_SIZES.letter.width} ${SHEET_PAGE_SIZES.letter.height}"`));
+    const song = createChordSheet([gMajor, aMinor7, gMajor], { layout: 'song', title: 'Wonderwall' });
+    assert.ok(song[0].includes('>Wonderwall</text>'));
+    assert.ok(song[0].includes('>Gmaj   Am7</text>'), 'Song header lists each chord once');
+    const escaped = createChordSheet([gMajor], { layout: 'song', title: 'Rock & <Roll>' });
+    assert.ok(escaped[0].includes('>Rock &amp; &lt;Roll&gt;</text>'), 'The title is escaped');
+    const byType = createChordSheet(minorSevenths, { layout: 'type', type: 'm7' });
+    assert.ok(byType[0].includes('>m7 in all 12 keys</text>'));
+    const many = createChordSheet(new Array(60).fill(gMajor), { perRow: 4 });
+    assert.ok(many.length > 1, 'Long lists continue on further pages');
+    const diagramsPerPage = many.map(page => (page.match(/>Gmaj<\/text>/g) || []).length);
+    assert.strictEqual(diagramsPerPage.reduce((sum, count) => sum + count, 0), 60);
+    console.log(`  60 diagrams over ${many.length} pages: [${diagramsPerPage.join(', ')}]`);
+    console.log('✓ Page layout test passed');
+}
+
+/**
+ * Test chord symbol parsing and lookup
+ */
+function testChordSymbols() {
+    console.log('\n--- Testing Chord Symbols ---');
+
+    const structureOf = text => {
+        const parsed = parseChordSymbol(text);
+        return parsed ? parsed.structure.join(';') : null;
+    };
+
+    // Test 1: Common spellings normalize to the dataset's interval names
+    console.log('Test 1: Parse Chord Symbols');
+    assert.deepStrictEqual(parseChordSymbol('Bb-7'), { root: 'Bb', structure: ['1', 'b3', '5', 'b7'] });
+    assert.strictEqual(structureOf('Cmin7'), '1;b3;5;b7');
+    assert.strictEqual(structureOf('Cmi7'), '1;b3;5;b7');
+    assert.strictEqual(structureOf('CΔ7'), '1;3;5;7');
+    assert.strictEqual(structureOf('CΔ'), '1;3;5;7', 'A bare triangle is a major seventh');
+    assert.strictEqual(structureOf('CM7'), '1;3;5;7');
+    assert.strictEqual(structureOf('CM'), '1;3;5');
+    assert.strictEqual(structureOf('Cø'), '1;b3;b5;b7');
+    assert.strictEqual(structureOf('C°7'), '1;b3;b5;bb7');
+    assert.strictEqual(structureOf('Co'), '1;b3;b5');
+    assert.strictEqual(structureOf('Caug'), '1;3;#5');
+    assert.strictEqual(structureOf('C+'), '1;3;#5');
+    assert.strictEqual(structureOf('C7+5'), '1;3;#5;b7');
+    assert.strictEqual(structureOf('Cadd2'), '1;3;5;9');
+    assert.strictEqual(structureOf('Csus'), '1;4;5');
+    assert.strictEqual(structureOf('C9sus4'), '1;4;5;b7;9');
+    assert.strictEqual(structureOf('C-Δ7'), '1;b3;5;7');
+    assert.strictEqual(structureOf('C7(b9, #11)'), '1;3;5;b7;b9;#11');
+    assert.strictEqual(structureOf('C13(#11)'), '1;3;5;b7;9;#11;13');
+    assert.strictEqual(structureOf('C69'), '1;3;5;6;9');
+    assert.strictEqual(structureOf('C5'), '1;5');
+    assert.strictEqual(structureOf('F♯m'), '1;b3;5');
+    assert.strictEqual(parseChordSymbol('f#m').root, 'F#');
+    assert.strictEqual(parseChordSymbol('H7'), null);
+    assert.strictEqual(parseChordSymbol('C7alt'), null);
+    assert.strictEqual(parseChordSymbol(''), null);
+    console.log('✓ Chord symbol parsing test passed');
+
+    // Test 2: Every dataset type spelling parses back to its own type
+    console.log('Test 2: Dataset Type Round Trip');
+    const typeIndex = [
+        ['13', '1;3;5;b7;9;11;13'], ['7(#9)', '1;3;5;b7;#9'], ['9', '1;3;5;b7;9'], ['9b5', '1;3;b5;b7;9'],
+        ['7', '1;3;5;b7'], ['dim7', '1;b3;b5;bb7'], ['aug', '1;3;#5'], ['maj', '1;3;5'],
+        ['11', '1;3;5;b7;9;11'], ['maj9', '1;3;5;7;9'], ['m', '1;b3;5'], ['7b5', '1;3;b5;b7'],
+        ['m7', '1;b3;5;b7'], ['dim', '1;b3;b5'], ['6', '1;3;5;6'], ['7(#5)', '1;3;#5;b7'],
+        ['7sus4', '1;4;5;b7'], ['maj7', '1;3;5;7'], ['5', '1;5'], ['m6', '1;b3;5;6'],
+        ['7(b9)', '1;3;5;b7;b9'], ['m9', '1;b3;5;b7;9'], ['sus4', '1;4;5'], ['6/9', '1;3;5;6;9'],
+        ['m11', '1;b3;5;b7;9;11'], ['m7b5', '1;b3;b5;b7'], ['9(#11)', '1;3;5;b7;9;#11'],
+        ['9(#5)', '1;3;#5;b7;9'], ['7(#11)', '1;3;5;b7;#11'], ['maj13', '1;3;5;7;9;11;13'],
+        ['6(#11)', '1;3;5;6;#11'], ['sus2', '1;2;5'], ['m(maj7)', '1;b3;5;7'],
+        ['13(b9)', '1;3;5;b7;b9;11;13'], ['+(#11)', '1;3;#5;#11'], ['13(#11)', '1;3;5;b7;9;#11;13'],
+        ['7(b13)', '1;3;5;b7;b13'], ['add9', '1;3;5;9'], ['13(#9)', '1;3;5;b7;#9;11;13'],
+        ['m13', '1;b3;5;b7;9;11;13'], ['m6/9', '1;b3;5;6;9'], ['m(maj9)', '1;b3;5;7;9']
+    ].map(([type, structure]) => ({ type, structure: structure.split(';') }));
+    for (const { type, structure } of typeIndex) {
+        assert.strictEqual(structureOf(`C${type}`), structure.join(';'), `C${type}`);
+        assert.strictEqual(matchChordSymbol(parseChordSymbol(`C${type}`), typeIndex).type, type, `C${type}`);
+    }
+    const noMatch = matchChordSymbol(parseChordSymbol('Cmaj7no5'), typeIndex);
+    assert.strictEqual(noMatch.type, null);
+    assert.strictEqual(noMatch.suggestions[0], 'maj7', 'Closest type first');
+    console.log('✓ Dataset type round trip test passed');
+
+    // Test 3: Lookups find a voicing, transposing when the root is missing
+    console.log('Test 3: Find Chord By Symbol');
+    const dataset = [
+        new Chord('A#', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'A#,F,G#,C#,F'),
+        new Chord('Bb', 'm7', '1;b3;5;b7', 'x,1,3,1,2,1', 'Bb,F,Ab,Db,F'),
+        new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E'),
+        new Chord('A', 'm7', '1;b3;5;b7', 'x,0,2,0,1,0', 'A,E,G,C,E')
+    ];
+    assert.strictEqual(findChordBySymbol('Bb-7', dataset).chord, dataset[1], 'Typed spelling preferred');
+    assert.strictEqual(findChordBySymbol('A#min7', dataset).chord, dataset[0]);
+    assert.strictEqual(findChordBySymbol('C', dataset).chord, dataset[2]);
+    const transposed = findChordBySymbol('Dm7', dataset);
+    assert.ok(transposed.chord, 'Dm7 should be transposed from another root');
+    assert.strictEqual(transposed.chord.displayName, 'Dm7');
+    const missing = findChordBySymbol('Cm7b5', dataset);
+    assert.strictEqual(missing.type, null);
+    assert.strictEqual(missing.chord, null);
+    assert.deepStrictEqual(missing.suggestions, ['maj'], 'Only types with a voicing for the root are suggested');
+    assert.deepStrictEqual(findChordBySymbol('nonsense', dataset), { symbol: null, type: null, chord: null, suggestions: [] });
+    console.log('✓ Find chord by symbol test passed');
+}
+
+/**
+ * Test Standard MIDI File export
+ */
+function testMidiExport() {
+    console.log('\n--- Testing MIDI Export ---');
+
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const aMinor = new Chord('A', 'm', '1;b3;5', 'x,0,2,2,1,0', 'A,E,A,C,E');
+    const bytesAt = (bytes, offset, length) => Array.from(bytes.subarray(offset, offset + length));
+    const readUint32 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset);
+
+    // Test 1: Variable-length quantities (examples from the SMF specification)
+    console.log('Test 1: Variable-Length Quantities');
+    assert.deepStrictEqual(encodeVariableLength(0), [0x00]);
+    assert.deepStrictEqual(encodeVariableLength(0x7F), [0x7F]);
+    assert.deepStrictEqual(encodeVariableLength(0x80), [0x81, 0x00]);
+    assert.deepStrictEqual(encodeVariableLength(0x2000), [0xC0, 0x00]);
+    assert.deepStrictEqual(encodeVariableLength(0x0FFFFFFF), [0xFF, 0xFF, 0xFF, 0x7F]);
+    console.log('✓ Variable-length quantity test passed');
+
+    // Test 2: Sounding pitches, block vs. strum timing
+    console.log('Test 2: Note Events');
+    const block = createMidiEvents([cMajor], { beatsPerChord: 2, ticksPerBeat: 480 });
+    const noteOns = block.filter(event => event.data[0] === 0x90);
+    assert.deepStrictEqual(noteOns.map(event => event.data[1]), [48, 52, 55, 60, 64], 'x32010 sounds C3 E3 G3 C4 E4');
+    assert.ok(noteOns.every(event => event.tick === 0));
+    assert.ok(block.filter(event => event.data[0] === 0x80).every(event => event.tick === 960));
+    const strum = createMidiEvents([cMajor], { style: 'strum', strumOffset: 0.025, tempo: 120, ticksPerBeat: 480 });
+    assert.deepStrictEqual(strum.filter(event => event.data[0] === 0x90).map(event => event.tick), [0, 24, 48, 72, 96], '25 ms at 120 bpm is 24 ticks');
+    const sequence = createMidiEvents([cMajor, aMinor], { beatsPerChord: 1 });
+    const atChange = sequence.filter(event => event.tick === 480);
+    assert.ok(atChange.slice(0, 5).every(event => event.data[0] === 0x80), 'Note-offs come before the next chord');
+    assert.deepStrictEqual(atChange.slice(5).map(event => event.data[1]), [45, 52, 57, 60, 64]);
+    console.log('✓ Note event test passed');
+
+    // Test 3: File structure
+    console.log('Test 3: File Bytes');
+    const file = writeMidiFile(cMajor, { tempo: 100 });
+    assert.ok(file instanceof Uint8Array);
+    assert.deepStrictEqual(bytesAt(file, 0, 14), [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, 0x01, 0xE0], 'MThd: format 1, 2 tracks, 480 ticks');
+    assert.deepStrictEqual(bytesAt(file, 14, 4), [0x4D, 0x54, 0x72, 0x6B]);
+    const tempoTrackLength = readUint32(file, 18);
+    const tempoTrack = bytesAt(file, 22, tempoTrackLength);
+    const tempoIndex = tempoTrack.findIndex((byte, index) => byte === 0xFF && tempoTrack[index + 1] === 0x51);
+    assert.deepStrictEqual(tempoTrack.slice(tempoIndex, tempoIndex + 6), [0xFF, 0x51, 0x03, 0x09, 0x27, 0xC0], '100 bpm = 600000 us per beat');
+    assert.deepStrictEqual(tempoTrack.slice(-4), [0x00, 0xFF, 0x2F, 0x00]);
+    const noteTrackStart = 22 + tempoTrackLength;
+    assert.deepStrictEqual(bytesAt(file, noteTrackStart, 4), [0x4D, 0x54, 0x72, 0x6B]);
+    assert.strictEqual(noteTrackStart + 8 + readUint32(file, noteTrackStart + 4), file.length, 'Chunk lengths cover the file');
+    assert.deepStrictEqual(bytesAt(file, noteTrackStart + 8, 6), [0x00, 0xC0, 25, 0x00, 0x90, 48], 'Program change, then the first note');
+    const singleTrack = writeMidiFile([cMajor, aMinor], { format: 0 });
+    assert.deepStrictEqual(bytesAt(singleTrack, 8, 4), [0, 0, 0, 1]);
+    assert.strictEqual(22 + readUint32(singleTrack, 18), singleTrack.length);
+    assert.strictEqual(writeMidiFile(cMajor, { format: 2 }), null);
+    console.log('✓ File bytes test passed');
+}
+
+/**
+ * Parse XML into { name, attributes, children, text } nodes, failing on malformed markup
+ * Enough for checking generated MusicXML; no entities beyond the five predefined ones.
+ * @param {string} xml - XML text, optionally with an XML declaration and DOCTYPE
+ * @returns {Object} Root element node
+ */
+function parseXmlDocument(xml) {
+    const body = xml.replace(/^<\?xml[^>]*\?>\s*/, '').replace(/^<!DOCTYPE[^>]*>\s*/, '');
+    const tokenPattern = /<(\/?)([A-Za-z][\w.-]*)((?:\s+[\w.-]+="[^"<]*")*)\s*(\/?)>|([^<]+)/gy;
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    let match;
+
+    while (tokenPattern.lastIndex < body.length) {
+        const start = tokenPattern.lastIndex;
+        match = tokenPattern.exec(body);
+        assert.ok(match, `Malformed XML at offset ${start}: ${body.slice(start, start + 40)}`);
+        const [, closing, name, attributeText, selfClosing, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            assert.ok(!/&(?!(amp|lt|gt|quot|apos);)/.test(text), `Unescaped & in "${text}"`);
+            parent.text += text;
+        } else if (closing) {
+            assert.strictEqual(name, parent.name, `Closing </${name}> does not match <${parent.name}>`);
+            stack.pop();
+        } else {
+            const attributes = {};
+            for (const [, key, value] of attributeText.matchAll(/([\w.-]+)="([^"]*)"/g)) {
+                assert.ok(!(key in attributes), `Duplicate attribute ${key} on <${name}>`);
+                attributes[key] = value;
+            }
+            const node = { name, attributes, children: [], text: '' };
+            parent.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    assert.strictEqual(stack.length, 1, `Unclosed <${stack[stack.length - 1].name}>`);
+    assert.strictEqual(document.children.length, 1, 'Exactly one root element');
+    assert.strictEqual(document.text.trim(), '', 'No text outside the root element');
+    return document.children[0];
+}
+
+/**
+ * Check an element tree against the checked-in MusicXML schema subset
+ * @param {Object} node - Element node from parseXmlDocument()
+ * @param {Object} rules - Rules from musicxml-rules.json: { elements, values, range }
+ * @returns {number} Number of elements checked
+ */
+function validateAgainstRules(node, rules) {
+    const rule = rules.elements[node.name] || {};
+    const path = node.name;
+
+    for (const key of Object.keys(node.attributes)) {
+        assert.ok((rule.attributes || []).includes(key), `Unexpected attribute ${key} on <${path}>`);
+    }
+    if (rule.empty) {
+        assert.strictEqual(node.children.length + node.text.length, 0, `<${path}> must be empty`);
+    }
+
+    const childNames = node.children.map(child => child.name);
+    if (rule.sequence) {
+        let position = 0;
+        for (const name of childNames) {
+            const index = rule.sequence.indexOf(name);
+            assert.ok(index >= 0, `<${name}> is not allowed in <${path}>`);
+            assert.ok(index >= position, `<${name}> is out of order in <${path}>`);
+            position = index;
+        }
+    } else if (rule.choice) {
+        for (const name of childNames) {
+            assert.ok(rule.choice.includes(name), `<${name}> is not allowed in <${path}>`);
+        }
+    } else {
+        assert.strictEqual(childNames.length, 0, `<${path}> should hold text only`);
+    }
+    for (const name of rule.required || []) {
+        assert.ok(childNames.includes(name), `<${path}> requires <${name}>`);
+    }
+
+    if (rules.values[node.name]) {
+        assert.ok(rules.values[node.name].includes(node.text), `"${node.text}" is not a valid <${path}> value`);
+    }
+    if (rules.range[node.name]) {
+        const [min, max] = rules.range[node.name];
+        const value = Number(node.text);
+        assert.ok(Number.isInteger(value) && value >= min && value <= max, `<${path}> ${node.text} is outside ${min}..${max}`);
+    }
+
+    return 1 + node.children.reduce((count, child) => count + validateAgainstRules(child, rules), 0);
+}
+
+/**
+ * Test MusicXML export
+ */
+function testMusicXMLExport() {
+    console.log('\n--- Testing MusicXML Export ---');
+
+    const rules = JSON.parse(require('fs').readFileSync(require('path').join(__dirname, 'musicxml-rules.json'), 'utf8'));
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const sharpNine = new Chord('E', '7(#9)', '1;3;5;b7;#9', 'x,2,1,3,4,x', 'E,G#,D,G');
+    const barre = new Chord('C', 'maj', '1;3;5', 'x,1,3,3,3,1', 'C,G,C,E,G');
+    const findAll = (node, name) => [
+        ...(node.name === name ? [node] : []),
+        ...node.children.flatMap(child => findAll(child, name))
+    ];
+    const textOf = (node, name) => node.children.find(child => child.name === name).text;
+
+    // Test 1: Harmony kinds, with degrees for types MusicXML has no kind for
+    console.log('Test 1: Harmony Kinds');
+    assert.deepStrictEqual(describeHarmonyKind(['1', '3', '5']), { kind: 'major', degrees: [] });
+    assert.deepStrictEqual(describeHarmonyKind(['1', 'b3', 'b5', 'b7']), { kind: 'half-diminished', degrees: [] });
+    assert.deepStrictEqual(describeHarmonyKind(['1', '3', '5', 'b7', '#9']), { kind: 'dominant', degrees: [{ value: 9, alter: 1, type: 'add' }] });
+    assert.deepStrictEqual(describeHarmonyKind(['1', '3', 'b5', 'b7', '9']), { kind: 'dominant-ninth', degrees: [{ value: 5, alter: -1, type: 'alter' }] });
+    assert.deepStrictEqual(describeHarmonyKind(['1', '4', '5', 'b7']), { kind: 'suspended-fourth', degrees: [{ value: 7, alter: -1, type: 'add' }] });
+    assert.deepStrictEqual(describeHarmonyKind(['1', '3', 'b7']), { kind: 'dominant', degrees: [{ value: 5, alter: 0, type: 'subtract' }] });
+    assert.strictEqual(escapeXml('<A & "B">'), '&lt;A &amp; &quot;B&quot;&gt;');
+    console.log('✓ Harmony kind test passed');
+
+    // Test 2: Output is well-formed and follows the schema subset
+    console.log('Test 2: Schema Rules');
+    const xml = writeMusicXML([cMajor, sharpNine, barre], { title: 'Frames & Tabs' });
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="no"?>'));
+    assert.ok(xml.includes('<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN"'));
+    const score = parseXmlDocument(xml);
+    assert.strictEqual(score.name, rules.root);
+    const checked = validateAgainstRules(score, rules);
+    console.log(`  ${checked} elements checked`);
+    assert.strictEqual(findAll(score, 'work-title')[0].text, 'Frames &amp; Tabs');
+    assert.throws(() => parseXmlDocument('<a><b></a></b>'), /does not match/);
+    assert.throws(() => validateAgainstRules(parseXmlDocument('<note><duration>4</duration><pitch><step>C</step><octave>4</octave></pitch></note>'), rules), /out of order/);
+    console.log('✓ Schema rule test passed');
+
+    // Test 3: Frames, treble notes and tablature carry the voicing
+    console.log('Test 3: Frame, Staff and TAB');
+    const measures = findAll(score, 'measure');
+    assert.strictEqual(measures.length, 3, 'One measure per chord');
+    const harmony = findAll(measures[1], 'harmony')[0];
+    assert.strictEqual(textOf(findAll(harmony, 'root')[0], 'root-step'), 'E');
+    assert.strictEqual(findAll(harmony, 'kind')[0].attributes.text, '7(#9)');
+    const frameNotes = findAll(measures[0], 'frame-note').map(note => `${textOf(note, 'string')}:${textOf(note, 'fret')}`);
+    assert.deepStrictEqual(frameNotes, ['5:3', '4:2', '3:0', '2:1', '1:0'], 'Muted low E is left out');
+    assert.strictEqual(findAll(measures[0], 'first-fret').length, 0);
+    assert.strictEqual(findAll(measures[2], 'first-fret')[0].text, '3', 'Barre frame starts at fret 3');
+    assert.deepStrictEqual(findAll(measures[2], 'fret').slice(0, 5).map(node => node.text), ['3', '5', '5', '5', '3'], 'Frames use absolute frets');
+    assert.deepStrictEqual(findAll(measures[2], 'fingering').map(node => node.text), ['1', '3', '3', '3', '1']);
+    const notes = findAll(measures[0], 'note');
+    const treble = notes.filter(note => textOf(note, 'staff') === '1');
+    const tab = notes.filter(note => textOf(note, 'staff') === '2');
+    assert.deepStrictEqual(treble.map(note => findAll(note, 'step')[0].text + findAll(note, 'octave')[0].text),
+        ['C3', 'E3', 'G3', 'C4', 'E4'], 'Sounding pitches on the 8vb treble staff');
+    assert.deepStrictEqual(tab.map(note => `${findAll(note, 'string')[0].text}/${findAll(note, 'fret')[0].text}`), ['5/3', '4/2', '3/0', '2/1', '1/0']);
+    const sharpNotes = findAll(measures[1], 'note').filter(note => textOf(note, 'staff') === '1');
+    const gSharp = sharpNotes.find(note => findAll(note, 'step')[0].text === 'G' && findAll(note, 'octave')[0].text === '3');
+    assert.strictEqual(findAll(gSharp, 'alter')[0].text, '1', 'G# spelled from noteNames');
+    assert.strictEqual(findAll(gSharp, 'accidental')[0].text, 'sharp');
+    assert.strictEqual(findAll(score, 'staff-tuning').length, 6);
+    console.log('✓ Frame, staff and TAB test passed');
+}
+
+/**
+ * Test chord progressions: keys, Roman numerals and voice leading
+ */
+function testProgressions() {
+    console.log('\n--- Testing Progressions ---');
+
+    const aMinorOpen = new Chord('A', 'm', '1;b3;5', 'x,0,2,3,1,0', 'A,E,A,C,E');
+    const aMinorBarre = new Chord('A', 'm', '1;b3;5', '1,3,4,1,1,1', 'A,E,A,C,E,A');
+    const fBarre = new Chord('F', 'maj', '1;3;5', '1,3,4,2,1,1', 'F,C,F,A,C,F');
+    const fSmall = new Chord('F', 'maj', '1;3;5', 'x,x,3,2,1,1', 'F,A,C,F');
+    const cOpen = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const cBarre = new Chord('C', 'maj', '1;3;5', 'x,1,3,3,3,1', 'C,G,C,E,G');
+    const gOpen = new Chord('G', 'maj', '1;3;5', '2,1,0,0,0,3', 'G,B,D,G,B,G');
+    const gBarre = new Chord('G', 'maj', '1;3;5', '1,3,4,2,1,1', 'G,D,G,B,D,G');
+    const dataset = [aMinorBarre, aMinorOpen, fBarre, fSmall, cBarre, cOpen, gBarre, gOpen];
+
+    // Test 1: Keys and Roman numerals
+    console.log('Test 1: Roman Numerals');
+    assert.deepStrictEqual(parseKey('C'), { root: 'C', mode: 'major' });
+    assert.deepStrictEqual(parseKey('f# minor'), { root: 'F#', mode: 'minor' });
+    assert.deepStrictEqual(parseKey('Am'), { root: 'A', mode: 'minor' });
+    assert.deepStrictEqual(parseKey('Eb major'), { root: 'Eb', mode: 'major' });
+    assert.deepStrictEqual(parseKey('CM'), { root: 'C', mode: 'major' }, 'Capital M is major');
+    assert.deepStrictEqual(parseKey('C MINOR'), { root: 'C', mode: 'minor' });
+    assert.strictEqual(parseKey('H'), null);
+    assert.strictEqual(parseKey('C dorian'), null);
+    const cMajorKey = parseKey('C');
+    assert.strictEqual(romanNumeralToSymbol('vi', cMajorKey), 'Am');
+    assert.strictEqual(romanNumeralToSymbol('V7', cMajorKey), 'G7');
+    assert.strictEqual(romanNumeralToSymbol('ii7', cMajorKey), 'Dm7');
+    assert.strictEqual(romanNumeralToSymbol('viiø7', cMajorKey), 'Bø7');
+    assert.strictEqual(romanNumeralToSymbol('vii°', cMajorKey), 'B°');
+    assert.strictEqual(romanNumeralToSymbol('bVII', cMajorKey), 'Bb');
+    assert.strictEqual(romanNumeralToSymbol('Imaj7', parseKey('Bb')), 'Bbmaj7');
+    assert.strictEqual(romanNumeralToSymbol('III', parseKey('Am')), 'C', 'Plain numerals follow the minor scale');
+    assert.strictEqual(romanNumeralToSymbol('bIII', parseKey('Am')), 'C', 'Prefixes are relative to the major scale');
+    assert.strictEqual(romanNumeralToSymbol('iv', parseKey('F#m')), 'Bm');
+    assert.strictEqual(romanNumeralToSymbol('Am', cMajorKey), null);
+    console.log('✓ Roman numeral test passed');
+
+    // Test 2: Movement costs
+    console.log('Test 2: Voice-Leading Costs');
+    assert.deepStrictEqual(calculateVoiceLeadingCost(cOpen, cOpen), { travel: 0, jump: 0, penalty: 0, total: 0 });
+    const slide = calculateVoiceLeadingCost(fBarre, gBarre);
+    assert.deepStrictEqual(slide, { travel: 0, jump: 2, penalty: 0, total: 2 }, 'Same shape two frets up only shifts the hand');
+    const leap = calculateVoiceLeadingCost(aMinorOpen, cBarre);
+    console.log(`  Am open -> C barre: ${JSON.stringify(leap)}`);
+    assert.strictEqual(leap.jump, 2);
+    const farLeap = calculateVoiceLeadingCost(fBarre, new Chord('F', 'maj', '1;3;5', 'x,1,3,3,3,1', 'F,C,F,A,C'));
+    assert.strictEqual(farLeap.penalty, (7 - 2) * 3, 'Jumps beyond two frets are penalized');
+    assert.strictEqual(calculateVoicingCost(fSmall), 2);
+    console.log('✓ Voice-leading cost test passed');
+
+    // Test 3: The cheapest path is chosen, and overrides are respected
+    console.log('Test 3: Choose Voicings');
+    assert.deepStrictEqual(chooseProgressionVoicings([]), []);
+    assert.deepStrictEqual(chooseProgressionVoicings([[fBarre, cBarre], [gBarre, gOpen]]), [0, 0], 'Slide the F barre up to G');
+    const toOpenG = [fBarre, cBarre].map(chord => calculateVoicingCost(chord) + calculateVoiceLeadingCost(chord, gOpen).total);
+    assert.deepStrictEqual(chooseProgressionVoicings([[fBarre, cBarre], [gBarre, gOpen]], { 1: 1 }),
+        [toOpenG[0] <= toOpenG[1] ? 0 : 1, 1], 'Re-optimized around the override');
+
+    const progression = buildProgression('Am F C G', dataset);
+    assert.deepStrictEqual(progression.steps.map(step => step.token), ['Am', 'F', 'C', 'G']);
+    assert.ok(progression.steps.every(step => step.candidates.length === 2));
+    assert.strictEqual(progression.transitions.length, 3);
+    assert.strictEqual(progression.totalCost, progression.movementCost + progression.voicingCost);
+    const bruteForce = Math.min(...[0, 1].flatMap(a => [0, 1].flatMap(f => [0, 1].flatMap(c => [0, 1].map(g => {
+        const chords = [progression.steps[0].candidates[a], progression.steps[1].candidates[f], progression.steps[2].candidates[c], progression.steps[3].candidates[g]];
+        return chords.reduce((sum, chord, index) => sum + calculateVoicingCost(chord) +
+            (index > 0 ? calculateVoiceLeadingCost(chords[index - 1], chord).total : 0), 0);
+    })))));
+    assert.strictEqual(progression.totalCost, bruteForce, 'Dynamic programming finds the optimum');
+    console.log(`  Am F C G: ${progression.steps.map(step => step.chord.fingerPositions.join('')).join(' ')} (cost ${progression.totalCost})`);
+
+    const numerals = buildProgression('vi IV I V', dataset, { key: 'C' });
+    assert.deepStrictEqual(numerals.steps.map(step => step.chord), progression.steps.map(step => step.chord));
+    const overridden = buildProgression('Am F C G', dataset, { overrides: { 0: 1, 9: 0 } });
+    assert.strictEqual(overridden.steps[0].choice, 1);
+    assert.strictEqual(overridden.steps[0].chord, overridden.steps[0].candidates[1]);
+    const partial = buildProgression('Am, H7 | G', dataset);
+    assert.deepStrictEqual(partial.unknown, ['H7']);
+    assert.strictEqual(partial.steps.length, 2);
+    console.log('✓ Voicing choice test passed');
+}
+
+/**
+ * Test diatonic chords and voicings of a key
+ */
+function testDiatonicChords() {
+    console.log('\n--- Testing Diatonic Chords ---');
+
+    const numeralsOf = chords => chords.map(chord => chord.numeral);
+    const rootsOf = chords => chords.map(chord => chord.root);
+
+    // Test 1: Triads and sevenths in major and minor keys
+    console.log('Test 1: Major and Minor Keys');
+    const gMajor = getDiatonicChords('G', 'major');
+    assert.deepStrictEqual(numeralsOf(gMajor), ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']);
+    assert.deepStrictEqual(rootsOf(gMajor), ['G', 'A', 'B', 'C', 'D', 'E', 'F#']);
+    assert.deepStrictEqual(gMajor[6].structure, ['1', 'b3', 'b5']);
+    assert.deepStrictEqual(numeralsOf(getDiatonicChords('E', 'minor')), ['i', 'ii°', 'bIII', 'iv', 'v', 'bVI', 'bVII']);
+    assert.deepStrictEqual(rootsOf(getDiatonicChords('F', 'major')), ['F', 'G', 'A', 'Bb', 'C', 'D', 'E'], 'Spelled from the key');
+    assert.deepStrictEqual(numeralsOf(getDiatonicChords('C', 'major', true)), ['Imaj7', 'ii7', 'iii7', 'IVmaj7', 'V7', 'vi7', 'viiø7']);
+    const cDominant = getDiatonicChords('C', 'major', true)[4];
+    assert.deepStrictEqual(cDominant.notes, ['G', 'B', 'D', 'F']);
+    assert.deepStrictEqual(cDominant.structure, ['1', '3', '5', 'b7']);
+    console.log('✓ Major and minor key test passed');
+
+    // Test 2: Harmonic minor and the modes
+    console.log('Test 2: Harmonic Minor and Modes');
+    const dHarmonic = getDiatonicChords('D', 'harmonic-minor', true);
+    assert.strictEqual(dHarmonic[4].numeral, 'V7');
+    assert.deepStrictEqual(dHarmonic[4].notes, ['A', 'C#', 'E', 'G']);
+    assert.strictEqual(dHarmonic[0].numeral, 'i(maj7)');
+    assert.strictEqual(dHarmonic[2].numeral, 'bIII+maj7');
+    assert.strictEqual(dHarmonic[6].numeral, 'vii°7');
+    assert.deepStrictEqual(numeralsOf(getDiatonicChords('D', 'dorian')), ['i', 'ii', 'bIII', 'IV', 'v', 'vi°', 'bVII']);
+    assert.deepStrictEqual(numeralsOf(getDiatonicChords('B', 'locrian')), ['i°', 'bII', 'biii', 'iv', 'bV', 'bVI', 'bvii']);
+    assert.deepStrictEqual(rootsOf(getDiatonicChords('B', 'locrian')), ['B', 'C', 'D', 'E', 'F', 'G', 'A']);
+    assert.strictEqual(getDiatonicChords('F', 'lydian')[3].numeral, '#iv°');
+    assert.strictEqual(getDiatonicChords('C', 'blues'), null);
+    assert.strictEqual(getDiatonicChords('H', 'major'), null);
+    console.log('✓ Harmonic minor and mode test passed');
+
+    // Test 3: Dataset voicings follow the key's spelling
+    console.log('Test 3: Diatonic Voicings');
+    const dataset = [
+        new Chord('F', 'maj', '1;3;5', '1,3,4,2,1,1', 'F,C,F,A,C,F'),
+        new Chord('G', 'm', '1;b3;5', '1,3,4,1,1,1', 'G,D,G,A#,D,G'),
+        new Chord('A', 'm', '1;b3;5', 'x,0,2,3,1,0', 'A,E,A,C,E'),
+        new Chord('A#', 'maj', '1;3;5', 'x,1,2,3,4,1', 'A#,F,A#,D,F'),
+        new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E'),
+        new Chord('D', 'm', '1;b3;5', 'x,x,0,2,3,1', 'D,A,D,F')
+    ];
+    const fMajor = findDiatonicVoicings('F', 'major', dataset);
+    assert.strictEqual(fMajor.length, 7);
+    assert.strictEqual(fMajor[3].chord.root, 'Bb', 'The A# row is respelled as Bb');
+    assert.strictEqual(fMajor[3].chord.displayName, 'Bbmaj');
+    assert.deepStrictEqual(fMajor[3].chord.fingerPositions, dataset[3].fingerPositions);
+    assert.strictEqual(fMajor[0].chord, dataset[0]);
+    assert.strictEqual(fMajor[6].type, null, 'No dim type in this dataset');
+    assert.strictEqual(fMajor[6].chord, null);
+    assert.strictEqual(findDiatonicVoicings('F', 'blues', dataset), null);
+    console.log('✓ Diatonic voicing test passed');
+}
+
+/**
+ * Test the full-neck view and its chord tone map
+ */
+function testFullNeckView() {
+    console.log('\n--- Testing Full Neck View ---');
+
+    const cOpen = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const g7 = new Chord('G', '7', '1;3;5;b7', '3,2,0,0,0,1', 'G,B,D,G,B,F');
+
+    // Test 1: Every chord tone on every string, labelled by interval
+    console.log('Test 1: Chord Tone Map');
+    assert.strictEqual(getIntervalLabel('1'), 'R');
+    assert.strictEqual(getIntervalLabel('b7'), 'b7');
+    const cMap = mapChordTones(cOpen, createInstrumentSettings());
+    assert.strictEqual(cMap.lastFret, 15);
+    assert.deepStrictEqual(cMap.voicing, ['x', 3, 2, 0, 1, 0]);
+    const lowE = cMap.tones.filter(tone => tone.stringIndex === 0).map(tone => `${tone.fret}${tone.label}`);
+    assert.deepStrictEqual(lowE, ['03', '35', '8R', '123', '155'], 'Fret then label: E, G, C, E, G');
+    assert.ok(cMap.tones.every(tone => tone.fret >= 0 && tone.fret <= 15));
+    const voiced = cMap.tones.filter(tone => tone.inVoicing).map(tone => `${tone.stringIndex}:${tone.fret}${tone.label}`);
+    assert.deepStrictEqual(voiced, ['1:3R', '2:23', '3:05', '4:1R', '5:03'], 'Muted low E has no voicing note');
+    const g7Labels = new Set(mapChordTones(g7, createInstrumentSettings()).tones.map(tone => tone.label));
+    assert.deepStrictEqual([...g7Labels].sort(), ['3', '5', 'R', 'b7']);
+    console.log('✓ Chord tone map test passed');
+
+    // Test 2: Tunings and capo
+    console.log('Test 2: Tunings and Capo');
+    const gBarre = new Chord('G', 'maj', '1;3;5', '1,3,4,2,1,1', 'G,D,G,B,D,G');
+    const capoMap = mapChordTones(gBarre, createInstrumentSettings(getTuningPreset('standard'), 2));
+    assert.deepStrictEqual(capoMap.voicing, [5, 7, 7, 6, 5, 5], 'Voicing counted from the nut');
+    assert.ok(capoMap.tones.every(tone => tone.fret >= 2), 'Nothing behind the capo');
+    assert.strictEqual(capoMap.tones.filter(tone => tone.inVoicing).length, 6);
+    const capoC = mapChordTones(cOpen, createInstrumentSettings(getTuningPreset('standard'), 2));
+    assert.deepStrictEqual(capoC.voicing, ['x', 5, 4, 2, 3, 2], 'The open C shape moves up with the capo');
+    const capoVoiced = capoC.tones.filter(tone => tone.inVoicing).map(tone => tone.label);
+    assert.deepStrictEqual(capoVoiced, ['R', '3', '5', 'R', '3'], 'Labelled around the sounding root D');
+    const unplayable = mapChordTones(gBarre, createInstrumentSettings(getTuningPreset('standard'), 12));
+    assert.ok(unplayable.voicing.every(fret => fret === 'x'), 'G barre at fret 3 runs past fret 15 above a capo at 12');
+    assert.ok(unplayable.tones.length > 0 && unplayable.tones.every(tone => !tone.inVoicing));
+    const dropD = mapChordTones(new Chord('D', 'maj', '1;3;5', 'x,x,0,2,3,2', 'D,A,D,F#'), createInstrumentSettings(getTuningPreset('drop-d')));
+    assert.ok(dropD.tones.some(tone => tone.stringIndex === 0 && tone.fret === 0 && tone.label === 'R'), 'Open low D is the root');
+    const high = mapChordTones(cOpen, createInstrumentSettings(), 2);
+    assert.strictEqual(high.lastFret, 3, 'The neck grows to fit the voicing');
+    console.log('✓ Tuning and capo test passed');
+
+    // Test 3: Rendering
+    console.log('Test 3: Full Neck SVG');
+    const svg = generateFullNeckDiagram(cOpen, { width: 600, height: 700, scale: 1 });
+    const filled = (svg.match(/fill="black"\/>/g) || []).length;
+    assert.strictEqual(filled, 5, 'One filled marker per voiced note');
+    assert.strictEqual((svg.match(/fill="white" stroke="black"/g) || []).length, cMap.tones.length - 5);
+    assert.strictEqual((svg.match(/fill="#ccc"/g) || []).length, 7, 'Inlays at 3 5 7 9 15 and a double at 12');
+    assert.ok(svg.includes('>X</text>'), 'Muted string marked');
+    console.log('✓ Full neck SVG test passed');
+}
+
+/**
+ * Test note name and degree labels in chord diagram dots
+ */
+function testDegreeLabels() {
+    console.log('\n--- Testing Degree Labels ---');
+
+    const dimensions = { width: 600, height: 700, scale: 1 };
+    const g7 = new Chord('G', '7', '1;3;5;b7', '3,2,0,0,0,1', 'G,B,D,G,B,F');
+    const c7sharp9 = new Chord('C', '7(#9)', '1;3;5;b7;#9', 'x,2,1,3,4,x', 'C,E,A#,D#');
+
+    // Test 1: Degrees come from the sounding pitch and the structure's spelling
+    console.log('Test 1: Degree Calculation');
+    assert.strictEqual(calculateDegree(43, 'G', g7.structure), '1', 'G2');
+    assert.strictEqual(calculateDegree(65, 'G', g7.structure), 'b7', 'F4');
+    assert.strictEqual(calculateDegree(3, 'C', c7sharp9.structure), '#9', 'D# is #9 in C7(#9), not b3');
+    assert.strictEqual(calculateDegree(3, 'C', ['1', '3', '5']), 'b3', 'Outside the structure: plain degree');
+    assert.strictEqual(calculateDegree(10, 'A#', ['1', '3', '5']), '1');
+    assert.strictEqual(calculateDegree(0, 'H', ['1']), null);
+    assert.deepStrictEqual(calculateStringDegrees(g7, createInstrumentSettings()), ['1', '3', '5', '1', '3', 'b7']);
+    assert.deepStrictEqual(calculateStringDegrees(c7sharp9, createInstrumentSettings()), [null, '1', '3', 'b7', '#9', null]);
+    assert.deepStrictEqual(calculateStringDegrees(g7, createInstrumentSettings(getTuningPreset('drop-d'))),
+        ['1', '3', '5', '1', '3', 'b7'], 'Same pitches in another tuning');
+    console.log('✓ Degree calculation test passed');
+
+    // Test 2: Dot labels
+    console.log('Test 2: Dot Label Modes');
+    const dotText = svg => [...svg.matchAll(/fill="white" font-weight="bold">([^<]*)</g)].map(match => match[1]);
+    assert.deepStrictEqual(dotText(generateChordDiagram(c7sharp9, dimensions, 'finger')), ['2', '1', '3', '4']);
+    assert.deepStrictEqual(dotText(generateChordDiagram(c7sharp9, dimensions, 'note')), ['C', 'E', 'A#', 'D#']);
+    const degreeSVG = generateChordDiagram(c7sharp9, dimensions, 'degree');
+    assert.deepStrictEqual(dotText(degreeSVG), ['R', '3', 'b7', '#9']);
+    assert.strictEqual((degreeSVG.match(/<rect [^>]*fill="black"/g) || []).length, 1, 'The root is a square');
+    assert.strictEqual((generateChordDiagram(c7sharp9, dimensions, 'finger').match(/<rect [^>]*fill="black"/g) || []).length, 0);
+    const openRoot = generateChordDiagram(g7, dimensions, 'degree');
+    assert.strictEqual((openRoot.match(/stroke-width="2"\/>/g) || []).length - (generateChordDiagram(g7, dimensions, 'finger').match(/stroke-width="2"\/>/g) || []).length,
+        1, 'The open G root gets a second ring');
+    console.log('✓ Dot label mode test passed');
+}
+
+/**
+ * Test difficulty scoring, the difficulty filter and easiest-first sorting
+ */
+function testDifficulty() {
+    console.log('\n--- Testing Difficulty ---');
+
+    // Shapes used by the earlier tests
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    const fBarre = new Chord('F', 'maj', '1;3;5', '1,3,4,2,1,1', 'F,C,F,A,C,F');
+    const bb7 = new Chord('Bb', '7', '1;3;5;b7', '1,3,1,2,4,1', 'Bb,F,Ab,D,Ab,Bb');
+    const ebMajor = new Chord('Eb', 'maj', '1;3;5', 'x,x,x,2,1,1', 'G,Bb,Eb');
+    const barre13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', '4,x,3,2,1,1', 'A#,G#,B#,C##,F##');
+    const allOpen = new Chord('Em', 'test', '1;3;5', '0,0,0,0,0,0', 'E,A,D,G,B,E');
+
+    // Test 1: Individual factors
+    console.log('Test 1: Difficulty Factors');
+    assert.deepStrictEqual(scoreDifficulty(cMajor),
+        { span: 2, fingers: 3, barre: false, mutedInner: 0, stretch: 0, baseFret: 1, score: 1.5, tier: 'beginner' });
+    const bb7Score = scoreDifficulty(bb7);
+    assert.strictEqual(bb7Score.barre, true, 'Finger 1 on three strings');
+    assert.strictEqual(bb7Score.span, 3);
+    assert.strictEqual(bb7Score.baseFret, 6);
+    const barre13Score = scoreDifficulty(barre13);
+    assert.strictEqual(barre13Score.mutedInner, 1, 'The muted A string sits between played strings');
+    assert.strictEqual(barre13Score.stretch, 1, 'Fingers 1 and 2 are two frets apart');
+    assert.strictEqual(scoreDifficulty(ebMajor).mutedInner, 0, 'Muted outer strings need no damping');
+    assert.deepStrictEqual(scoreDifficulty(allOpen),
+        { span: 0, fingers: 0, barre: false, mutedInner: 0, stretch: 0, baseFret: 0, score: 0, tier: 'beginner' });
+    console.log('✓ Difficulty factor test passed');
+
+    // Test 2: Scores and tiers
+    console.log('Test 2: Difficulty Tiers');
+    assert.strictEqual(scoreDifficulty(fBarre).tier, 'intermediate');
+    assert.strictEqual(bb7Score.tier, 'advanced');
+    assert.strictEqual(barre13Score.tier, 'advanced');
+    assert.ok(scoreDifficulty(cMajor).score < scoreDifficulty(fBarre).score);
+    assert.ok(scoreDifficulty(fBarre).score < bb7Score.score, 'Same kind of barre, further up and with a wider span');
+    assert.deepStrictEqual(sortByDifficulty([barre13, bb7, cMajor, fBarre]), [cMajor, fBarre, bb7, barre13]);
+    console.log('✓ Difficulty tier test passed');
+
+    // Test 3: Restricting random selection
+    console.log('Test 3: Difficulty Filter');
+    const dataset = [cMajor, fBarre, bb7, barre13];
+    const beginner = { ...createDefaultFilters(), maxDifficulty: 'beginner' };
+    assert.deepStrictEqual(filterChords(dataset, beginner), [cMajor]);
+    const intermediate = { ...createDefaultFilters(), maxDifficulty: 'intermediate' };
+    assert.deepStrictEqual(filterChords(dataset, intermediate), [cMajor, fBarre]);
+    for (let i = 0; i < 5; i++) {
+        assert.ok([cMajor, fBarre].includes(selectRandomChord(dataset, intermediate)));
+    }
+    const parsed = parseFiltersFromQuery('?difficulty=intermediate');
+    assert.strictEqual(parsed.maxDifficulty, 'intermediate');
+    assert.strictEqual(filtersToQuery(parsed), '?difficulty=intermediate');
+    assert.strictEqual(parseFiltersFromQuery('?difficulty=expert').maxDifficulty, null);
+    console.log('✓ Difficulty filter test passed');
+}
+
+/**
+ * Test barre detection and drawing
+ */
+function testBarres() {
+    console.log('\n--- Testing Barres ---');
+
+    const dimensions = { width: 600, height: 700, scale: 1 };
+    const fBarre = new Chord('F', 'maj', '1;3;5', '1,3,4,2,1,1', 'F,C,F,A,C,F');
+    const barre13 = new Chord('A#', '13', '1;3;5;b7;9;11;13', '4,x,3,2,1,1', 'A#,G#,B#,C##,F##');
+    const cMajor = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+
+    // Test 1: Full and partial barres
+    console.log('Test 1: Barre Detection');
+    assert.deepStrictEqual(detectBarres(['1', '3', '4', '2', '1', '1'], [1, 3, 3, 2, 1, 1]),
+        [{ finger: '1', fret: 1, fromString: 0, toString: 5, full: true }]);
+    assert.deepStrictEqual(detectBarres(['4', 'x', '3', '2', '1', '1'], [4, 'x', 4, 3, 1, 1]),
+        [{ finger: '1', fret: 1, fromString: 4, toString: 5, full: false }]);
+    assert.deepStrictEqual(detectBarres(['x', '1', '3', '3', '3', '1'], ['x', 1, 3, 3, 3, 1]),
+        [{ finger: '1', fret: 1, fromString: 1, toString: 5, full: false },
+         { finger: '3', fret: 3, fromString: 2, toString: 4, full: false }], 'A bar under a bar');
+    assert.deepStrictEqual(detectBarres(['1', 'x', '1', '1', 'x', '1'], [2, 'x', 2, 2, 'x', 2]),
+        [{ finger: '1', fret: 2, fromString: 0, toString: 5, full: true }], 'Muted strings are skipped');
+    assert.deepStrictEqual(detectBarres(['1', '1', '0', '1', '1', 'x'], [2, 2, 0, 2, 2, 'x']),
+        [{ finger: '1', fret: 2, fromString: 0, toString: 1, full: false },
+         { finger: '1', fret: 2, fromString: 3, toString: 4, full: false }], 'An open string splits the bar');
+    assert.deepStrictEqual(detectBarres(['2', '1', '0', '0', '0', '3'], [2, 1, 0, 0, 0, 3]), []);
+    assert.deepStrictEqual(detectBarres(['2', 'x', '2', 'x', 'x', 'x'], [1, 'x', 3, 'x', 'x', 'x']), [], 'Same finger on different frets');
+    console.log('✓ Barre detection test passed');
+
+    // Test 2: Bars replace the separate dots
+    console.log('Test 2: Barre Rendering');
+    const countBars = svg => (svg.match(/<rect [^>]*rx="[^"]*" fill="black"\/>/g) || []).length;
+    const countDots = svg => (svg.match(/<circle [^>]*r="18" fill="black"\/>/g) || []).length;
+    const fSVG = generateChordDiagram(fBarre, dimensions, 'finger');
+    assert.strictEqual(countBars(fSVG), 1);
+    assert.strictEqual(countDots(fSVG), 3, 'Fingers 2, 3 and 4 keep their dots');
+    assert.strictEqual((fSVG.match(/fill="white" font-weight="bold">1</g) || []).length, 3, 'Finger number still shown on each barred string');
+    const partialSVG = generateChordDiagram(barre13, dimensions, 'finger');
+    assert.strictEqual(countBars(partialSVG), 1);
+    assert.strictEqual(countDots(partialSVG), 3);
+    assert.strictEqual(countBars(generateChordDiagram(cMajor, dimensions, 'finger')), 0);
+    assert.ok(generateChordDiagram(fBarre, dimensions, 'degree').includes('stroke="white"'), 'A root on the bar is outlined');
+    console.log('✓ Barre rendering test passed');
+}
+
+/**
+ * Test the dataset validator and its summary
+ */
+function testDatasetValidation() {
+    console.log('\n--- Testing Dataset Validation ---');
+
+    const header = 'CHORD_ROOT;CHORD_TYPE;CHORD_STRUCTURE;FINGER_POSITIONS;NOTE_NAMES';
+    const csv = [
+        header,
+        'C;maj;"1;3;5";x,3,2,0,1,0;C,E,G,C,E',            // line 2: valid
+        'C;maj;"1;3;5";x,3,2,0,1,0;C,E,G,C,E',            // line 3: identical to line 2
+        'B#;maj;"1;3;5";x,3,2,0,1,0;B#,D##,F##,B#,D##',   // line 4: the same voicing spelled from B#
+        'G;6;"1;3;5;6";1,2,0,0,0,0;G,B,D,G,B,E',          // line 5: fingers 1 and 2 swapped
+        'A;m;"1;b3;5";x,0,2,3,1,0;A,E,A,C#,E',            // line 6: C# is not in A minor
+        'E;maj;"1;3;5";1,0,0,1,0,0;E,B,E,G#,B,E',         // line 7: open A string holding B
+        'A;5;"1;5";1,x,x,x,4,x;A,A',                      // line 8: frets 5 and 10 need six frets
+        'D;maj;"1;3;5";x,x,0,2,3;D,A,D,F#',               // line 9: five finger positions
+        'D;maj;"1;3;5";x,x,0,2,3,2;D,A,D',                // line 10: too few note names
+        'H;maj;"1;3;5";x,x,0,2,3,2;D,A,D,F#',             // line 11: unknown root
+        'F;maj',                                          // line 12: missing fields
+        'A#;dim7;"1;b3;b5;bb7";2,x,1,3,x,x;A#,G,C#',      // line 13: moveable shape at fret 6
+        'A#;dim7;"1;b3;b5;bb7";2,x,1,3,x,x;C#,A#,E'       // line 14: the same fingers at fret 9
+    ].join('\n');
+    const report = validateChordDataset(csv);
+    const issuesAt = line => report.issues.filter(issue => issue.line === line);
+
+    // Test 1: Each problem is found on its own line
+    console.log('Test 1: Row Checks');
+    assert.strictEqual(report.rows, 13);
+    assert.deepStrictEqual(issuesAt(2), [], 'Open C is clean');
+    assert.deepStrictEqual(issuesAt(3).map(issue => [issue.check, issue.severity, issue.suggestion]), [['duplicate', 'error', 'remove']]);
+    assert.match(issuesAt(3)[0].message, /line 2/);
+    assert.deepStrictEqual(issuesAt(4).map(issue => [issue.check, issue.severity]), [['duplicate', 'warning']]);
+    assert.deepStrictEqual(issuesAt(5).map(issue => issue.check), ['fingering']);
+    assert.match(issuesAt(5)[0].message, /Finger 2 is behind finger 1/);
+    assert.ok(issuesAt(6).some(issue => issue.check === 'notes' && issue.severity === 'error' && issue.message.includes('C#')));
+    assert.ok(issuesAt(7).some(issue => issue.check === 'notes' && /open/.test(issue.message)));
+    assert.deepStrictEqual(issuesAt(8).map(issue => issue.check), ['window']);
+    assert.deepStrictEqual(issuesAt(9).map(issue => issue.check), ['format']);
+    assert.match(issuesAt(10)[0].message, /4 sounding strings but 3 note names/);
+    assert.match(issuesAt(11)[0].message, /Unknown root H/);
+    assert.match(issuesAt(12)[0].message, /Expected 5 fields/);
+    assert.deepStrictEqual(issuesAt(14), [], 'The same fingers at another position are a different voicing');
+    assert.ok(report.issues.every(issue => typeof issue.chord === 'string'), 'Every issue names its row');
+    console.log('✓ Row check test passed');
+
+    // Test 2: Report totals and summary
+    console.log('Test 2: Report Summary');
+    assert.strictEqual(report.validRows, 4, 'Only lines 2, 4, 13 and 14 have no errors');
+    assert.deepStrictEqual(report.summary.duplicate, { error: 1, warning: 1 });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(report)), report, 'The report is plain JSON');
+    const summary = formatValidationSummary(report, 3);
+    assert.match(summary, /^13 rows checked, 4 without errors/);
+    assert.match(summary, /and \d+ more errors/);
+    console.log('✓ Report summary test passed');
+}
+
+/**
+ * Test importing, merging and filtering custom chord libraries
+ */
+function testChordLibraries() {
+    console.log('\n--- Testing Chord Libraries ---');
+
+    // Test 1: CSV libraries, with per-row errors
+    console.log('Test 1: CSV Library');
+    const csv = [
+        'CHORD_ROOT;CHORD_TYPE;CHORD_STRUCTURE;FINGER_POSITIONS;NOTE_NAMES',
+        'A;m7;"1;b3;5;b7";x,0,2,0,1,0;A,E,G,C,E',
+        '',
+        'E;7sus4;"1;4;5;b7";0,2,0,2,0,0;E,B,D,A,B,E',
+        'D;maj;"1;3;5";x,x,0,2,3;D,A,D,F#',
+        'G;maj;x,3,2,0,1,0',
+        'H;maj;"1;3;5";x,x,0,2,3,2;D,A,D,F#'
+    ].join('\n');
+    const csvLibrary = parseChordLibrary(csv, 'house.csv');
+    assert.deepStrictEqual(csvLibrary.chords.map(chord => chord.displayName), ['Am7', 'E7sus4']);
+    assert.ok(csvLibrary.chords.every(chord => getChordSource(chord) === 'house.csv'));
+    assert.deepStrictEqual(csvLibrary.errors.map(error => error.row), [5, 6, 7], 'Errors carry the file line');
+    assert.match(csvLibrary.errors[0].message, /Expected 6 finger positions, found 5/);
+    assert.match(csvLibrary.errors[1].message, /Expected 5 fields separated by ";", found 3/);
+    assert.match(csvLibrary.errors[2].message, /Unknown root H/);
+    console.log('✓ CSV library test passed');
+
+    // Test 2: JSON libraries
+    console.log('Test 2: JSON Library');
+    const json = JSON.stringify([
+        { root: 'A', type: 'm7', structure: ['1', 'b3', '5', 'b7'], fingerPositions: ['x', '0', '2', '0', '1', '0'], noteNames: ['A', 'E', 'G', 'C', 'E'] },
+        { root: 'C', type: 'maj', structure: '1;3;5', fingerPositions: 'x,3,2,0,1,0', noteNames: 'C,E,G,C,E' },
+        { root: 'C', type: 'maj', structure: '1;3;5', fingerPositions: 'x,3,2,0,1,0' },
+        { root: 'C', type: 'maj', structure: '1;3;5', fingerPositions: 'x,3,2,0,1,0', noteNames: 'C,E,G' }
+    ]);
+    const jsonLibrary = parseChordLibrary(json, 'house.json');
+    assert.deepStrictEqual(jsonLibrary.chords.map(chord => chord.displayName), ['Am7', 'Cmaj']);
+    assert.deepStrictEqual(jsonLibrary.chords[0].fingerPositions, ['x', '0', '2', '0', '1', '0']);
+    assert.deepStrictEqual(jsonLibrary.errors, [
+        { row: 3, message: 'Missing noteNames' },
+        { row: 4, message: '5 sounding strings but 3 note names' }
+    ]);
+    assert.strictEqual(parseChordLibrary(JSON.stringify({ chords: JSON.parse(json) }), 'wrapped.txt').chords.length, 2,
+        'JSON is recognised by content too');
+    assert.strictEqual(parseChordLibrary('{ nope', 'broken.json').errors[0].row, null);
+    assert.match(parseChordLibrary('{"name": "x"}', 'object.json').errors[0].message, /Expected an array/);
+    assert.deepStrictEqual(describeChordProblems(new Chord('E', 'maj', '1;3;5', 'x,x,x,x,x,x', '')), ['Every string is muted']);
+    const markup = JSON.stringify([{ root: 'A', type: 'm<img src=x onerror=alert(1)>', structure: '1;b3;5', fingerPositions: 'x,0,2,2,1,0', noteNames: 'A,E,A,C,E' }]);
+    assert.deepStrictEqual(parseChordLibrary(markup, 'shared.json').errors, [{ row: 1, message: 'Chord type must not contain < > & " or \'' }]);
+    const ampersand = generateSVG(new Chord('A', 'm&', '1;b3;5', 'x,0,2,2,1,0', 'A,E,A,C,E'), { width: 600, height: 700, scale: 1 });
+    assert.ok(ampersand.includes('>Am&amp;</text>'), 'Names are escaped in the diagram label');
+    console.log('✓ JSON library test passed');
+
+    // Test 3: Merging, filtering and removal
+    console.log('Test 3: Merge Libraries');
+    const builtIn = [new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E')];
+    assert.strictEqual(getChordSource(builtIn[0]), 'built-in');
+    const libraries = [{ name: 'house.csv', chords: csvLibrary.chords }, { name: 'house.json', chords: jsonLibrary.chords }];
+    const merged = mergeChordLibraries(builtIn, libraries);
+    assert.strictEqual(merged.length, 5);
+    assert.deepStrictEqual(mergeChordLibraries(merged, libraries), merged, 'Merging again does not duplicate library chords');
+    assert.deepStrictEqual(mergeChordLibraries(merged, libraries.slice(1)).map(getChordSource), ['built-in', 'house.json', 'house.json']);
+    const houseOnly = { ...createDefaultFilters(), sources: ['house.csv'] };
+    assert.deepStrictEqual(filterChords(merged, houseOnly), csvLibrary.chords);
+    const parsed = parseFiltersFromQuery('?source=built-in,house.json');
+    assert.deepStrictEqual(parsed.sources, ['built-in', 'house.json']);
+    assert.deepStrictEqual(parseFiltersFromQuery(filtersToQuery(parsed)), parsed);
+    console.log('✓ Merge library test passed');
+}
+
+/**
+ * Test the chord editor: note spelling, validation and CSV output
+ */
+function testChordEditor() {
+    console.log('\n--- Testing Chord Editor ---');
+
+    // Test 1: Note names are spelled from the root and structure
+    console.log('Test 1: Derive Note Names');
+    assert.deepStrictEqual(deriveNoteNames('A#', ['1', '3', '5'], ['x', 1, 3, 3, 3, 1]),
+        { noteNames: ['A#', 'E#', 'A#', 'C##', 'E#'], nonChordTones: [] });
+    assert.deepStrictEqual(deriveNoteNames('Bb', ['1', '3', '5'], ['x', 1, 3, 3, 3, 1]).noteNames, ['Bb', 'F', 'Bb', 'D', 'F']);
+    assert.deepStrictEqual(deriveNoteNames('C', ['1', '3', '5'], ['x', 3, 2, 0, 1, 1]).nonChordTones, [5]);
+    console.log('✓ Note name test passed');
+
+    // Test 2: Valid shapes become chords, with fingers derived where left blank
+    console.log('Test 2: Create Edited Chords');
+    const am7 = createEditedChord({ root: 'A', type: 'm7', structure: '1;b3;5;b7', frets: ['x', 0, 2, 0, 1, 0] });
+    assert.deepStrictEqual(am7.errors, []);
+    assert.deepStrictEqual(am7.chord.fingerPositions, ['x', '0', '2', '0', '1', '0']);
+    assert.deepStrictEqual(am7.chord.noteNames, ['A', 'E', 'G', 'C', 'E']);
+    const fBarre = createEditedChord({
+        root: 'F', type: 'maj', structure: ['1', '3', '5'],
+        frets: [1, 3, 3, 2, 1, 1], fingers: ['1', '3', '4', '2', '1', '1']
+    });
+    assert.deepStrictEqual(fBarre.chord.fingerPositions, ['1', '3', '4', '2', '1', '1']);
+    assert.strictEqual(fBarre.chord.isValid(), true);
+    console.log('✓ Edited chord test passed');
+
+    // Test 3: Problems are reported instead of producing a chord
+    console.log('Test 3: Editor Errors');
+    const wrongNote = createEditedChord({ root: 'C', type: 'maj', structure: '1;3;5', frets: ['x', 3, 2, 0, 1, 1] });
+    assert.strictEqual(wrongNote.chord, null);
+    assert.deepStrictEqual(wrongNote.errors, ['String 1 (fret 1) sounds F, which is not in Cmaj (1;3;5)']);
+    assert.deepStrictEqual(createEditedChord({ root: 'A', type: '5', structure: '1;5', frets: [5, 'x', 'x', 'x', 10, 'x'] }).errors,
+        ['Frets 5-10 do not fit a 5-fret diagram']);
+    assert.deepStrictEqual(createEditedChord({
+        root: 'F', type: 'maj', structure: '1;3;5',
+        frets: [1, 3, 3, 2, 1, 1], fingers: ['1', '3', '4', '2', '1', '5']
+    }).errors, ['String 1 (fret 1) needs a finger number 1-4']);
+    assert.match(createEditedChord({ root: 'H', type: 'maj', structure: '1;3;5', frets: ['x', 3, 2, 0, 1, 0] }).errors[0], /Unknown root/);
+    assert.match(createEditedChord({ root: 'C', type: '', structure: '1;3;5', frets: ['x', 3, 2, 0, 1, 0] }).errors[0], /chord type/);
+    const markup = createEditedChord({ root: 'C', type: '<svg onload=alert(1)>', structure: '1;3;5', frets: ['x', 3, 2, 0, 1, 0] });
+    assert.strictEqual(markup.chord, null, 'Types with markup are not saved');
+    assert.match(markup.errors[0], /chord type/);
+    console.log('✓ Editor error test passed');
+
+    // Test 4: The CSV row reads back as the same chord
+    console.log('Test 4: CSV Row');
+    const row = chordToCsvRow(am7.chord);
+    assert.strictEqual(row, 'A;m7;"1;b3;5;b7";x,0,2,0,1,0;A,E,G,C,E');
+    const library = parseChordLibrary(`${row}\n${chordToCsvRow(fBarre.chord)}`, 'My voicings.csv');
+    assert.deepStrictEqual(library.errors, []);
+    assert.deepStrictEqual(library.chords.map(chord => chord.displayName), ['Am7', 'Fmaj']);
+    assert.deepStrictEqual(library.chords[1].noteNames, fBarre.chord.noteNames);
+    console.log('✓ CSV row test passed');
+}
+
+/**
+ * Test left-handed and horizontal chord box orientations
+ */
+function testDiagramOrientation() {
+    console.log('\n--- Testing Diagram Orientation ---');
+    const dimensions = { width: 400, height: 500, scale: 1 };
+
+    // Test 1: Orientation values and point placement
+    console.log('Test 1: Orientation Points');
+    assert.deepStrictEqual(createDiagramOrientation(), { hand: 'right', layout: 'vertical' });
+    assert.deepStrictEqual(createDiagramOrientation('left', 'sideways'), { hand: 'left', layout: 'vertical' });
+    const rightVertical = createDiagramOrientation();
+    const leftVertical = createDiagramOrientation('left');
+    const rightHorizontal = createDiagramOrientation('right', 'horizontal');
+    const leftHorizontal = createDiagramOrientation('left', 'horizontal');
+    assert.deepStrictEqual(getDiagramPoint(rightVertical, 0, 1), { x: 0, y: 1 }, 'Low E on the left, nut on top');
+    assert.deepStrictEqual(getDiagramPoint(leftVertical, 0, 1), { x: 5, y: 1 }, 'Low E on the right');
+    assert.deepStrictEqual(getDiagramPoint(rightHorizontal, 0, 1), { x: 1, y: 5 }, 'Nut on the left, Low E at the bottom');
+    assert.deepStrictEqual(getDiagramPoint(leftHorizontal, 0, 1), { x: 4, y: 5 }, 'Nut on the right');
+    console.log('✓ Orientation point test passed');
+
+    // Test 2: Markers, note names and the base fret follow the orientation
+    console.log('Test 2: Oriented Diagrams');
+    const openC = new Chord('C', 'maj', '1;3;5', 'x,3,2,0,1,0', 'C,E,G,C,E');
+    assert.strictEqual(generateChordDiagram(openC, dimensions, 'finger'), generateChordDiagram(openC, dimensions, 'finger', rightVertical));
+    const mutedX = svg => svg.match(/<text x="([\d.]+)" y="([\d.]+)"[^>]*>X<\/text>/).slice(1).map(Number);
+    const [rightX] = mutedX(generateChordDiagram(openC, dimensions, 'finger', rightVertical));
+    const [leftX] = mutedX(generateChordDiagram(openC, dimensions, 'finger', leftVertical));
+    assert.strictEqual(rightX + leftX, dimensions.width, 'Left-handed mirrors the muted string');
+    const [horizontalX, horizontalY] = mutedX(generateChordDiagram(openC, dimensions, 'finger', rightHorizontal));
+    assert.ok(horizontalX < 100 && horizontalY > 300, 'Muted Low E sits left of the nut, at the bottom');
+    const noteX = svg => [...svg.matchAll(/<text x="([\d.]+)"[^>]*font-size="14"[^>]*>C<\/text>/g)].map(match => Number(match[1]));
+    assert.ok(noteX(generateChordDiagram(openC, dimensions, 'finger', leftHorizontal)).every(x => x < 100), 'Note names past the last fret, on the left');
+
+    const barreC = new Chord('C', 'maj', '1;3;5', 'x,1,3,4,2,1', 'C,G,C,E,G');
+    const barreRect = svg => svg.match(/<rect x="[\d.]+" y="[\d.]+" width="([\d.]+)" height="([\d.]+)" rx/).slice(1).map(Number);
+    const [verticalWidth, verticalHeight] = barreRect(generateChordDiagram(barreC, dimensions, 'finger', leftVertical));
+    assert.ok(verticalWidth > verticalHeight, 'Vertical barres run across');
+    const [horizontalWidth, horizontalHeight] = barreRect(generateChordDiagram(barreC, dimensions, 'finger', leftHorizontal));
+    assert.deepStrictEqual([horizontalWidth, horizontalHeight], [verticalHeight, verticalWidth], 'Horizontal barres run down');
+    const baseFretX = svg => Number(svg.match(/<text x="([\d.]+)"[^>]*font-size="20"[^>]*>3<\/text>/)[1]);
+    assert.ok(baseFretX(generateChordDiagram(barreC, dimensions, 'finger', leftVertical)) > 300, 'Base fret on the Low E side');
+    assert.ok(baseFretX(generateChordDiagram(barreC, dimensions, 'finger', leftHorizontal)) > 250, 'Base fret under the first fret');
+    console.log('✓ Oriented diagram test passed');
+
+    // Test 3: Left-handed mirrors the full neck too
+    console.log('Test 3: Mirrored Neck');
+    const nutX = svg => Number(svg.match(/<line x1="([\d.]+)"[^>]*stroke-width="6"/)[1]);
+    const rightNeck = generateFullNeckDiagram(openC, dimensions, rightVertical);
+    const leftNeck = generateFullNeckDiagram(openC, dimensions, leftHorizontal);
+    assert.ok(Math.abs(nutX(rightNeck) + nutX(leftNeck) - dimensions.width) < 1e-9, 'The nut moves to the right');
+    assert.strictEqual(generateFullNeckDiagram(openC, dimensions, rightHorizontal), rightNeck, 'Layout does not change the neck');
+    console.log('✓ Mirrored neck test passed');
 }
 
 // Run tests if this file is executed directly
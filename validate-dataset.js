@@ -0,0 +1,50 @@
+/**
+ * Guitar Chords Application - Dataset Validator
+ * Checks every row of the chord CSV and reports what is wrong with it.
+ *
+ * Usage: node validate-dataset.js [csv file] [--json]
+ *   Prints a summary of the problems found. With --json the full report is printed
+ *   as JSON on stdout and the summary goes to stderr.
+ *   Exits with status 1 when any row has an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateChordDataset, formatValidationSummary } = require('./main.js');
+
+/**
+ * Validate a dataset file and print the report
+ * @param {string[]} args - Command line arguments (file path and flags)
+ * @returns {number} Exit status: 0 when no row has an error, 1 otherwise, 2 if the file cannot be read
+ */
+function validateDatasetFile(args) {
+    const json = args.includes('--json');
+    const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, 'chord-fingers.csv');
+
+    let csvData;
+    try {
+        csvData = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        return 2;
+    }
+
+    const report = validateChordDataset(csvData);
+    if (json) {
+        console.log(JSON.stringify({ file, ...report }, null, 2));
+        console.error(formatValidationSummary(report));
+    } else {
+        console.log(formatValidationSummary(report));
+    }
+
+    return report.issues.some(issue => issue.severity === 'error') ? 1 : 0;
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+    process.exitCode = validateDatasetFile(process.argv.slice(2));
+}
+
+module.exports = {
+    validateDatasetFile
+};